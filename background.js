@@ -1,16 +1,71 @@
 // background.js - Main logic for fetching and analyzing review data
 
+importScripts('reviewparser.js', 'steamid.js', 'datatransfer.js', 'settings.js', 'logger.js', 'ratings.js', 'tasteprofile.js', 'tags.js');
+
 // Constants
 const STEAM_API_REVIEW_URL = 'https://store.steampowered.com/appreviews/';
 const STEAM_COMMUNITY_URL = 'https://steamcommunity.com';
+const STEAM_WISHLIST_URL = 'https://api.steampowered.com/IWishlistService/GetWishlist/v1/';
 const THUMBS_UP_IMG = 'https://community.akamai.steamstatic.com/public/shared/images/userreviews/icon_thumbsUp.png';
 const THUMBS_DOWN_IMG = 'https://community.akamai.steamstatic.com/public/shared/images/userreviews/icon_thumbsDown.png';
-const DELAY_BETWEEN_REQUESTS = 1000;
+const BUCKET_CAPACITY = 5; // Max burst per host
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+const MAX_SLOWDOWN = 8;
+const FAILURES_BEFORE_SLOWDOWN = 3;
+const CACHE_DB_NAME = 'SteamTasteMatchCache';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE = 'reviewerHistories';
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const YEAR_MS = 365.25 * DAY_MS;
+const MAX_API_DAY_RANGE = 365; // appreviews ignores longer day_range values
+const WILSON_Z = 1.96; // 95% confidence
+const MIN_MEANINGFUL_SAMPLE = 5;
+const HIGH_RELIABILITY_SAMPLE = 30;
+const MAX_HISTORY_ENTRIES = 200;
+const REVIEW_DOWNWEIGHT = 0.5; // Multiplier per metadata filter a review trips
+// Defaults come from the settings schema in settings.js
+const SETTINGS_DEFAULTS = settingsDefaults();
+const DEFAULT_REVIEW_WEIGHTING = SETTINGS_DEFAULTS.reviewWeighting; // All filters off; see reviewWeight()
+const DEFAULT_SAMPLING = SETTINGS_DEFAULTS.sampling;
+const DEFAULT_REVIEWER_FILTERS = SETTINGS_DEFAULTS.reviewerFilters; // Every language, purchase type and age
+const DEFAULT_TASTE_SOURCES = SETTINGS_DEFAULTS.tasteSources;
+const DEFAULT_TAG_SIMILARITY = SETTINGS_DEFAULTS.tagSimilarity; // Off
+const DEFAULT_RATE_LIMITS = { storePerMinute: SETTINGS_DEFAULTS.storePerMinute, communityPerMinute: SETTINGS_DEFAULTS.communityPerMinute };
+const DISCOVER_TOP_N = 15;
+const MAX_NAME_LOOKUPS = 40; // Per getAppNames request, so one popup click can't queue minutes of requests
+const DISCOVER_MIN_SUPPORT = 3; // Matched reviewers who must have rated a game before it is recommended
+const CHECKPOINT_EVERY_PROFILES = 5;
+const PROVISIONAL_SCORE_EVERY_MS = 2000; // Re-scoring every profile would be quadratic on big runs
+const GAME_SCORE_MAX_AGE_MS = 7 * DAY_MS; // Steam's score for a game the user reviewed, on the taste profile dashboard
+const TASTE_PROFILE_SAVE_EVERY = 10; // Games looked up between writes, so the dashboard fills in as it goes
+const TAG_CACHE_MAX_AGE_MS = 30 * DAY_MS; // Store tags rarely change
+const TAG_CACHE_SAVE_EVERY = 10; // Games looked up between tagCache writes, so a cancelled run keeps what it fetched
 
 // Global state
 let analysisInProgress = false;
+let tasteProfileRefreshing = false;
+let tasteProfileCancel = false; // The refresh's own flag, so cancelling an analysis doesn't cut it short
 let shouldCancel = false;
 let loggingEnabled = true;
+let cacheDbPromise = null;
+let currentCheckpoint = null;
+const hostLimiters = new Map();
+let rateLimits = { ...DEFAULT_RATE_LIMITS };
+let profilePageLimit = SETTINGS_DEFAULTS.maxPages;
+const progressPorts = new Set();
+let lastProgressEvent = null;
+let parserHealthSummary = createParserHealthSummary();
+
+// Settings saved by an older version are converted before anything reads them
+migrateStoredSettings();
+
+// Histories saved before the per-game summary existed get one, and lose the result fields they no longer keep
+migrateStoredHistory();
+
+// A fresh worker never has a run in progress, so a stored "running" flag means the previous worker died mid-run
+recoverInterruptedAnalysis();
 
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -26,21 +81,75 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
-// Start analysis in background
-async function startBackgroundAnalysis(params) {
+// Start analysis in background, optionally continuing from a stored checkpoint.
+// Whatever happens inside, the run ends with the stored running flag cleared.
+async function startBackgroundAnalysis(params, checkpoint = null) {
   analysisInProgress = true;
   shouldCancel = false;
+  // A taste profile refresh stops rather than share the request budget with a run
+  tasteProfileCancel = true;
+  try {
+    await runAnalysis(params, checkpoint);
+  } catch (error) {
+    await recordRunFailure(error);
+    emitProgress({ phase: 'done', text: 'Error' });
+  } finally {
+    analysisInProgress = false;
+    shouldCancel = false;
+  }
+}
+
+// An unexpected error (parsing, storage, IndexedDB...) ends the run as an error rather than
+// leaving analysisRunning set, which would show a run in progress forever
+async function recordRunFailure(error, state = {}) {
+  console.error('Analysis failed:', error);
+  try {
+    await logProgress(`Analysis failed: ${error.message}`, 'error');
+    await flushLogs();
+    await chrome.storage.local.set({
+      analysisRunning: false,
+      analysisProgress: 'Error',
+      analysisError: `Analysis failed: ${error.message}`,
+      ...state
+    });
+  } catch (storageError) {
+    console.error('Failed to record the analysis failure:', storageError);
+  }
+}
+
+async function runAnalysis(params, checkpoint) {
+  currentCheckpoint = checkpoint || { params, phase: 'userReviews' };
+  parserHealthSummary = createParserHealthSummary();
+  lastProgressEvent = null;
+
+  // A resumed run keeps logging into the session it started
+  if (checkpoint) {
+    resumeLogSession(checkpoint.logSession);
+  } else {
+    await startLogSession(`Analysis of ${params.gameName || `App ${params.appId}`}`);
+  }
 
   // Set initial state
   await chrome.storage.local.set({
     analysisRunning: true,
-    analysisProgress: 'Starting analysis...',
+    analysisInterrupted: false,
+    analysisAppId: params.appId,
+    analysisGameName: params.gameName || null,
+    analysisProgress: checkpoint ? 'Resuming analysis...' : 'Starting analysis...',
     analysisResult: null,
-    analysisError: null,
-    analysisLogs: []
+    analysisError: null
   });
+  await saveCheckpoint({ logSession: logState.session && logState.session.id });
 
-  const result = await analyzeGame(params);
+  if (checkpoint) {
+    await logProgress(`Resuming interrupted analysis from phase "${checkpoint.phase}"`, 'warning');
+  }
+
+  const result = await analyzeGame(params, currentCheckpoint);
+  
+  // Every outcome below is final, so the checkpoint is no longer needed
+  await clearCheckpoint();
+  await applyCacheRetention();
   
   // Check if cancelled
   if (result.cancelled) {
@@ -64,6 +173,11 @@ async function startBackgroundAnalysis(params) {
   }
   // Success - ONLY notify here
   else if (result.success) {
+    result.data.appId = params.appId;
+    result.data.gameName = params.gameName || `App ${params.appId}`;
+    result.data.analyzedAt = Date.now();
+
+    await saveToHistory(params, result.data);
     await chrome.storage.local.set({
       analysisRunning: false,
       analysisProgress: 'Complete',
@@ -71,70 +185,201 @@ async function startBackgroundAnalysis(params) {
       analysisError: null
     });
 
+    const basis = result.data.scoringMode === 'weighted'
+      ? `${result.data.weightedReviewers} overlapping reviewers (weighted)`
+      : `${result.data.matchingReviewers} matching reviewers`;
+
     // ONLY notification that appears
     await chrome.notifications.create({
       type: 'basic',
       iconUrl: 'icon128.png',
       title: 'Steam Analysis Complete!',
-      message: `Score: ${result.data.score}% positive from ${result.data.matchingReviewers} matching reviewers`,
+      message: `Score: ${result.data.score}% positive (95% CI ${result.data.confidenceInterval.low}–${result.data.confidenceInterval.high}%) from ${basis}`,
       priority: 2
     });
 
     await logProgress('Analysis complete! Notification sent.', 'success');
   }
 
-  analysisInProgress = false;
-  shouldCancel = false;
+  emitProgress({ phase: 'done', text: result.success ? 'Complete' : result.cancelled ? 'Cancelled' : 'Error' });
+  await flushLogs();
 }
 
-// Main analysis function
-async function analyzeGame({ appId, steamId, minOverlap, minSimilarity, maxProfiles }) {
-  await updateProgress('Fetching your review history...');
-  await logProgress('Fetching your review history...', 'info');
-  
-  const userReviews = await fetchUserReviews(steamId);
-  
-  if (shouldCancel) return { cancelled: true };
-  
-  if (userReviews.error) {
-    await logProgress(`Failed to fetch reviews: ${userReviews.error}`, 'error');
-    return { error: userReviews.error };
+// Build analysis parameters from the settings the popup saved, for runs started outside the popup
+async function buildStoredAnalysisParams(appId, gameName) {
+  const stored = await chrome.storage.local.get(['steamId', ...Object.keys(SETTINGS_SCHEMA)]);
+
+  if (!stored.steamId) {
+    return { error: 'Set your Steam ID in the extension popup first.' };
   }
-  
-  if (userReviews.length === 0) {
-    const msg = 'No reviews found for your profile. Make sure your profile is public.';
-    await logProgress(msg, 'error');
-    return { error: msg };
+
+  const settings = normalizeSettings(stored);
+
+  return {
+    appId,
+    gameName,
+    steamId: stored.steamId,
+    minOverlap: settings.minOverlap,
+    minSimilarity: settings.minSimilarity,
+    maxProfiles: settings.maxProfiles,
+    scoringMode: settings.scoringMode,
+    rateLimits: {
+      communityPerMinute: settings.communityPerMinute,
+      storePerMinute: settings.storePerMinute
+    },
+    concurrency: settings.concurrency,
+    maxPages: settings.maxPages,
+    cacheHours: settings.cacheHours,
+    incrementalRefresh: settings.incrementalRefresh,
+    discoverMode: settings.discoverMode,
+    reviewWeighting: settings.reviewWeighting,
+    sampling: settings.sampling,
+    reviewerFilters: settings.reviewerFilters,
+    tasteSources: settings.tasteSources,
+    tagSimilarity: settings.tagSimilarity
+  };
+}
+
+async function migrateStoredSettings() {
+  const stored = await chrome.storage.local.get(null);
+  const updates = migrateSettings(stored);
+  if (Object.keys(updates).length > 0) {
+    await chrome.storage.local.set(updates);
   }
+}
 
-  await logProgress(`Found ${userReviews.length} of your reviews`, 'success');
-  await updateProgress(`Found ${userReviews.length} reviews`);
-  await logProgress(`Fetching game reviewers (limit: ${maxProfiles})...`, 'info');
-  
-  const gameReviewers = await fetchGameReviewers(appId, maxProfiles);
-  
-  if (shouldCancel) return { cancelled: true };
-  
-  if (gameReviewers.length === 0) {
-    const msg = 'No reviewers found for this game.';
-    await logProgress(msg, 'error');
-    return { error: msg };
+// Main analysis function
+// Each phase records its output in the checkpoint, so a resumed run skips the phases already done.
+// A batch passes `shared.reviewerHistories` (steamId -> reviews) so games in the same queue reuse each other's fetches.
+async function analyzeGame({ appId, steamId, minOverlap, minSimilarity, maxProfiles, cacheHours = 24, incrementalRefresh = true, scoringMode = 'threshold', rateLimits: limits, concurrency = 1, maxPages = SETTINGS_DEFAULTS.maxPages, discoverMode = false, reviewWeighting = null, sampling = DEFAULT_SAMPLING, reviewerFilters = DEFAULT_REVIEWER_FILTERS, tasteSources = DEFAULT_TASTE_SOURCES, tagSimilarity = DEFAULT_TAG_SIMILARITY }, checkpoint = {}, shared = {}) {
+  configureRateLimits(limits);
+  profilePageLimit = maxPages;
+  const filters = normalizeSetting(SETTINGS_SCHEMA.reviewerFilters, reviewerFilters);
+
+  const { pinnedReviewers = [] } = await chrome.storage.local.get('pinnedReviewers');
+
+  let userReviews = checkpoint.userReviews;
+  let tasteCounts = checkpoint.tasteCounts || null;
+
+  if (!userReviews) {
+    await updateProgress('Fetching your review history...', { phase: 'userReviews' });
+    await logProgress('Fetching your review history...', 'info');
+    
+    const taste = await collectUserTaste(steamId, tasteSources);
+    
+    if (shouldCancel) return { cancelled: true };
+    
+    if (taste.error) {
+      await logProgress(`Failed to fetch reviews: ${taste.error}`, 'error');
+      return { error: taste.error };
+    }
+    
+    if (taste.reviews.length === 0) {
+      const msg = 'No reviews found for your profile. Make sure your profile is public.';
+      await logProgress(msg, 'error');
+      return { error: msg };
+    }
+
+    userReviews = taste.reviews;
+    tasteCounts = taste.counts;
+    await saveCheckpoint({ phase: 'gameReviewers', userReviews, tasteCounts });
+  }
+
+  await logProgress(`Found ${userReviews.length} of your ratings`, 'success');
+  await updateProgress(`Found ${userReviews.length} ratings`, { phase: 'userReviews' });
+
+  let gameReviewers = checkpoint.gameReviewers;
+  let querySummary = checkpoint.querySummary || null;
+
+  if (!gameReviewers) {
+    await logProgress(`Fetching game reviewers (limit: ${maxProfiles}, filters: ${describeReviewerFilters(filters)})...`, 'info');
+    
+    ({ reviewers: gameReviewers, querySummary } = await fetchGameReviewers(appId, maxProfiles, checkpoint.reviewerCursor, sampling, filters));
+    
+    if (shouldCancel) return { cancelled: true };
+    
+    if (gameReviewers.length === 0) {
+      const msg = describeReviewerFilters(filters) === 'All reviews'
+        ? 'No reviewers found for this game.'
+        : `No reviewers found for this game with the reviewer filters (${describeReviewerFilters(filters)}).`;
+      await logProgress(msg, 'error');
+      return { error: msg };
+    }
+
+    // Pinned reviewers are always analyzed, even when they weren't among the sampled reviews
+    const sampledIds = new Set(gameReviewers.map(r => r.steamId));
+    const extraPinned = pinnedReviewers.filter(id => !sampledIds.has(id));
+    if (extraPinned.length > 0) {
+      gameReviewers = [...gameReviewers, ...extraPinned.map(id => ({ steamId: id, profileUrl: `${STEAM_COMMUNITY_URL}/profiles/${id}`, votedUp: null, pinned: true }))];
+      await logProgress(`Added ${extraPinned.length} pinned reviewer${extraPinned.length === 1 ? '' : 's'}`, 'info');
+    }
+
+    await saveCheckpoint({ phase: 'reviewerData', gameReviewers, querySummary, reviewerCursor: null });
   }
 
   await logProgress(`Found ${gameReviewers.length} reviewers to analyze`, 'success');
-  await updateProgress(`Analyzing ${gameReviewers.length} profiles...`);
+  await updateProgress(`Analyzing ${gameReviewers.length} profiles...`, { phase: 'reviewerData', processed: 0, total: gameReviewers.length });
   await logProgress('Beginning profile analysis (this will take a while)...', 'info');
   
-  const reviewerData = await fetchAllReviewerData(gameReviewers, maxProfiles);
+  const cacheOptions = {
+    maxAgeMs: cacheHours * HOUR_MS,
+    enabled: cacheHours > 0,
+    incremental: incrementalRefresh,
+    shared: shared.reviewerHistories
+  };
+  // Live score over the profiles fetched so far, for the popup's progress display
+  const scoreSoFar = data => {
+    const partial = calculateScore(userReviews, data, appId, minOverlap, minSimilarity, scoringMode, pinnedReviewers, reviewWeighting);
+    const matches = scoringMode === 'weighted' ? partial.weightedReviewers : partial.matchingReviewers;
+    return { matches, provisionalScore: matches > 0 ? partial.score : null };
+  };
+  const reviewerData = await fetchAllReviewerData(gameReviewers, maxProfiles, cacheOptions, checkpoint.reviewerProgress, concurrency, scoreSoFar);
   
   if (shouldCancel) return { cancelled: true };
+
+  // Tags are only known once the overlapping games are, so the live score above ignores them
+  const tagOptions = normalizeSetting(SETTINGS_SCHEMA.tagSimilarity, tagSimilarity);
+  const tagProfile = tagOptions.enabled ? await loadTagProfile(appId, userReviews, reviewerData, tagOptions) : null;
+  if (shouldCancel) return { cancelled: true };
   
   await logProgress('Comparing reviews and calculating final score...', 'info');
-  await updateProgress('Calculating final score...');
+  await updateProgress('Calculating final score...', { phase: 'scoring' });
   
-  const results = calculateScore(userReviews, reviewerData, appId, minOverlap, minSimilarity);
+  await logParserHealthSummary();
+
+  const results = calculateScore(userReviews, reviewerData, appId, minOverlap, minSimilarity, scoringMode, pinnedReviewers, reviewWeighting, tagProfile);
+  results.parserHealth = parserHealthSummary;
+  results.reviewerFilters = filters;
+  results.tasteSources = tasteCounts;
+  // With filters on, the query summary covers only the filtered reviews
+  results.globalScore = summarizeGlobalScore(querySummary);
+  results.sampleScore = summarizeSampleScore(gameReviewers);
+  results.scoreDeltas = scoreDeltas(results.score, results.globalScore, results.sampleScore);
+
+  if (discoverMode) {
+    results.discoveries = discoverGames(userReviews, reviewerData, { targetAppId: appId, minOverlap, minSimilarity, scoringMode, reviewWeighting });
+    await logProgress(`Discover: ${results.discoveries.games.length} games recommended by ${results.discoveries.reviewersUsed} reviewers (${results.discoveries.candidateCount} candidates)`, 'info');
+    await updateProgress('Looking up recommended game names...', { phase: 'discover' });
+    for (const game of results.discoveries.games) {
+      if (shouldCancel) return { cancelled: true };
+      game.name = await fetchAppName(game.appId);
+    }
+  }
   
   await logProgress(`Analysis complete! Found ${results.matchingReviewers} matching reviewers`, 'success');
+  await logProgress(`Threshold score: ${results.thresholdScore}% | Weighted score: ${results.weightedScore}% (${results.weightedReviewers} overlapping reviewers)`, 'info');
+  if (results.tagSimilarity && results.tagSimilarity.drivers.length > 0) {
+    await logProgress(`Tags that drove the match: ${results.tagSimilarity.drivers.map(d => `${d.tag} (${d.games} games)`).join(', ')}`, 'info');
+  }
+  await logProgress(`95% CI: ${results.confidenceInterval.low}–${results.confidenceInterval.high}%, reliability: ${results.reliability}`, results.sampleTooSmall ? 'warning' : 'info');
+  if (results.globalScore && results.sampleScore) {
+    const { vsGlobal, vsSample } = results.scoreDeltas;
+    await logProgress(`Steam overall: ${results.globalScore.score}% | all sampled reviewers: ${results.sampleScore.score}% | taste filter moved the score ${formatDelta(vsSample)} vs. the sample, ${formatDelta(vsGlobal)} vs. Steam`, 'info');
+  }
+  if (results.reviewWeighting) {
+    const { targetVotes, overlapPairs } = results.reviewWeighting;
+    await logProgress(`Review weighting: ${targetVotes.downweighted}/${targetVotes.total} target votes and ${overlapPairs.downweighted}/${overlapPairs.total} overlapping reviews down-weighted`, 'info');
+  }
   
   return {
     success: true,
@@ -142,210 +387,720 @@ async function analyzeGame({ appId, steamId, minOverlap, minSimilarity, maxProfi
   };
 }
 
-// Parse Steam ID from various input formats
-function parseSteamId(input) {
-  if (!input) return null;
-  
-  input = input.trim();
-  
-  // If it's a full URL, extract the ID/username
-  if (input.includes('steamcommunity.com')) {
-    const profileMatch = input.match(/steamcommunity\.com\/profiles\/(\d+)/);
-    if (profileMatch) {
-      return profileMatch[1];
-    }
-    
-    const idMatch = input.match(/steamcommunity\.com\/id\/([^\/\s]+)/);
-    if (idMatch) {
-      return idMatch[1];
+// Read a CDATA-or-plain field out of Steam's profile XML
+function readProfileXmlField(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>\\s*(?:<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>|([^<]*))\\s*</${tag}>`));
+  if (!match) return null;
+  return (match[1] !== undefined ? match[1] : match[2]).trim();
+}
+
+// Resolve any accepted Steam ID input to a steamID64 via parseSteamId (steamid.js).
+// Vanity names are looked up through the profile's ?xml=1 endpoint; with lookupProfile
+// a known steamID64 is also looked up so the caller gets the persona name and privacy state.
+async function resolveSteamId(input, { lookupProfile = true } = {}) {
+  const parsed = parseSteamId(input);
+
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+
+  if (parsed.steamId64 && !lookupProfile) {
+    return { steamId64: parsed.steamId64, format: parsed.format };
+  }
+
+  const profileUrl = parsed.steamId64
+    ? `${STEAM_COMMUNITY_URL}/profiles/${parsed.steamId64}/?xml=1`
+    : `${STEAM_COMMUNITY_URL}/id/${encodeURIComponent(parsed.vanity)}/?xml=1`;
+
+  const xml = await fetchWithRetry(profileUrl, 2, true);
+  if (!xml) {
+    if (parsed.steamId64) {
+      // The ID itself is valid offline; only the profile details are missing
+      return { steamId64: parsed.steamId64, format: parsed.format, personaName: null, privacyState: null };
     }
-    
-    return null;
+    return { error: `Could not reach Steam to look up the custom URL "${parsed.vanity}". Check your connection and try again.` };
   }
-  
-  // Remove trailing slashes
-  return input.replace(/\/+$/, '');
+
+  const profileError = readProfileXmlField(xml, 'error');
+  if (profileError) {
+    return {
+      error: parsed.vanity
+        ? `No Steam profile uses the custom URL "${parsed.vanity}" (${profileError}).`
+        : `Steam has no profile for ${parsed.steamId64} (${profileError}).`
+    };
+  }
+
+  const steamId64 = readProfileXmlField(xml, 'steamID64');
+  if (!steamId64 || !isValidSteamId64(steamId64)) {
+    return { error: `Steam's profile lookup for "${parsed.vanity || parsed.steamId64}" did not return a usable steamID64.` };
+  }
+
+  return {
+    steamId64,
+    format: parsed.format,
+    vanity: parsed.vanity || null,
+    personaName: readProfileXmlField(xml, 'steamID'),
+    privacyState: readProfileXmlField(xml, 'privacyState')
+  };
 }
 
 // Fetch user's own reviews
-async function fetchUserReviews(steamId) {
-  const cleanedId = parseSteamId(steamId);
-  
-  if (!cleanedId) {
-    return { error: 'Invalid Steam ID format. Please enter either your steamID64 (numbers) or custom URL username.' };
+async function fetchUserReviews(steamId, isCancelled = () => shouldCancel) {
+  const resolved = await resolveSteamId(steamId, { lookupProfile: false });
+
+  if (resolved.error) {
+    return { error: resolved.error };
   }
 
-  let baseUrl;
-  if (/^\d+$/.test(cleanedId)) {
-    baseUrl = `${STEAM_COMMUNITY_URL}/profiles/${cleanedId}/recommended/`;
-  } else {
-    baseUrl = `${STEAM_COMMUNITY_URL}/id/${cleanedId}/recommended/`;
+  if (resolved.vanity) {
+    await logProgress(`Resolved custom URL "${resolved.vanity}" to ${resolved.steamId64}`, 'info');
   }
 
-  const allReviews = await fetchAllReviewsFromProfile(baseUrl, 'Your profile');
-  
-  if (allReviews.length === 0) {
+  const baseUrl = `${STEAM_COMMUNITY_URL}/profiles/${resolved.steamId64}/recommended/`;
+
+  const allReviews = await fetchAllReviewsFromProfile(baseUrl, 'Your profile', profilePageLimit, isCancelled);
+
+  // Reviews stored for this account (imported from a file or fetched earlier) are merged with the
+  // live ones, which win on the same game, so a private or unreadable profile falls back to them
+  const { userReviews: stored } = await chrome.storage.local.get('userReviews');
+  const kept = stored && stored.steamId === resolved.steamId64 ? stored : null;
+  const merged = mergeRecords(allReviews, kept ? kept.reviews : [], review => review.appId, review => review.updatedAt || review.postedAt);
+
+  if (merged.records.length === 0) {
     return { error: 'Could not fetch your reviews. Make sure your Steam ID is correct and your profile is public.' };
   }
-  
-  return allReviews;
+  if (allReviews.length === 0) {
+    await logProgress(`Could not read your profile's reviews, so using the ${merged.records.length} stored ones`, 'warning');
+  }
+
+  // Kept so the parsed list can be exported
+  await chrome.storage.local.set({
+    userReviews: {
+      steamId: resolved.steamId64,
+      fetchedAt: allReviews.length > 0 ? Date.now() : kept.fetchedAt,
+      reviews: merged.records
+    }
+  });
+
+  return merged.records;
+}
+
+// Store tags for the target and every game the user shares with at least one reviewer, as a tag
+// profile for calculateScore (tags.js). Returns null, with a warning, when the target has no tags.
+async function loadTagProfile(targetAppId, userReviews, reviewerData, { unrelatedWeight }) {
+  const userAppIds = new Set(userReviews.map(review => review.appId));
+  const overlapping = new Set();
+  for (const reviewer of reviewerData) {
+    for (const review of reviewer.reviews) {
+      if (userAppIds.has(review.appId) && review.appId !== targetAppId) overlapping.add(review.appId);
+    }
+  }
+
+  const appIds = [targetAppId, ...overlapping];
+  await logProgress(`Looking up store tags for this game and ${overlapping.size} overlapping games...`, 'info');
+  const tagsByApp = await getGameTags(appIds);
+  if (shouldCancel) return null;
+
+  const tagProfile = buildTagProfile(targetAppId, tagsByApp, unrelatedWeight / 100);
+  if (!tagProfile) {
+    await logProgress('No store tags found for this game, so agreement is not weighted by tags', 'warning');
+    return null;
+  }
+
+  const tagged = [...overlapping].filter(id => tagProfile.weights.has(id)).length;
+  await logProgress(`Tags: ${tagProfile.targetTags.join(', ')} (${tagged} of ${overlapping.size} overlapping games tagged)`, 'info', { targetTags: tagProfile.targetTags, tagged, overlapping: overlapping.size });
+  return tagProfile;
+}
+
+// appId -> tags for each game, from tagCache where fresh and the store otherwise.
+// Games Steam couldn't be reached for are left out.
+async function getGameTags(appIds) {
+  const { tagCache = {} } = await chrome.storage.local.get('tagCache');
+  const now = Date.now();
+  const tagsByApp = {};
+  const stale = [];
+  for (const appId of appIds) {
+    const cached = tagCache[appId];
+    if (cached && now - cached.fetchedAt < TAG_CACHE_MAX_AGE_MS) {
+      tagsByApp[appId] = cached.tags;
+    } else {
+      stale.push(appId);
+    }
+  }
+
+  let fetched = {};
+  const saveFetched = async () => {
+    if (Object.keys(fetched).length === 0) return;
+    const { tagCache: latest = {} } = await chrome.storage.local.get('tagCache');
+    await chrome.storage.local.set({ tagCache: { ...latest, ...fetched } });
+    fetched = {};
+  };
+
+  for (let i = 0; i < stale.length; i++) {
+    if (shouldCancel) break;
+    await updateProgress(`Looking up store tags (${i + 1}/${stale.length})...`, { phase: 'tags', processed: i, total: stale.length });
+    const entry = await fetchGameTags(stale[i]);
+    if (entry) {
+      fetched[stale[i]] = entry;
+      tagsByApp[stale[i]] = entry.tags;
+    }
+    if ((i + 1) % TAG_CACHE_SAVE_EVERY === 0) await saveFetched();
+  }
+  await saveFetched();
+  return tagsByApp;
+}
+
+// A game's user tags from its store page, or its genres from appdetails when the page shows none
+// (age-gated pages, for one). Returns { tags, source, fetchedAt }, or null when Steam couldn't be reached.
+async function fetchGameTags(appId) {
+  const page = await fetchWithRetry(`https://store.steampowered.com/app/${appId}/?l=english`, 2, true);
+  const storeTags = page ? parseStoreTags(page) : [];
+  if (storeTags.length > 0) {
+    return { tags: storeTags, source: 'store', fetchedAt: Date.now() };
+  }
+
+  const details = await fetchWithRetry(`https://store.steampowered.com/api/appdetails?appids=${appId}&filters=genres&l=english`, 2, true);
+  if (!page && !details) return null;
+  return { tags: details ? parseAppDetailsGenres(details, appId) : [], source: 'genres', fetchedAt: Date.now() };
+}
+
+// The user's taste from every enabled source: public Steam reviews, the "my ratings" list and
+// (optionally) playtime, merged by mergeTasteSources (ratings.js).
+// Returns { reviews, counts, overridden } or { error }.
+async function collectUserTaste(steamId, tasteSources = DEFAULT_TASTE_SOURCES) {
+  const sources = normalizeSetting(SETTINGS_SCHEMA.tasteSources, tasteSources);
+
+  const steamReviews = await fetchUserReviews(steamId);
+  if (shouldCancel) return { reviews: [], counts: null, overridden: 0 };
+
+  const { myRatings = [] } = sources.myRatings ? await chrome.storage.local.get('myRatings') : {};
+  const inferred = sources.inferFromPlaytime ? await fetchPlaytimeRatings(steamId, sources) : [];
+
+  if (steamReviews.error) {
+    // Without public reviews the other sources can still carry the analysis
+    if (myRatings.length === 0 && inferred.length === 0) return steamReviews;
+    await logProgress(`${steamReviews.error} Continuing with your other ratings.`, 'warning');
+  }
+
+  const taste = mergeTasteSources(steamReviews.error ? [] : steamReviews, myRatings, inferred);
+  await logProgress(`Your taste: ${describeTasteSources(taste.counts)}${taste.overridden > 0 ? ` (${taste.overridden} overlapping ratings resolved in favour of the stronger source)` : ''}`, 'info');
+  return taste;
+}
+
+// Weak ratings from the hours on the user's public games list
+async function fetchPlaytimeRatings(steamId, { likeHours, dislikeHours }) {
+  const resolved = await resolveSteamId(steamId, { lookupProfile: false });
+  if (resolved.error) return [];
+
+  const xml = await fetchWithRetry(`${STEAM_COMMUNITY_URL}/profiles/${resolved.steamId64}/games?tab=all&xml=1`, 2, true);
+  const games = xml ? parseGamesListXml(xml) : [];
+  if (games.length === 0) {
+    await logProgress('Could not read your games list (game details may be private), so no ratings were inferred from playtime', 'warning');
+    return [];
+  }
+
+  const ratings = inferPlaytimeRatings(games, { likeHours, dislikeHours });
+  await logProgress(`Inferred ${ratings.length} weak ratings from playtime across ${games.length} games`, 'info');
+  return ratings;
 }
 
 // Fetch reviewers from a game
-async function fetchGameReviewers(appId, maxProfiles) {
-  const reviewers = [];
-  let cursor = '*';
-  let totalFetched = 0;
-  let requestCount = 0;
+// Returns { reviewers, querySummary }; Steam only sends the all-time totals in query_summary on the first page.
+// The API's own order (filter=all sorts by helpfulness) spends most of the budget
+// on authors with a handful of reviews and can over-represent one side, so candidates are:
+// - drawn from one stream per filter (all, then optionally recent and updated) and review_type
+// - split into positive/negative strata with quotas matching the game's overall share (stratify)
+// - held back when the author has fewer than minAuthorReviews reviews, and used only if the
+//   streams run dry before the budget is filled
+// Every stream's cursor is checkpointed so a resumed run continues where it stopped.
+async function fetchGameReviewers(appId, maxProfiles, resumeFrom = null, sampling = DEFAULT_SAMPLING, reviewerFilters = DEFAULT_REVIEWER_FILTERS) {
+  const options = { ...DEFAULT_SAMPLING, ...sampling };
+  const filters = normalizeSetting(SETTINGS_SCHEMA.reviewerFilters, reviewerFilters);
+  const windowStart = reviewWindowStart(filters);
+  // Checkpoints from before sampling streams existed are restarted, keeping what they collected
+  const state = resumeFrom && resumeFrom.streams ? resumeFrom : {
+    streams: createSamplingStreams(options),
+    requestCount: 0,
+    reviewers: resumeFrom ? [...resumeFrom.reviewers] : [],
+    overflow: [],
+    reserve: [],
+    querySummary: resumeFrom ? resumeFrom.querySummary || null : null,
+    skipped: { duplicates: 0, outsideWindow: 0 }
+  };
+  state.skipped.outsideWindow = state.skipped.outsideWindow || 0; // Checkpoints from before reviewer filters
+  const seenSteamIds = new Set([...state.reviewers, ...state.overflow, ...state.reserve].map(r => r.steamId));
 
-  await logProgress(`Fetching reviewers from Steam API...`, 'info');
+  if (resumeFrom) {
+    await logProgress(`Resuming reviewer collection at ${state.reviewers.length}/${maxProfiles}`, 'info');
+  } else {
+    await logProgress(`Fetching reviewers from Steam API...`, 'info');
+  }
 
-  while (totalFetched < maxProfiles && !shouldCancel) {
-    requestCount++;
-    const url = `${STEAM_API_REVIEW_URL}${appId}?json=1&filter=all&language=all&day_range=9223372036854775807&cursor=${cursor}&review_type=all&purchase_type=all&num_per_page=100`;
-    
-    await logProgress(`API request #${requestCount}: Fetching up to 100 reviews`, 'info');
-    
-    try {
-      const response = await fetchWithRetry(url);
-      const data = JSON.parse(response);
+  for (const stream of state.streams) {
+    while (!stream.done && state.reviewers.length < maxProfiles && !shouldCancel) {
+      const quotas = samplingQuotas(state.querySummary, maxProfiles, options.stratify);
+      if (countStratum(state.reviewers, stream.reviewType) >= quotas[stream.reviewType]) break;
 
-      if (!data.success) {
-        await logProgress(`API returned success=false, stopping`, 'warning');
-        break;
-      }
+      state.requestCount++;
+      const url = reviewQueryUrl(appId, stream, filters, windowStart);
 
-      if (!data.reviews || data.reviews.length === 0) {
-        await logProgress(`No more reviews available`, 'info');
-        break;
-      }
+      await logProgress(`API request #${state.requestCount}: Fetching up to 100 ${describeStream(stream)} reviews`, 'info');
 
-      await logProgress(`Received ${data.reviews.length} reviews from API`, 'success');
+      try {
+        const response = await fetchWithRetry(url);
+        const data = JSON.parse(response);
 
-      for (const review of data.reviews) {
-        reviewers.push({
-          steamId: review.author.steamid,
-          profileUrl: `${STEAM_COMMUNITY_URL}/profiles/${review.author.steamid}`,
-          votedUp: review.voted_up
-        });
-      }
+        if (!data.success) {
+          await logProgress(`API returned success=false, stopping`, 'warning');
+          stream.done = true;
+          break;
+        }
 
-      totalFetched += data.reviews.length;
-      await updateProgress(`Collected ${totalFetched} reviewers...`);
-      await logProgress(`Total reviewers collected: ${totalFetched}/${maxProfiles}`, 'info');
-      
-      if (!data.cursor || data.reviews.length < 100 || totalFetched >= maxProfiles) {
-        await logProgress(`Stopping: ${!data.cursor ? 'no more pages' : totalFetched >= maxProfiles ? 'reached limit' : 'last page'}`, 'info');
+        if (!data.reviews || data.reviews.length === 0) {
+          await logProgress(`No more ${describeStream(stream)} reviews available`, 'info');
+          stream.done = true;
+          break;
+        }
+
+        if (!state.querySummary && data.query_summary && data.query_summary.total_reviews !== undefined) {
+          state.querySummary = data.query_summary;
+        }
+
+        await logProgress(`Received ${data.reviews.length} reviews from API`, 'success');
+
+        const pageQuotas = samplingQuotas(state.querySummary, maxProfiles, options.stratify);
+        let reachedWindowStart = false;
+        for (const review of data.reviews) {
+          // The API's day_range doesn't cover every stream or window, so the window is checked here too
+          if (windowStart !== null && review.timestamp_created * 1000 < windowStart) {
+            state.skipped.outsideWindow++;
+            reachedWindowStart = true;
+            continue;
+          }
+          if (seenSteamIds.has(review.author.steamid)) {
+            state.skipped.duplicates++;
+            continue;
+          }
+          seenSteamIds.add(review.author.steamid);
+
+          const candidate = {
+            steamId: review.author.steamid,
+            profileUrl: `${STEAM_COMMUNITY_URL}/profiles/${review.author.steamid}`,
+            votedUp: review.voted_up,
+            authorReviews: review.author.num_reviews,
+            targetReview: targetReviewMetadata(review)
+          };
+
+          // The API doesn't report num_reviews for every author; those are given the benefit of the doubt
+          if (typeof candidate.authorReviews === 'number' && candidate.authorReviews < options.minAuthorReviews) {
+            state.reserve.push(candidate);
+          } else if (state.reviewers.length < maxProfiles && countStratum(state.reviewers, stratumOf(candidate)) < pageQuotas[stratumOf(candidate)]) {
+            state.reviewers.push(candidate);
+          } else {
+            state.overflow.push(candidate);
+          }
+        }
+
+        await updateProgress(`Collected ${state.reviewers.length} reviewers...`, { phase: 'gameReviewers', processed: state.reviewers.length, total: maxProfiles });
+        await logProgress(`Total reviewers collected: ${state.reviewers.length}/${maxProfiles}`, 'info');
+
+        // Recent reviews come newest first, so nothing after this page is inside the window
+        if (reachedWindowStart && stream.filter === 'recent') {
+          await logProgress(`Finished ${describeStream(stream)} reviews: reached the start of the time window`, 'info');
+          stream.done = true;
+          break;
+        }
+
+        if (!data.cursor || data.reviews.length < 100) {
+          await logProgress(`Finished ${describeStream(stream)} reviews: ${!data.cursor ? 'no more pages' : 'last page'}`, 'info');
+          stream.done = true;
+          break;
+        }
+
+        const cursor = encodeURIComponent(data.cursor);
+        // The API occasionally hands back a cursor it already returned, which would loop forever
+        if (stream.seenCursors.includes(cursor)) {
+          await logProgress(`Stopping ${describeStream(stream)} reviews: API returned a cursor it already returned (pagination loop)`, 'warning');
+          stream.done = true;
+          break;
+        }
+        stream.cursor = cursor;
+        stream.seenCursors.push(cursor);
+        await saveCheckpoint({ reviewerCursor: state });
+
+      } catch (error) {
+        await logProgress(`Error fetching game reviews: ${error.message}`, 'error');
+        stream.done = true;
         break;
       }
-      
-      cursor = encodeURIComponent(data.cursor);
-      await delay(500);
-      
-    } catch (error) {
-      await logProgress(`Error fetching game reviews: ${error.message}`, 'error');
-      break;
     }
   }
 
-  const trimmed = reviewers.slice(0, maxProfiles);
-  await logProgress(`Collected ${trimmed.length} reviewer profiles`, 'success');
-  
-  return trimmed;
+  // Streams ran dry before the budget was filled: top up with the other stratum, then with the few-review authors
+  const reviewers = [...state.reviewers];
+  const fromOverflow = state.overflow.slice(0, Math.max(0, maxProfiles - reviewers.length));
+  reviewers.push(...fromOverflow);
+  const fromReserve = state.reserve.slice(0, Math.max(0, maxProfiles - reviewers.length));
+  reviewers.push(...fromReserve);
+
+  await logSamplingSummary(state, options, {
+    overflowUsed: fromOverflow.length,
+    reserveUsed: fromReserve.length
+  });
+  await logProgress(`Collected ${reviewers.length} reviewer profiles`, 'success');
+
+  return { reviewers, querySummary: state.querySummary };
+}
+
+// One stream per API filter and, when stratifying, per review type
+function createSamplingStreams(options) {
+  const filters = ['all'];
+  if (options.includeRecent) filters.push('recent');
+  if (options.includeUpdated) filters.push('updated');
+  const reviewTypes = options.stratify ? ['positive', 'negative'] : ['all'];
+
+  const streams = [];
+  for (const filter of filters) {
+    for (const reviewType of reviewTypes) {
+      streams.push({ filter, reviewType, cursor: '*', seenCursors: ['*'], done: false });
+    }
+  }
+  return streams;
+}
+
+// Earliest posting time the reviewer filters allow (ms), or null when any age will do
+function reviewWindowStart(filters, now = Date.now()) {
+  const starts = [];
+  if (filters.windowDays > 0) starts.push(now - filters.windowDays * DAY_MS);
+  if (filters.sinceDate) {
+    const since = Date.parse(filters.sinceDate);
+    if (!Number.isNaN(since)) starts.push(since);
+  }
+  return starts.length > 0 ? Math.max(...starts) : null;
+}
+
+// appreviews query for one sampling stream, restricted by the reviewer filters
+function reviewQueryUrl(appId, stream, filters, windowStart = null, now = Date.now()) {
+  const windowDays = windowStart !== null ? Math.ceil((now - windowStart) / DAY_MS) : null;
+  const dayRange = windowDays !== null && windowDays <= MAX_API_DAY_RANGE ? windowDays : '9223372036854775807';
+  return `${STEAM_API_REVIEW_URL}${appId}?json=1&filter=${stream.filter}&language=${filters.languages}&day_range=${dayRange}&cursor=${stream.cursor}&review_type=${stream.reviewType}&purchase_type=${filters.purchaseType}&num_per_page=100`;
+}
+
+function describeStream(stream) {
+  return stream.reviewType === 'all' ? stream.filter : `${stream.filter}/${stream.reviewType}`;
+}
+
+function stratumOf(reviewer) {
+  return reviewer.votedUp ? 'positive' : 'negative';
+}
+
+function countStratum(reviewers, reviewType) {
+  return reviewType === 'all' ? reviewers.length : reviewers.filter(r => stratumOf(r) === reviewType).length;
+}
+
+// Per-stratum budget: the game's positive share of maxProfiles. Until the first page reports the
+// totals (or when not stratifying) either side may take the whole budget.
+function samplingQuotas(querySummary, maxProfiles, stratify) {
+  const total = querySummary ? (querySummary.total_positive || 0) + (querySummary.total_negative || 0) : 0;
+  if (!stratify || total === 0) {
+    return { all: maxProfiles, positive: maxProfiles, negative: maxProfiles };
+  }
+
+  const positive = Math.round(maxProfiles * (querySummary.total_positive / total));
+  return { all: maxProfiles, positive, negative: maxProfiles - positive };
+}
+
+async function logSamplingSummary(state, options, { overflowUsed, reserveUsed }) {
+  const { skipped, overflow, reserve } = state;
+  if (skipped.duplicates > 0) {
+    await logProgress(`Skipped ${skipped.duplicates} duplicate reviewers`, 'info');
+  }
+  if (skipped.outsideWindow > 0) {
+    await logProgress(`Skipped ${skipped.outsideWindow} reviews posted before the time window`, 'info');
+  }
+
+  const unusedReserve = reserve.length - reserveUsed;
+  if (unusedReserve > 0) {
+    await logProgress(`Skipped ${unusedReserve} reviewers with fewer than ${options.minAuthorReviews} reviews`, 'info');
+  } else if (reserveUsed > 0) {
+    await logProgress(`Used ${reserveUsed} reviewers with fewer than ${options.minAuthorReviews} reviews to fill the sample`, 'warning');
+  }
+
+  const unusedOverflow = overflow.length - overflowUsed;
+  if (unusedOverflow > 0) {
+    await logProgress(`Skipped ${unusedOverflow} reviewers whose side (positive/negative) already had its share of the sample`, 'info');
+  } else if (overflowUsed > 0 && options.stratify) {
+    await logProgress(`Not enough reviews on one side: filled ${overflowUsed} places with the other side`, 'warning');
+  }
+}
+
+// The appreviews API knows more about the target review than the profile page does
+// (playtime at review time rather than total), in the same shape the page parser uses
+function targetReviewMetadata(review) {
+  const author = review.author || {};
+  const playtimeMinutes = author.playtime_at_review !== undefined ? author.playtime_at_review : author.playtime_forever;
+  const toMs = seconds => (seconds ? seconds * 1000 : null);
+
+  return {
+    hoursOnRecord: playtimeMinutes !== undefined ? Math.round((playtimeMinutes / 60) * 10) / 10 : null,
+    postedAt: toMs(review.timestamp_created),
+    updatedAt: review.timestamp_updated && review.timestamp_updated !== review.timestamp_created ? toMs(review.timestamp_updated) : null,
+    helpfulCount: review.votes_up !== undefined ? review.votes_up : null,
+    receivedForFree: Boolean(review.received_for_free),
+    earlyAccess: Boolean(review.written_during_early_access)
+  };
 }
 
 // Fetch all reviews for all reviewers
-async function fetchAllReviewerData(reviewers, maxProfiles) {
-  const reviewerData = [];
-  let processed = 0;
-  let successCount = 0;
-  let errorCount = 0;
-  let privateProfileCount = 0;
+// Profiles are fetched by a small pool of workers; the per-host rate limiter keeps the
+// combined request rate within budget no matter how many are in flight.
+// scoreSoFar(reviewerData) gives the matches and provisional score reported with progress events.
+async function fetchAllReviewerData(reviewers, maxProfiles, cacheOptions = { enabled: false }, resumeFrom = null, concurrency = 1, scoreSoFar = null) {
+  const stats = resumeFrom ? { ...resumeFrom.stats } : {
+    successCount: 0,
+    errorCount: 0,
+    privateProfileCount: 0,
+    cacheHitCount: 0,
+    refreshedCount: 0,
+    networkFetchCount: 0
+  };
+  const completedIds = new Set(resumeFrom ? resumeFrom.completedIds : []);
+  // Only the ids of profiles whose history was kept are checkpointed; the histories come back from the cache
+  const keptIds = new Set();
+  const reviewerData = resumeFrom ? await restoreReviewerData(reviewers, resumeFrom, cacheOptions, completedIds, keptIds, stats) : [];
+  const pending = reviewers.filter(r => !completedIds.has(r.steamId));
+  const workerCount = Math.max(1, Math.min(concurrency, pending.length));
+  const total = reviewers.length;
+  const startTime = Date.now();
+  let started = completedIds.size;
+  let nextIndex = 0;
+  let provisional = { matches: null, provisionalScore: null };
+  let provisionalAt = 0;
 
-  await logProgress(`Starting to fetch review data from ${reviewers.length} profiles`, 'info');
+  if (resumeFrom) {
+    await logProgress(`Resuming profile analysis at ${completedIds.size}/${total}`, 'info');
+  } else {
+    await logProgress(`Starting to fetch review data from ${total} profiles`, 'info');
+  }
+  await logProgress(`Using ${workerCount} concurrent profile fetch${workerCount === 1 ? '' : 'es'}`, 'info');
+
+  async function processReviewer(reviewer) {
+    const position = ++started;
+    // With several profiles in flight, sub-lines need the steamid to be readable
+    const tag = workerCount > 1 ? `[${reviewer.steamId}] ` : '';
 
-  for (const reviewer of reviewers) {
-    if (shouldCancel) break;
-    
     try {
-      processed++;
+      await logProgress(`[${position}/${total}] Fetching reviews for steamid ${reviewer.steamId}...`, 'info');
       
-      const progressPercent = Math.round((processed / reviewers.length) * 100);
-      await updateProgress(`Analyzing profile ${processed}/${reviewers.length} (${progressPercent}%)...`);
-      await logProgress(`[${processed}/${reviewers.length}] (${progressPercent}%) Fetching reviews for steamid ${reviewer.steamId}...`, 'info');
+      const { reviews, source } = await getReviewerReviews(reviewer.steamId, cacheOptions);
       
-      const reviews = await fetchReviewerReviews(reviewer.steamId);
+      // A cancelled profile may be incomplete, so it is neither counted nor checkpointed
+      if (shouldCancel) return;
+      
+      if (source === 'cache') {
+        stats.cacheHitCount++;
+        await logProgress(`  └─ ${tag}Using cached history (${reviews.length} reviews)`, 'info');
+      } else if (source === 'refreshed') {
+        stats.cacheHitCount++;
+        await logProgress(`  └─ ${tag}No new reviews since last fetch, cache refreshed`, 'info');
+      } else if (source === 'batch') {
+        stats.cacheHitCount++;
+        await logProgress(`  └─ ${tag}Reusing history fetched earlier in this batch (${reviews.length} reviews)`, 'info');
+      } else {
+        stats.networkFetchCount++;
+        if (source === 'rewalked') stats.refreshedCount++;
+      }
       
       if (reviews.length === 0) {
-        await logProgress(`  └─ Profile appears to be private or has no reviews (skipping)`, 'warning');
-        privateProfileCount++;
+        await logProgress(`  └─ ${tag}Profile appears to be private or has no reviews (skipping)`, 'warning');
+        stats.privateProfileCount++;
       } else {
-        await logProgress(`  └─ Found ${reviews.length} reviews from this profile`, 'success');
+        await logProgress(`  └─ ${tag}Found ${reviews.length} reviews from this profile`, 'success');
         reviewerData.push({
           steamId: reviewer.steamId,
-          reviews: reviews
+          reviews: reviews,
+          ...(reviewer.targetReview ? { targetReview: reviewer.targetReview } : {})
         });
-        successCount++;
-      }
-      
-      if (processed % 10 === 0) {
-        await logProgress(`Rate limiting: Pausing for ${DELAY_BETWEEN_REQUESTS}ms...`, 'info');
-        await delay(DELAY_BETWEEN_REQUESTS);
+        keptIds.add(reviewer.steamId);
+        stats.successCount++;
       }
       
     } catch (error) {
-      errorCount++;
+      stats.errorCount++;
       await logProgress(`  └─ Error fetching reviews for ${reviewer.steamId}: ${error.message}`, 'error');
     }
+
+    completedIds.add(reviewer.steamId);
+
+    const completed = completedIds.size;
+    const progressPercent = Math.round((completed / total) * 100);
+    const scannedThisRun = completed - (total - pending.length);
+    const etaMs = scannedThisRun > 0 ? Math.round(((Date.now() - startTime) / scannedThisRun) * (total - completed)) : null;
+    if (scoreSoFar && (completed === total || Date.now() - provisionalAt >= PROVISIONAL_SCORE_EVERY_MS)) {
+      provisional = scoreSoFar(reviewerData);
+      provisionalAt = Date.now();
+    }
+    await updateProgress(`Analyzed ${completed}/${total} profiles (${progressPercent}%)...`, {
+      phase: 'reviewerData',
+      processed: completed,
+      total,
+      etaMs,
+      ...provisional
+    });
+
+    if (completed % CHECKPOINT_EVERY_PROFILES === 0 || completed === total) {
+      await saveCheckpoint({ reviewerProgress: { completedIds: [...completedIds], keptIds: [...keptIds], stats } });
+    }
+  }
+
+  async function worker() {
+    while (!shouldCancel && nextIndex < pending.length) {
+      await processReviewer(pending[nextIndex++]);
+    }
   }
 
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  const elapsedMinutes = (Date.now() - startTime) / 60000;
+  const scannedThisRun = completedIds.size - (total - pending.length);
+  const profilesPerMinute = elapsedMinutes > 0 ? scannedThisRun / elapsedMinutes : 0;
+
   await logProgress(`Profile scanning complete!`, 'success');
-  await logProgress(`  ├─ Successfully scanned: ${successCount}`, 'success');
-  await logProgress(`  ├─ Private/empty profiles: ${privateProfileCount}`, 'warning');
-  await logProgress(`  └─ Errors: ${errorCount}`, errorCount > 0 ? 'warning' : 'info');
+  await logProgress(`  ├─ Successfully scanned: ${stats.successCount}`, 'success');
+  await logProgress(`  ├─ Private/empty profiles: ${stats.privateProfileCount}`, 'warning');
+  await logProgress(`  ├─ Errors: ${stats.errorCount}`, stats.errorCount > 0 ? 'warning' : 'info');
+  await logProgress(`  ├─ Cache hits: ${stats.cacheHitCount}`, 'info');
+  await logProgress(`  ├─ Network fetches: ${stats.networkFetchCount} (${stats.refreshedCount} stale histories re-walked)`, 'info');
+  await logProgress(`  └─ Throughput: ${scannedThisRun} profiles in ${elapsedMinutes.toFixed(1)} min = ${profilesPerMinute.toFixed(1)} profiles/min at concurrency ${workerCount}`, 'info');
 
   return reviewerData;
 }
 
-// Fetch reviews for a specific reviewer
-async function fetchReviewerReviews(steamId) {
-  try {
-    const baseUrl = `${STEAM_COMMUNITY_URL}/profiles/${steamId}/recommended/`;
-    return await fetchAllReviewsFromProfile(baseUrl, steamId);
-  } catch (error) {
-    try {
-      const baseUrl = `${STEAM_COMMUNITY_URL}/id/${steamId}/recommended/`;
-      return await fetchAllReviewsFromProfile(baseUrl, steamId);
+// Rebuild the histories kept before an interruption from the reviewer cache. Profiles whose history
+// isn't there (the cache is off, or the entry is gone) are dropped from completedIds to be fetched again.
+async function restoreReviewerData(reviewers, progress, cacheOptions, completedIds, keptIds, stats) {
+  const byId = new Map(reviewers.map(reviewer => [reviewer.steamId, reviewer]));
+  const reviewerData = [];
+
+  for (const steamId of progress.keptIds || []) {
+    const reviewer = byId.get(steamId);
+    const cached = reviewer && cacheOptions.enabled ? await getCachedReviewer(steamId) : null;
+    if (!cached) {
+      completedIds.delete(steamId);
+      stats.successCount--;
+      continue;
+    }
+    reviewerData.push({
+      steamId,
+      reviews: cached.reviews,
+      ...(reviewer.targetReview ? { targetReview: reviewer.targetReview } : {})
+    });
+    keptIds.add(steamId);
+  }
+
+  const missing = (progress.keptIds || []).length - reviewerData.length;
+  if (missing > 0) {
+    await logProgress(`${missing} checkpointed profile${missing === 1 ? ' is' : 's are'} not cached and will be fetched again`, 'info');
+  }
+  return reviewerData;
+}
+
+// Get a reviewer's history, reusing one already fetched earlier in the same batch
+async function getReviewerReviews(steamId, cacheOptions) {
+  const shared = cacheOptions.shared;
+  if (shared && shared.has(steamId)) {
+    return { reviews: shared.get(steamId), source: 'batch' };
+  }
+
+  const result = await loadReviewerReviews(steamId, cacheOptions);
+  if (shared && result.reviews.length > 0) {
+    shared.set(steamId, result.reviews);
+  }
+  return result;
+}
+
+// Load a reviewer's history, preferring the local cache when it is fresh enough.
+// Returns { reviews, source } where source is 'cache', 'refreshed', 'rewalked' or 'network'.
+async function loadReviewerReviews(steamId, cacheOptions) {
+  if (!cacheOptions.enabled) {
+    return { reviews: await fetchReviewerReviews(steamId), source: 'network' };
+  }
+
+  const cached = await getCachedReviewer(steamId);
+
+  if (cached && Date.now() - cached.fetchedAt <= cacheOptions.maxAgeMs) {
+    return { reviews: cached.reviews, source: 'cache' };
+  }
+
+  // Stale entry: check page 1 for anything new before re-walking the whole history
+  let firstPage = null;
+  if (cached && cacheOptions.incremental) {
+    const html = await fetchWithRetry(`${STEAM_COMMUNITY_URL}/profiles/${steamId}/recommended/`);
+    firstPage = html ? await parseReviewsWithHealth(html) : null;
+
+    if (firstPage && firstPage.reviews.length > 0 && !hasNewReviews(firstPage.reviews, cached.reviews)) {
+      await putCachedReviewer(steamId, cached.reviews);
+      return { reviews: cached.reviews, source: 'refreshed' };
+    }
+  }
+
+  // The re-walk starts from the page 1 just checked instead of requesting it again
+  const reviews = await fetchReviewerReviews(steamId, firstPage);
+
+  // Empty results can't be told apart from failed fetches, so they aren't cached
+  if (reviews.length > 0) {
+    await putCachedReviewer(steamId, reviews);
+  }
+
+  return { reviews, source: cached ? 'rewalked' : 'network' };
+}
+
+// True if any review on the fetched page is missing from (or differs in) the cached list
+function hasNewReviews(pageReviews, cachedReviews) {
+  const cachedVotes = new Map(cachedReviews.map(r => [r.appId, r.isPositive]));
+  return pageReviews.some(r => cachedVotes.get(r.appId) !== r.isPositive);
+}
+
+// Fetch reviews for a specific reviewer; `firstPage` is an already parsed page 1 of their /profiles/ URL
+async function fetchReviewerReviews(steamId, firstPage = null) {
+  try {
+    const baseUrl = `${STEAM_COMMUNITY_URL}/profiles/${steamId}/recommended/`;
+    return await fetchAllReviewsFromProfile(baseUrl, steamId, profilePageLimit, () => shouldCancel, firstPage);
+  } catch (error) {
+    try {
+      const baseUrl = `${STEAM_COMMUNITY_URL}/id/${steamId}/recommended/`;
+      return await fetchAllReviewsFromProfile(baseUrl, steamId);
     } catch (error2) {
       return [];
     }
   }
 }
 
-// Fetch all reviews from a profile with pagination
-async function fetchAllReviewsFromProfile(baseUrl, profileLabel = 'Profile') {
+// Fetch all reviews from a profile with pagination. A `firstPage` ({ reviews, health } from
+// parseReviewsWithHealth) is used as page 1 instead of fetching it.
+async function fetchAllReviewsFromProfile(baseUrl, profileLabel = 'Profile', maxPages = profilePageLimit, isCancelled = () => shouldCancel, firstPage = null) {
   const allReviews = [];
   let page = 1;
-  const maxPages = 50;
   
   while (page <= maxPages) {
-    if (shouldCancel) break;
+    if (isCancelled()) break;
     
-    const url = page === 1 ? baseUrl : `${baseUrl}?p=${page}`;
-    
-    // Fetch with logging
-    await logProgress(`  Fetching page ${page} from ${profileLabel}...`, 'info');
-    const html = await fetchWithRetry(url, 3, false);
-    
-    // Handle fetch failure
-    if (!html) {
-      await logProgress(`  Failed to fetch page ${page}, stopping`, 'error');
-      break;
+    let parsed = page === 1 ? firstPage : null;
+    if (!parsed) {
+      const url = page === 1 ? baseUrl : `${baseUrl}?p=${page}`;
+      const html = await fetchWithRetry(url, 3, false, isCancelled);
+
+      // Handle fetch failure
+      if (!html) {
+        await logProgress(`  Failed to fetch page ${page}, stopping`, 'error', { profile: profileLabel, page });
+        break;
+      }
+
+      parsed = await parseReviewsWithHealth(html, false);
     }
+    const { reviews, health } = parsed;
     
-    const reviews = await parseReviewsFromHTML(html, false);
-    
-    await logProgress(`    └─ Found ${reviews.length} reviews on page ${page}`, 'success');
+    await logProgress(`  Page ${page} of ${profileLabel}: ${reviews.length} reviews`, 'debug', { profile: profileLabel, page, reviews: reviews.length });
     
     // No reviews? Stop
     if (reviews.length === 0) {
@@ -355,138 +1110,1269 @@ async function fetchAllReviewsFromProfile(baseUrl, profileLabel = 'Profile') {
     // Add reviews
     allReviews.push(...reviews);
     
-    // Less than 10? Last page - stop
-    if (reviews.length < 10) {
+    // Less than 10 review blocks? Last page - stop (skipped blocks still count towards a full page)
+    if ((health ? health.blocksFound : reviews.length) < 10) {
+      break;
+    }
+    
+    // Page limit reached? Stop without counting a page we never fetched
+    if (page >= maxPages) {
       break;
     }
     
     // Full page (10 reviews)? Try next page
     page++;
-    await delay(200);
   }
   
-  await logProgress(`  TOTAL for ${profileLabel}: ${allReviews.length} reviews from ${page} page(s)`, 'success');
+  await logProgress(`  TOTAL for ${profileLabel}: ${allReviews.length} reviews from ${page} page(s)`, 'success', { profile: profileLabel, pages: page, reviews: allReviews.length });
   return allReviews;
 }
 
 // Parse reviews from HTML
 async function parseReviewsFromHTML(html, silent = false) {
-  const reviews = [];
-  
+  const { reviews } = await parseReviewsWithHealth(html, silent);
+  return reviews;
+}
+
+// Structured parse (see reviewparser.js) plus a log entry whenever the page doesn't match the expected markup
+async function parseReviewsWithHealth(html, silent = false) {
   try {
-    const skipReasons = {
-      noAppId: []
-    };
-    
-    // Find all review vote images (thumbs up/down)
-    const reviewImgPattern = /<img[^>]+src="([^"]*icon_thumbs(Up|Down)[^"]*)"/gi;
-    const reviewImgMatches = [...html.matchAll(reviewImgPattern)];
-    
-    for (const imgMatch of reviewImgMatches) {
-      try {
-        const imgSrc = imgMatch[1];
-        const thumbType = imgMatch[2]; // "Up" or "Down"
-        const imgIndex = imgMatch.index;
-        
-        const isPositive = thumbType === 'Up';
-        
-        // Look backwards from the image to find the app link
-        const searchStart = Math.max(0, imgIndex - 2000);
-        const contextBefore = html.substring(searchStart, imgIndex);
-        
-        const appLinkPattern = /href="[^"]*\/app\/(\d+)/gi;
-        const appLinks = [...contextBefore.matchAll(appLinkPattern)];
-        
-        if (appLinks.length === 0) {
-          skipReasons.noAppId.push(`thumb${thumbType} at position ${imgIndex}`);
-          continue;
-        }
-        
-        const closestAppLink = appLinks[appLinks.length - 1];
-        const appId = closestAppLink[1];
-        
-        // Avoid duplicates
-        if (!reviews.find(r => r.appId === appId && r.isPositive === isPositive)) {
-          reviews.push({ appId, isPositive });
-        }
-        
-      } catch (error) {
-        continue;
-      }
-    }
-    
-    // Log issues
-    if (!silent && skipReasons.noAppId.length > 0) {
-      await logProgress(`  ⚠ Skipped ${skipReasons.noAppId.length} entries (no app ID found)`, 'warning');
+    const { reviews, health } = parseReviewPage(html);
+    recordParserHealth(health);
+
+    if (!silent && !health.healthy) {
+      await logProgress(`  ⚠ Parser health: ${health.warnings.join('; ')}`, 'warning');
     }
-    
+
+    return { reviews, health };
   } catch (error) {
+    parserHealthSummary.failedPages++;
     if (!silent) {
       await logProgress(`Critical error in parseReviewsFromHTML: ${error.message}`, 'error');
     }
+    return { reviews: [], health: null };
   }
-  
-  return reviews;
 }
 
-// Calculate the final score
-function calculateScore(userReviews, reviewerData, targetAppId, minOverlap, minSimilarity) {
-  const userReviewMap = new Map();
-  for (const review of userReviews) {
-    userReviewMap.set(review.appId, review.isPositive);
+function createParserHealthSummary() {
+  return {
+    pages: 0,
+    unhealthyPages: 0,
+    fallbackStrategyPages: 0,
+    failedPages: 0,
+    skippedReviews: 0,
+    fallbacksUsed: {}
+  };
+}
+
+function recordParserHealth(health) {
+  const summary = parserHealthSummary;
+  summary.pages++;
+  if (!health.healthy) summary.unhealthyPages++;
+  if (health.strategy === 'thumb_fallback') summary.fallbackStrategyPages++;
+  summary.skippedReviews += health.skipped.noAppId + health.skipped.noVote;
+  for (const [field, count] of Object.entries(health.fallbacksUsed)) {
+    summary.fallbacksUsed[field] = (summary.fallbacksUsed[field] || 0) + count;
   }
+}
+
+async function logParserHealthSummary() {
+  const summary = parserHealthSummary;
+  if (summary.pages === 0) return;
+
+  const healthy = summary.unhealthyPages === 0 && summary.failedPages === 0;
+  await logProgress(`Parser health: ${summary.pages - summary.unhealthyPages}/${summary.pages} pages matched the expected structure`, healthy ? 'info' : 'warning');
+
+  if (!healthy) {
+    const fallbacks = Object.entries(summary.fallbacksUsed).map(([field, count]) => `${field}×${count}`).join(', ') || 'none';
+    await logProgress(`  ├─ Recovered via vote-image fallback: ${summary.fallbackStrategyPages} page(s)`, 'warning');
+    await logProgress(`  ├─ Reviews skipped: ${summary.skippedReviews}, unparseable pages: ${summary.failedPages}`, 'warning');
+    await logProgress(`  └─ Fallback selectors used: ${fallbacks}. Steam may have changed its markup.`, 'warning');
+  }
+}
+
+// Calculate the final score
+// Both scores are always computed; scoringMode only picks which one is reported as `score`.
+// - threshold: reviewers passing minOverlap/minSimilarity count as equal votes
+// - weighted: every overlapping reviewer votes, weighted by the Wilson lower bound of their agreement
+// Pinned (trusted) reviewers count as matches whatever their overlap, provided they reviewed the target.
+// With reviewWeighting filters on, down-weighted reviews count for less both as the target vote
+// and in the overlap agreement; with every filter off all weights are 1 and nothing changes.
+// A tagProfile (loadTagProfile) also weights each overlapping game by the tags it shares with the target.
+function calculateScore(userReviews, reviewerData, targetAppId, minOverlap, minSimilarity, scoringMode = 'threshold', pinnedIds = [], reviewWeighting = null, tagProfile = null) {
+  const pinned = new Set(pinnedIds);
+  const weighting = activeReviewWeighting(reviewWeighting);
+  const now = Date.now();
+  const userReviewMap = buildUserReviewMap(userReviews, weighting, now);
+  const weightingStats = createWeightingStats(weighting);
+  const overlappingGames = new Set();
+  const matchedAgreements = []; // App IDs the matched reviewers agreed with the user on, for tagDrivers
 
   let matchingReviewers = 0;
   let positiveCount = 0;
   let totalOverlap = 0;
+  const matchedReviewerIds = [];
+  // Threshold votes, each scaled by its target review's metadata weight
+  let voteWeight = 0;
+  let positiveVoteWeight = 0;
+  let squaredVoteWeight = 0;
+
+  let weightedReviewers = 0;
+  let totalWeight = 0;
+  let totalSquaredWeight = 0;
+  let positiveWeight = 0;
+  const neighbours = [];
 
   for (const reviewer of reviewerData) {
-    let overlapCount = 0;
-    let agreementCount = 0;
+    const comparison = compareWithUser(reviewer, userReviewMap, weighting, now, tagProfile);
+    const { overlapCount, agreementCount, weightedOverlap, weightedAgreement } = comparison;
+    weightingStats.overlapPairs.total += overlapCount;
+    weightingStats.overlapPairs.downweighted += comparison.downweighted;
+    if (tagProfile) {
+      for (const game of [...comparison.agreed, ...comparison.disagreed]) overlappingGames.add(game.appId);
+    }
 
-    for (const review of reviewer.reviews) {
-      if (userReviewMap.has(review.appId)) {
-        overlapCount++;
-        if (userReviewMap.get(review.appId) === review.isPositive) {
-          agreementCount++;
-        }
-      }
+    const isPinned = pinned.has(reviewer.steamId);
+    const historyReview = reviewer.reviews.find(r => r.appId === targetAppId);
+    // Prefer the API's metadata for the target review, keeping the vote from the history
+    const targetReview = historyReview && reviewer.targetReview ? { ...historyReview, ...reviewer.targetReview, isPositive: historyReview.isPositive } : historyReview;
+    const votedPositive = Boolean(targetReview && targetReview.isPositive);
+    const target = targetReview ? reviewWeight(targetReview, weighting, now) : { weight: 1, reasons: [] };
+    const similarity = weightedOverlap > 0 ? (weightedAgreement / weightedOverlap) * 100 : 0;
+    const neighbour = {
+      steamId: reviewer.steamId,
+      overlapCount,
+      agreementCount,
+      similarity: Math.round(similarity),
+      weight: weightedOverlap > 0 ? wilsonLowerBound(weightedAgreement, weightedOverlap) : 0,
+      targetVote: targetReview ? targetReview.isPositive : null,
+      targetWeight: target.weight,
+      downweightReasons: target.reasons,
+      pinned: isPinned,
+      agreed: comparison.agreed,
+      disagreed: comparison.disagreed
+    };
+
+    // A pinned reviewer who never reviewed this game has no vote to contribute
+    if (isPinned && !targetReview) {
+      neighbours.push(neighbour);
+      continue;
     }
 
-    if (overlapCount >= minOverlap) {
-      const similarity = (agreementCount / overlapCount) * 100;
-      
-      if (similarity >= minSimilarity) {
-        matchingReviewers++;
-        totalOverlap += overlapCount;
-        
-        const targetReview = reviewer.reviews.find(r => r.appId === targetAppId);
-        if (targetReview && targetReview.isPositive) {
-          positiveCount++;
-        }
+    if (overlapCount === 0 && !isPinned) continue;
+
+    if (targetReview) {
+      recordWeightingReasons(weightingStats.targetVotes, target.reasons);
+    }
+
+    const weight = neighbour.weight * target.weight;
+    weightedReviewers++;
+    totalWeight += weight;
+    totalSquaredWeight += weight * weight;
+    if (votedPositive) {
+      positiveWeight += weight;
+    }
+
+    if (isPinned || (overlapCount >= minOverlap && similarity >= minSimilarity)) {
+      matchingReviewers++;
+      totalOverlap += overlapCount;
+      matchedReviewerIds.push(reviewer.steamId);
+      neighbours.push(neighbour);
+      matchedAgreements.push(...comparison.agreed.map(game => game.appId));
+
+      voteWeight += target.weight;
+      squaredVoteWeight += target.weight * target.weight;
+      if (votedPositive) {
+        positiveCount++;
+        positiveVoteWeight += target.weight;
       }
     }
   }
 
-  const score = matchingReviewers > 0 ? Math.round((positiveCount / matchingReviewers) * 100) : 0;
+  neighbours.sort((a, b) => b.pinned - a.pinned || b.similarity - a.similarity || b.overlapCount - a.overlapCount);
+
+  const thresholdScore = voteWeight > 0 ? Math.round((positiveVoteWeight / voteWeight) * 100) : 0;
+  const weightedScore = totalWeight > 0 ? Math.round((positiveWeight / totalWeight) * 100) : 0;
   const avgOverlap = matchingReviewers > 0 ? totalOverlap / matchingReviewers : 0;
 
+  // Kish effective sample size: how many equally weighted votes the weighted score is worth
+  const effectiveSampleSize = totalSquaredWeight > 0 ? (totalWeight * totalWeight) / totalSquaredWeight : 0;
+  // Equals matchingReviewers unless review weighting scaled some threshold votes down
+  const thresholdSampleSize = squaredVoteWeight > 0 ? (voteWeight * voteWeight) / squaredVoteWeight : 0;
+
+  const thresholdInterval = voteWeight > 0
+    ? toPercentInterval(wilsonInterval((positiveVoteWeight / voteWeight) * thresholdSampleSize, thresholdSampleSize))
+    : toPercentInterval(wilsonInterval(0, 0));
+  const weightedInterval = totalWeight > 0
+    ? toPercentInterval(wilsonInterval((positiveWeight / totalWeight) * effectiveSampleSize, effectiveSampleSize))
+    : { low: 0, high: 0 };
+
+  const isWeighted = scoringMode === 'weighted';
+  const sampleSize = isWeighted ? effectiveSampleSize : thresholdSampleSize;
+  const confidenceInterval = isWeighted ? weightedInterval : thresholdInterval;
+
   return {
-    score,
+    score: isWeighted ? weightedScore : thresholdScore,
+    scoringMode,
+    thresholdScore,
+    weightedScore,
+    confidenceInterval,
+    thresholdInterval,
+    weightedInterval,
+    effectiveSampleSize: Math.round(effectiveSampleSize * 10) / 10,
+    reliability: rateReliability(sampleSize, confidenceInterval),
+    sampleTooSmall: sampleSize < MIN_MEANINGFUL_SAMPLE,
     totalReviewers: reviewerData.length,
     matchingReviewers,
     positiveCount,
+    weightedReviewers,
+    totalWeight,
+    matchedReviewerIds,
+    neighbours,
+    reviewWeighting: weighting ? weightingStats : null,
+    tagSimilarity: tagProfile ? summarizeTagSimilarity(tagProfile, overlappingGames, matchedAgreements) : null,
     avgOverlap,
     minOverlap,
     minSimilarity
   };
 }
 
+// The weighting options with at least one filter switched on, or null when none is
+function activeReviewWeighting(options) {
+  if (!options) return null;
+  const weighting = { ...DEFAULT_REVIEW_WEIGHTING, ...options };
+  const anyEnabled = weighting.lowPlaytime || weighting.freeKey || weighting.earlyAccess || weighting.oldReviews || weighting.updated;
+  return anyEnabled ? weighting : null;
+}
+
+// Metadata weight of one review: REVIEW_DOWNWEIGHT for every enabled filter it trips.
+// Missing metadata (e.g. older cached histories) never trips a filter.
+function reviewWeight(review, weighting, now = Date.now()) {
+  const reasons = [];
+  if (!weighting) return { weight: 1, reasons };
+
+  if (weighting.lowPlaytime && typeof review.hoursOnRecord === 'number' && review.hoursOnRecord < weighting.minHours) {
+    reasons.push('lowPlaytime');
+  }
+  if (weighting.freeKey && review.receivedForFree) {
+    reasons.push('freeKey');
+  }
+  if (weighting.earlyAccess && review.earlyAccess) {
+    reasons.push('earlyAccess');
+  }
+  if (weighting.oldReviews && review.postedAt && now - review.postedAt > weighting.maxAgeYears * YEAR_MS) {
+    reasons.push('oldReview');
+  }
+  if (weighting.updated && review.updatedAt) {
+    reasons.push('updated');
+  }
+
+  return { weight: Math.pow(REVIEW_DOWNWEIGHT, reasons.length), reasons };
+}
+
+// appId -> { isPositive, weight } for the user's own reviews and ratings.
+// Ratings inferred from playtime carry a sourceWeight below 1.
+function buildUserReviewMap(userReviews, weighting, now) {
+  const userReviewMap = new Map();
+  for (const review of userReviews) {
+    const sourceWeight = review.sourceWeight !== undefined ? review.sourceWeight : 1;
+    userReviewMap.set(review.appId, { isPositive: review.isPositive, weight: reviewWeight(review, weighting, now).weight * sourceWeight });
+  }
+  return userReviewMap;
+}
+
+// Line a reviewer's history up against the user's reviews. Each overlapping game counts once in
+// overlapCount/agreementCount and by the product of both reviews' weights (and its tag weight,
+// with a tagProfile) in the weighted sums.
+function compareWithUser(reviewer, userReviewMap, weighting, now, tagProfile = null) {
+  const comparison = {
+    overlapCount: 0,
+    agreementCount: 0,
+    weightedOverlap: 0,
+    weightedAgreement: 0,
+    downweighted: 0,
+    agreed: [],
+    disagreed: []
+  };
+
+  for (const review of reviewer.reviews) {
+    const userReview = userReviewMap.get(review.appId);
+    if (!userReview) continue;
+
+    const metadataWeight = reviewWeight(review, weighting, now).weight * userReview.weight;
+    const pairWeight = metadataWeight * tagWeightFor(tagProfile, review.appId);
+    comparison.overlapCount++;
+    comparison.weightedOverlap += pairWeight;
+    if (metadataWeight < 1) comparison.downweighted++;
+
+    if (userReview.isPositive === review.isPositive) {
+      comparison.agreementCount++;
+      comparison.weightedAgreement += pairWeight;
+      comparison.agreed.push({ appId: review.appId, userPositive: userReview.isPositive });
+    } else {
+      comparison.disagreed.push({ appId: review.appId, userPositive: userReview.isPositive });
+    }
+  }
+
+  return comparison;
+}
+
+// What the result reports about tag weighting: the target's tags, how many overlapping games had
+// tags, and the target tags the matched reviewers' agreement ran through
+function summarizeTagSimilarity(tagProfile, overlappingGames, matchedAgreements) {
+  return {
+    targetTags: tagProfile.targetTags,
+    unrelatedWeight: Math.round(tagProfile.floor * 100),
+    taggedGames: [...overlappingGames].filter(appId => tagProfile.weights.has(appId)).length,
+    overlappingGames: overlappingGames.size,
+    drivers: tagDrivers(tagProfile, matchedAgreements)
+  };
+}
+
+function createWeightingStats(weighting) {
+  return {
+    filters: weighting,
+    targetVotes: { total: 0, downweighted: 0, reasons: {} },
+    overlapPairs: { total: 0, downweighted: 0 }
+  };
+}
+
+function recordWeightingReasons(stats, reasons) {
+  stats.total++;
+  if (reasons.length > 0) stats.downweighted++;
+  for (const reason of reasons) {
+    stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
+  }
+}
+
+// Discover mode: games the taste-matched reviewers rated that the user hasn't reviewed.
+// Reviewers count with the same agreement weight the weighted score uses (threshold mode only
+// takes the matched reviewers, weighted mode every overlapping one). Games are ranked by the
+// Wilson lower bound of their weighted positive share, so a high share needs support to rank high.
+function discoverGames(userReviews, reviewerData, { targetAppId, minOverlap, minSimilarity, scoringMode = 'threshold', minSupport = DISCOVER_MIN_SUPPORT, limit = DISCOVER_TOP_N, reviewWeighting = null }) {
+  const weighting = activeReviewWeighting(reviewWeighting);
+  const now = Date.now();
+  const userReviewMap = buildUserReviewMap(userReviews, weighting, now);
+
+  const games = new Map();
+  let reviewersUsed = 0;
+
+  for (const reviewer of reviewerData) {
+    const { overlapCount, weightedOverlap, weightedAgreement } = compareWithUser(reviewer, userReviewMap, weighting, now);
+    if (overlapCount === 0) continue;
+
+    const matched = overlapCount >= minOverlap && (weightedAgreement / weightedOverlap) * 100 >= minSimilarity;
+    if (scoringMode !== 'weighted' && !matched) continue;
+
+    const weight = wilsonLowerBound(weightedAgreement, weightedOverlap);
+    if (weight <= 0) continue;
+    reviewersUsed++;
+
+    for (const review of reviewer.reviews) {
+      if (userReviewMap.has(review.appId) || review.appId === targetAppId) continue;
+
+      if (!games.has(review.appId)) {
+        games.set(review.appId, { appId: review.appId, support: 0, positiveCount: 0, weight: 0, squaredWeight: 0, positiveWeight: 0 });
+      }
+      const game = games.get(review.appId);
+      const voteWeight = weight * reviewWeight(review, weighting, now).weight;
+      game.support++;
+      game.weight += voteWeight;
+      game.squaredWeight += voteWeight * voteWeight;
+      if (review.isPositive) {
+        game.positiveCount++;
+        game.positiveWeight += voteWeight;
+      }
+    }
+  }
+
+  const ranked = [...games.values()]
+    .filter(game => game.support >= minSupport)
+    .map(game => {
+      const share = game.positiveWeight / game.weight;
+      const effectiveSupport = (game.weight * game.weight) / game.squaredWeight;
+      return {
+        appId: game.appId,
+        support: game.support,
+        positiveCount: game.positiveCount,
+        positiveShare: Math.round(share * 100),
+        lowerBound: wilsonLowerBound(share * effectiveSupport, effectiveSupport)
+      };
+    })
+    .sort((a, b) => b.lowerBound - a.lowerBound || b.support - a.support);
+
+  return {
+    games: ranked.slice(0, limit).map(game => ({ ...game, lowerBound: Math.round(game.lowerBound * 100) })),
+    reviewersUsed,
+    candidateCount: games.size,
+    minSupport
+  };
+}
+
+// Steam's own all-reviews score from the appreviews query_summary
+function summarizeGlobalScore(querySummary) {
+  if (!querySummary || !querySummary.total_reviews) return null;
+
+  return {
+    score: Math.round((querySummary.total_positive / querySummary.total_reviews) * 100),
+    totalPositive: querySummary.total_positive,
+    totalNegative: querySummary.total_negative,
+    totalReviews: querySummary.total_reviews,
+    description: querySummary.review_score_desc || null
+  };
+}
+
+// Positive share among every sampled reviewer of the game, before any taste filtering.
+// Pinned reviewers added outside the sample carry no vote and are left out.
+function summarizeSampleScore(gameReviewers) {
+  const voted = gameReviewers.filter(reviewer => typeof reviewer.votedUp === 'boolean');
+  if (voted.length === 0) return null;
+
+  const positive = voted.filter(reviewer => reviewer.votedUp).length;
+  return {
+    score: Math.round((positive / voted.length) * 100),
+    positive,
+    total: voted.length
+  };
+}
+
+// Personalized score minus each baseline, in percentage points (null where the baseline is missing).
+// vsSample shows what the taste filter itself did; vsGlobal also includes any sampling bias.
+function scoreDeltas(score, globalScore, sampleScore) {
+  return {
+    vsGlobal: globalScore ? score - globalScore.score : null,
+    vsSample: sampleScore ? score - sampleScore.score : null
+  };
+}
+
+function formatDelta(points) {
+  if (points === null) return 'n/a';
+  return `${points > 0 ? '+' : ''}${points} pts`;
+}
+
+// Wilson score interval for a binomial proportion (successes may be fractional for weighted votes)
+function wilsonInterval(successes, trials, z = WILSON_Z) {
+  if (trials <= 0) return { low: 0, high: 0 };
+
+  const p = successes / trials;
+  const z2 = z * z;
+  const denominator = 1 + z2 / trials;
+  const centre = p + z2 / (2 * trials);
+  const margin = z * Math.sqrt((p * (1 - p) + z2 / (4 * trials)) / trials);
+
+  return {
+    low: Math.max(0, (centre - margin) / denominator),
+    high: Math.min(1, (centre + margin) / denominator)
+  };
+}
+
+function wilsonLowerBound(successes, trials, z = WILSON_Z) {
+  return wilsonInterval(successes, trials, z).low;
+}
+
+function toPercentInterval({ low, high }) {
+  return { low: Math.round(low * 100), high: Math.round(high * 100) };
+}
+
+// Rough reliability label from the sample size and the width of the 95% interval
+function rateReliability(sampleSize, interval) {
+  const width = interval.high - interval.low;
+
+  if (sampleSize < MIN_MEANINGFUL_SAMPLE * 2 || width > 40) return 'low';
+  if (sampleSize >= HIGH_RELIABILITY_SAMPLE && width <= 20) return 'high';
+  return 'medium';
+}
+
+// Checkpointing - lets a run survive the service worker being suspended or the browser restarting
+async function saveCheckpoint(patch) {
+  currentCheckpoint = { ...currentCheckpoint, ...patch, updatedAt: Date.now() };
+  try {
+    await chrome.storage.local.set({ analysisCheckpoint: currentCheckpoint });
+  } catch (error) {
+    console.error('Failed to save checkpoint:', error);
+  }
+}
+
+async function clearCheckpoint() {
+  currentCheckpoint = null;
+  await chrome.storage.local.remove('analysisCheckpoint');
+}
+
+async function recoverInterruptedAnalysis() {
+  const { analysisRunning, analysisCheckpoint, batchRunning, batchQueue } = await chrome.storage.local.get(['analysisRunning', 'analysisCheckpoint', 'batchRunning', 'batchQueue']);
+
+  if (!analysisRunning || analysisInProgress) return;
+
+  // A batch is continued game by game from its queue, not from the per-game checkpoint
+  if (batchRunning && batchQueue) {
+    for (const item of batchQueue.items) {
+      if (item.status === 'running') item.status = 'pending';
+    }
+    await chrome.storage.local.remove('analysisCheckpoint');
+    await chrome.storage.local.set({
+      batchRunning: false,
+      batchQueue,
+      analysisRunning: false,
+      analysisInterrupted: false,
+      analysisProgress: 'Interrupted'
+    });
+    await logProgress('Previous batch was interrupted (background worker stopped); continue it from the batch panel', 'warning');
+    return;
+  }
+
+  await chrome.storage.local.set({
+    analysisRunning: false,
+    analysisInterrupted: Boolean(analysisCheckpoint),
+    analysisProgress: 'Interrupted'
+  });
+  await logProgress('Previous analysis was interrupted (background worker stopped)', 'warning');
+}
+
+async function resumeInterruptedAnalysis() {
+  const { analysisCheckpoint } = await chrome.storage.local.get('analysisCheckpoint');
+
+  if (!analysisCheckpoint) {
+    await chrome.storage.local.set({ analysisInterrupted: false });
+    return false;
+  }
+
+  startBackgroundAnalysis(analysisCheckpoint.params, analysisCheckpoint);
+  return true;
+}
+
+// Analysis history - one entry per completed run, newest first
+async function saveToHistory(params, data) {
+  const entry = {
+    id: `${data.appId}-${data.analyzedAt}`,
+    appId: data.appId,
+    gameName: data.gameName,
+    timestamp: data.analyzedAt,
+    params: {
+      scoringMode: params.scoringMode,
+      minOverlap: params.minOverlap,
+      minSimilarity: params.minSimilarity,
+      maxProfiles: params.maxProfiles,
+      reviewerFilters: data.reviewerFilters
+    },
+    score: data.score,
+    counts: {
+      totalReviewers: data.totalReviewers,
+      matchingReviewers: data.matchingReviewers,
+      positiveCount: data.positiveCount
+    },
+    matchedReviewerIds: data.matchedReviewerIds,
+    result: historyResult(data)
+  };
+
+  try {
+    const { analysisHistory = [] } = await chrome.storage.local.get('analysisHistory');
+    analysisHistory.unshift(entry);
+    await saveHistory(analysisHistory.slice(0, MAX_HISTORY_ENTRIES));
+  } catch (error) {
+    await logProgress(`Failed to save result to history: ${error.message}`, 'warning');
+  }
+}
+
+// What a history entry keeps of the result: the fields its row, the comparison table, the CSV export and
+// its reopened result card read. The neighbour and discover lists are left to the latest analysisResult.
+const HISTORY_RESULT_FIELDS = [
+  'appId', 'gameName', 'analyzedAt', 'score', 'scoringMode', 'thresholdScore', 'weightedScore',
+  'confidenceInterval', 'effectiveSampleSize', 'reliability', 'sampleTooSmall', 'totalReviewers',
+  'matchingReviewers', 'weightedReviewers', 'avgOverlap', 'minOverlap', 'minSimilarity', 'reviewerFilters',
+  'tasteSources', 'globalScore', 'sampleScore', 'scoreDeltas', 'reviewWeighting', 'tagSimilarity'
+];
+
+function historyResult(data) {
+  return Object.fromEntries(HISTORY_RESULT_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+}
+
+// History is always written together with appScoreSummary (appId -> that game's latest result),
+// the one small key the store-page panel watches
+async function saveHistory(history) {
+  await chrome.storage.local.set({ analysisHistory: history, appScoreSummary: summarizeHistory(history) });
+}
+
+function summarizeHistory(history) {
+  const summary = {};
+  for (const entry of history) {
+    const current = summary[entry.appId];
+    if (current && current.analyzedAt >= entry.timestamp) continue;
+    summary[entry.appId] = {
+      score: entry.score,
+      scoringMode: entry.params.scoringMode || 'threshold',
+      matchingReviewers: entry.counts.matchingReviewers,
+      weightedReviewers: entry.result.weightedReviewers,
+      analyzedAt: entry.timestamp
+    };
+  }
+  return summary;
+}
+
+async function deleteHistoryEntry(id) {
+  const { analysisHistory = [] } = await chrome.storage.local.get('analysisHistory');
+  const remaining = analysisHistory.filter(entry => entry.id !== id);
+  await saveHistory(remaining);
+  return remaining;
+}
+
+async function migrateStoredHistory() {
+  const { analysisHistory, appScoreSummary } = await chrome.storage.local.get(['analysisHistory', 'appScoreSummary']);
+  if (analysisHistory && !appScoreSummary) {
+    await saveHistory(analysisHistory.map(entry => ({ ...entry, result: historyResult(entry.result) })));
+  }
+}
+
+// Export and import (file format and schemas live in datatransfer.js).
+// Returns { filename, mimeType, content } or { error }.
+async function exportData(kind, format = 'json') {
+  const date = new Date().toISOString().slice(0, 10);
+  let data;
+
+  if (kind === 'results') {
+    const { analysisHistory = [] } = await chrome.storage.local.get('analysisHistory');
+    if (analysisHistory.length === 0) return { error: 'There are no analysis results to export yet.' };
+    if (format === 'csv') {
+      return { filename: `taste-matcher-results-${date}.csv`, mimeType: 'text/csv', content: resultsToCsv(analysisHistory) };
+    }
+    data = analysisHistory;
+  } else if (kind === 'userReviews') {
+    const { userReviews } = await chrome.storage.local.get('userReviews');
+    if (!userReviews) return { error: 'Your reviews haven\'t been fetched yet. Run an analysis first.' };
+    data = userReviews;
+  } else if (kind === 'reviewerDataset') {
+    data = await getAllCachedReviewers();
+    if (data.length === 0) return { error: 'The reviewer cache is empty.' };
+  } else {
+    return { error: `Unknown export type "${kind}".` };
+  }
+
+  return {
+    filename: `taste-matcher-${kind}-${date}.json`,
+    mimeType: 'application/json',
+    content: JSON.stringify(createExport(kind, data))
+  };
+}
+
+// Returns { kind, added, updated, skipped } or { error }
+async function importData(text) {
+  const parsed = parseExport(text);
+  if (parsed.error) return { error: parsed.error };
+
+  const { kind, data } = parsed;
+  let summary;
+
+  if (kind === 'results') {
+    summary = await importResults(data);
+  } else if (kind === 'userReviews') {
+    summary = await importUserReviews(data);
+  } else {
+    const existing = await getAllCachedReviewers();
+    const merged = mergeRecords(existing, data, record => record.steamId, record => record.fetchedAt);
+    await putCachedReviewerRecords(merged.changed);
+    summary = merged;
+  }
+
+  if (summary.error) return { error: summary.error };
+
+  const { added, updated, skipped } = summary;
+  await logProgress(`Imported ${kind}: ${added} added, ${updated} updated, ${skipped} kept (local copy as new or newer)`, 'success');
+  return { kind, added, updated, skipped };
+}
+
+// History keeps every run, so an imported result is added only when it is newer than
+// the latest local result for the same game (and becomes the one shown for it)
+async function importResults(entries) {
+  const { analysisHistory = [] } = await chrome.storage.local.get('analysisHistory');
+  const latest = list => {
+    const byApp = new Map();
+    for (const entry of list) {
+      const current = byApp.get(entry.appId);
+      if (!current || entry.timestamp > current.timestamp) byApp.set(entry.appId, entry);
+    }
+    return [...byApp.values()];
+  };
+
+  const trimmed = entries.map(entry => ({ ...entry, result: historyResult(entry.result) }));
+  const merged = mergeRecords(latest(analysisHistory), latest(trimmed), entry => entry.appId, entry => entry.timestamp);
+  const history = [...merged.changed, ...analysisHistory]
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, MAX_HISTORY_ENTRIES);
+  await saveHistory(history);
+
+  return { added: merged.added, updated: merged.updated, skipped: entries.length - merged.changed.length };
+}
+
+async function importUserReviews(data) {
+  const { userReviews, steamId } = await chrome.storage.local.get(['userReviews', 'steamId']);
+  const ownId = userReviews ? userReviews.steamId : steamId;
+  if (ownId && ownId !== data.steamId) {
+    return { error: `These reviews belong to another Steam account (${data.steamId}); yours is ${ownId}.` };
+  }
+
+  const existing = userReviews ? userReviews.reviews : [];
+  const merged = mergeRecords(existing, data.reviews, review => review.appId, review => review.updatedAt || review.postedAt);
+  await chrome.storage.local.set({
+    userReviews: {
+      steamId: data.steamId,
+      fetchedAt: Math.max(data.fetchedAt, userReviews ? userReviews.fetchedAt : 0),
+      reviews: merged.records
+    }
+  });
+
+  return merged;
+}
+
+// Batch analysis - a queue of games analyzed one after another.
+// The user's own reviews are fetched once for the whole batch, and reviewer histories fetched
+// for one game are reused by the later ones (on top of the IndexedDB cache, which may be off).
+async function startBatchAnalysis(items, settings) {
+  const batch = {
+    settings,
+    startedAt: Date.now(),
+    finishedAt: null,
+    items: items.map(item => ({ appId: String(item.appId), gameName: item.gameName || null, status: 'pending' }))
+  };
+  await runBatch(batch);
+}
+
+// Continue the stored batch: anything not yet done is queued again
+async function continueBatchAnalysis() {
+  const { batchQueue } = await chrome.storage.local.get('batchQueue');
+  if (!batchQueue || !batchQueue.items.some(item => item.status !== 'done')) return false;
+
+  for (const item of batchQueue.items) {
+    if (item.status !== 'done') item.status = 'pending';
+  }
+  batchQueue.finishedAt = null;
+  runBatch(batchQueue);
+  return true;
+}
+
+// Run the batch; an unexpected error marks the game it was on as failed and ends the batch
+async function runBatch(batch) {
+  analysisInProgress = true;
+  shouldCancel = false;
+  tasteProfileCancel = true;
+  try {
+    await runBatchItems(batch);
+  } catch (error) {
+    for (const item of batch.items) {
+      if (item.status === 'running') {
+        item.status = 'error';
+        item.error = error.message;
+      }
+    }
+    await recordRunFailure(error, { batchRunning: false, batchQueue: batch });
+    emitProgress({ phase: 'done', text: 'Error' });
+  } finally {
+    analysisInProgress = false;
+    shouldCancel = false;
+  }
+}
+
+async function runBatchItems(batch) {
+  currentCheckpoint = null;
+  lastProgressEvent = null;
+
+  const pending = batch.items.filter(item => item.status === 'pending');
+  await startLogSession(`Batch of ${pending.length} games`);
+
+  await chrome.storage.local.set({
+    batchRunning: true,
+    batchQueue: batch,
+    analysisRunning: true,
+    analysisInterrupted: false,
+    analysisProgress: `Batch: fetching your review history...`,
+    analysisResult: null,
+    analysisError: null
+  });
+  await logProgress(`Starting batch analysis of ${pending.length} games`, 'info');
+
+  configureRateLimits(batch.settings.rateLimits);
+  const taste = await collectUserTaste(batch.settings.steamId, batch.settings.tasteSources);
+
+  if (taste.error || taste.reviews.length === 0) {
+    const msg = taste.error || 'No reviews found for your profile. Make sure your profile is public.';
+    await logProgress(`Failed to fetch reviews: ${msg}`, 'error');
+    await finishBatch(batch, { analysisProgress: 'Error', analysisError: msg });
+    return;
+  }
+  const userReviews = taste.reviews;
+  await logProgress(`Found ${userReviews.length} of your ratings (shared by every game in the batch)`, 'success');
+
+  const shared = { reviewerHistories: new Map() };
+
+  for (const [index, item] of pending.entries()) {
+    if (shouldCancel) break;
+
+    item.status = 'running';
+    item.error = null;
+    if (!item.gameName) {
+      item.gameName = await fetchAppName(item.appId);
+    }
+    await chrome.storage.local.set({ batchQueue: batch, analysisAppId: item.appId, analysisGameName: item.gameName });
+    await logProgress(`Batch ${index + 1}/${pending.length}: ${item.gameName}`, 'info');
+
+    parserHealthSummary = createParserHealthSummary();
+    const params = { ...batch.settings, appId: item.appId, gameName: item.gameName };
+    const result = await analyzeGame(params, { userReviews, tasteCounts: taste.counts }, shared);
+    // Batch runs restart per game rather than from a checkpoint
+    await clearCheckpoint();
+
+    if (result.cancelled) {
+      item.status = 'pending';
+      break;
+    }
+
+    if (result.error) {
+      item.status = 'error';
+      item.error = result.error;
+    } else {
+      result.data.appId = item.appId;
+      result.data.gameName = item.gameName;
+      result.data.analyzedAt = Date.now();
+      await saveToHistory(params, result.data);
+      Object.assign(item, summarizeBatchResult(result.data));
+    }
+
+    await chrome.storage.local.set({ batchQueue: batch });
+  }
+
+  const done = batch.items.filter(item => item.status === 'done').length;
+
+  if (shouldCancel) {
+    await logProgress(`Batch cancelled after ${done}/${batch.items.length} games`, 'warning');
+    await finishBatch(batch, { analysisProgress: 'Cancelled' });
+    return;
+  }
+
+  batch.finishedAt = Date.now();
+  await logProgress(`Batch complete: ${done}/${batch.items.length} games analyzed, ${shared.reviewerHistories.size} reviewer histories shared`, 'success');
+  await finishBatch(batch, { analysisProgress: 'Batch complete' });
+
+  await chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icon128.png',
+    title: 'Steam Batch Analysis Complete!',
+    message: `Analyzed ${done} of ${batch.items.length} games. Open the extension to compare scores.`,
+    priority: 2
+  });
+}
+
+async function finishBatch(batch, state) {
+  await applyCacheRetention();
+  await chrome.storage.local.set({
+    batchRunning: false,
+    batchQueue: batch,
+    analysisRunning: false,
+    ...state
+  });
+  await flushLogs();
+}
+
+// The fields of a result the batch table shows
+function summarizeBatchResult(data) {
+  return {
+    status: 'done',
+    score: data.score,
+    globalScore: data.globalScore ? data.globalScore.score : null,
+    basis: data.scoringMode === 'weighted' ? data.weightedReviewers : data.matchingReviewers,
+    scoringMode: data.scoringMode,
+    reliability: data.reliability,
+    analyzedAt: data.analyzedAt
+  };
+}
+
+// Game name from the store API, remembered in appNameCache since reviews only carry app IDs
+async function fetchAppName(appId, isCancelled = () => shouldCancel) {
+  const { appNameCache = {} } = await chrome.storage.local.get('appNameCache');
+  if (appNameCache[appId]) {
+    return appNameCache[appId];
+  }
+
+  const response = await fetchWithRetry(`https://store.steampowered.com/api/appdetails?appids=${appId}&filters=basic`, 2, true, isCancelled);
+  try {
+    const entry = JSON.parse(response)[appId];
+    if (entry && entry.success && entry.data && entry.data.name) {
+      const { appNameCache: latest = {} } = await chrome.storage.local.get('appNameCache');
+      latest[appId] = entry.data.name;
+      await chrome.storage.local.set({ appNameCache: latest });
+      return entry.data.name;
+    }
+  } catch (error) {
+    // Fall through to the placeholder name
+  }
+  return `App ${appId}`;
+}
+
+// Names for a list of app IDs, fetched one by one through the rate limiter
+async function getAppNames(appIds) {
+  const names = {};
+  for (const appId of appIds.slice(0, MAX_NAME_LOOKUPS)) {
+    names[appId] = await fetchAppName(appId);
+  }
+  return names;
+}
+
+// Steam's overall score for a game; null when it has no reviews, undefined when the request failed
+async function fetchGameScore(appId, isCancelled = () => shouldCancel) {
+  const response = await fetchWithRetry(`${STEAM_API_REVIEW_URL}${appId}?json=1&filter=all&language=all&purchase_type=all&num_per_page=0`, 2, true, isCancelled);
+  if (!response) return undefined;
+  try {
+    return summarizeGlobalScore(JSON.parse(response).query_summary);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Look up Steam's score and the name of every game the user reviewed, for the taste profile
+// dashboard. Scores are kept in gameScoreCache for GAME_SCORE_MAX_AGE_MS; progress goes to
+// tasteProfileStatus, which the dashboard watches. The user's reviews are fetched first when
+// none are stored yet, they belong to another account, or refetchReviews is set.
+// Only started while no analysis runs; one that starts meanwhile stops it through tasteProfileCancel.
+async function refreshTasteProfile({ refetchReviews = false, rateLimits: limits = null } = {}) {
+  const setStatus = status => chrome.storage.local.set({ tasteProfileStatus: { running: false, ...status, at: Date.now() } });
+  const isCancelled = () => tasteProfileCancel;
+  const stopped = { error: 'Stopped because an analysis started; update again once it has finished.' };
+  tasteProfileCancel = false;
+
+  try {
+    if (limits) {
+      configureRateLimits(limits);
+    }
+
+    const stored = await chrome.storage.local.get(['userReviews', 'steamId']);
+
+    let { userReviews } = stored;
+    if (refetchReviews || !userReviews || (stored.steamId && userReviews.steamId !== stored.steamId)) {
+      if (!stored.steamId) {
+        await setStatus({ error: 'Save your Steam ID in the popup first.' });
+        return;
+      }
+      await setStatus({ running: true, text: 'Fetching your reviews...' });
+      const reviews = await fetchUserReviews(stored.steamId, isCancelled);
+      if (isCancelled()) {
+        await setStatus(stopped);
+        return;
+      }
+      if (reviews.error) {
+        await setStatus({ error: reviews.error });
+        return;
+      }
+      ({ userReviews } = await chrome.storage.local.get('userReviews'));
+    }
+
+    const { gameScoreCache = {}, appNameCache = {} } = await chrome.storage.local.get(['gameScoreCache', 'appNameCache']);
+    const now = Date.now();
+    const stale = [...new Set(userReviews.reviews.map(review => review.appId))]
+      .filter(appId => !gameScoreCache[appId] || now - gameScoreCache[appId].fetchedAt > GAME_SCORE_MAX_AGE_MS || !appNameCache[appId]);
+
+    const found = {};
+    let failed = 0;
+    for (let i = 0; i < stale.length && !isCancelled(); i++) {
+      const appId = stale[i];
+      const cached = gameScoreCache[appId];
+      if (!cached || now - cached.fetchedAt > GAME_SCORE_MAX_AGE_MS) {
+        const score = await fetchGameScore(appId, isCancelled);
+        if (score === undefined) {
+          failed++;
+        } else {
+          found[appId] = { ...(score || { totalReviews: 0 }), fetchedAt: Date.now() };
+        }
+      }
+      if (!appNameCache[appId]) {
+        await fetchAppName(appId, isCancelled);
+      }
+
+      if ((i + 1) % TASTE_PROFILE_SAVE_EVERY === 0 || i === stale.length - 1) {
+        const { gameScoreCache: latest = {} } = await chrome.storage.local.get('gameScoreCache');
+        await chrome.storage.local.set({
+          gameScoreCache: { ...latest, ...found },
+          tasteProfileStatus: { running: true, text: 'Looking up Steam scores...', done: i + 1, total: stale.length, at: Date.now() }
+        });
+      }
+    }
+
+    if (isCancelled()) {
+      // Scores already found are kept; the next update looks up the rest
+      const { gameScoreCache: latest = {} } = await chrome.storage.local.get('gameScoreCache');
+      await chrome.storage.local.set({ gameScoreCache: { ...latest, ...found } });
+      await setStatus(stopped);
+      return;
+    }
+
+    await setStatus(failed > 0
+      ? { error: `Steam's score could not be loaded for ${failed} game${failed === 1 ? '' : 's'}; update again to retry.` }
+      : { text: 'Up to date' });
+  } catch (error) {
+    await setStatus({ error: error.message });
+  }
+}
+
+// App IDs on a public wishlist, highest priority first
+async function fetchWishlistAppIds(steamIdInput) {
+  const resolved = await resolveSteamId(steamIdInput, { lookupProfile: false });
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+
+  const response = await fetchWithRetry(`${STEAM_WISHLIST_URL}?steamid=${resolved.steamId64}`, 2, true);
+  if (!response) {
+    return { error: 'Could not reach Steam to load the wishlist.' };
+  }
+
+  let items;
+  try {
+    items = JSON.parse(response).response.items;
+  } catch (error) {
+    return { error: 'Steam returned an unexpected wishlist response.' };
+  }
+
+  if (!items || items.length === 0) {
+    return { error: 'The wishlist is empty or private. Set "Game details" to Public in your Steam privacy settings.' };
+  }
+
+  return {
+    appIds: [...items]
+      .sort((a, b) => (a.priority || 0) - (b.priority || 0))
+      .map(item => String(item.appid))
+  };
+}
+
+// Reviewer history cache (IndexedDB)
+function openCacheDb() {
+  if (!cacheDbPromise) {
+    cacheDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CACHE_STORE)) {
+          db.createObjectStore(CACHE_STORE, { keyPath: 'steamId' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        cacheDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return cacheDbPromise;
+}
+
+async function cacheTransaction(mode, operation) {
+  const db = await openCacheDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CACHE_STORE, mode);
+    const request = operation(tx.objectStore(CACHE_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function getCachedReviewer(steamId) {
+  try {
+    return await cacheTransaction('readonly', store => store.get(steamId));
+  } catch (error) {
+    console.error('Cache read failed:', error);
+    return null;
+  }
+}
+
+async function putCachedReviewer(steamId, reviews) {
+  try {
+    await cacheTransaction('readwrite', store => store.put({
+      steamId,
+      reviews,
+      fetchedAt: Date.now()
+    }));
+  } catch (error) {
+    console.error('Cache write failed:', error);
+  }
+}
+
+async function getAllCachedReviewers() {
+  return cacheTransaction('readonly', store => store.getAll());
+}
+
+// Writes complete cache records, keeping their own fetchedAt (used by imports)
+async function putCachedReviewerRecords(records) {
+  if (records.length === 0) return;
+  await cacheTransaction('readwrite', store => {
+    let request;
+    for (const record of records) {
+      request = store.put({ steamId: record.steamId, reviews: record.reviews, fetchedAt: record.fetchedAt });
+    }
+    return request;
+  });
+}
+
+// Delete entries fetched before `cutoff`; resolves to how many were removed
+async function pruneReviewerCache(cutoff) {
+  const db = await openCacheDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CACHE_STORE, 'readwrite');
+    let removed = 0;
+    tx.objectStore(CACHE_STORE).openCursor().onsuccess = event => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (cursor.value.fetchedAt < cutoff) {
+        cursor.delete();
+        removed++;
+      }
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(removed);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Cache retention setting: histories not refreshed for that many days are dropped (0 keeps them)
+async function applyCacheRetention() {
+  const { cacheRetentionDays } = normalizeSettings(await chrome.storage.local.get('cacheRetentionDays'));
+  if (cacheRetentionDays === 0) return;
+
+  try {
+    const removed = await pruneReviewerCache(Date.now() - cacheRetentionDays * 24 * HOUR_MS);
+    if (removed > 0) {
+      await logProgress(`Removed ${removed} cached reviewer histories older than ${cacheRetentionDays} days`, 'info');
+    }
+  } catch (error) {
+    console.error('Cache pruning failed:', error);
+  }
+}
+
+async function clearReviewerCache() {
+  await cacheTransaction('readwrite', store => store.clear());
+}
+
+async function countCachedReviewers() {
+  return cacheTransaction('readonly', store => store.count());
+}
+
+// Request scheduler - every fetch waits for a token from its host's bucket.
+// Buckets refill at the configured rate divided by the host's current slowdown factor,
+// which doubles on 429s or repeated failures/empty pages and decays back on success.
+function configureRateLimits(limits = {}) {
+  rateLimits = { ...DEFAULT_RATE_LIMITS, ...limits };
+  for (const [host, limiter] of hostLimiters) {
+    limiter.perMinute = perMinuteForHost(host);
+  }
+}
+
+function perMinuteForHost(host) {
+  return host.endsWith('steamcommunity.com') ? rateLimits.communityPerMinute : rateLimits.storePerMinute;
+}
+
+function getLimiter(host) {
+  if (!hostLimiters.has(host)) {
+    hostLimiters.set(host, {
+      perMinute: perMinuteForHost(host),
+      tokens: BUCKET_CAPACITY,
+      lastRefill: Date.now(),
+      blockedUntil: 0,
+      slowdown: 1,
+      consecutiveFailures: 0
+    });
+  }
+  return hostLimiters.get(host);
+}
+
+// Resolves once a request to `host` may be sent; false if the caller was cancelled while waiting
+async function acquireRequestSlot(host, isCancelled = () => shouldCancel) {
+  const limiter = getLimiter(host);
+
+  while (!isCancelled()) {
+    const now = Date.now();
+    const tokensPerMs = limiter.perMinute / 60000 / limiter.slowdown;
+
+    limiter.tokens = Math.min(BUCKET_CAPACITY, limiter.tokens + (now - limiter.lastRefill) * tokensPerMs);
+    limiter.lastRefill = now;
+
+    if (now >= limiter.blockedUntil && limiter.tokens >= 1) {
+      limiter.tokens -= 1;
+      return true;
+    }
+
+    const waitForToken = limiter.tokens >= 1 ? 0 : (1 - limiter.tokens) / tokensPerMs;
+    const waitForBlock = Math.max(0, limiter.blockedUntil - now);
+
+    // Wake up at least once a second so cancellation stays responsive
+    await delay(Math.min(1000, Math.max(waitForToken, waitForBlock, 10)));
+  }
+
+  return false;
+}
+
+// outcome: 'ok', 'failure', 'empty' (suspiciously empty page) or 'throttled' (HTTP 429)
+async function recordRequestOutcome(host, outcome, retryAfterMs = 0) {
+  const limiter = getLimiter(host);
+
+  if (outcome === 'ok') {
+    limiter.consecutiveFailures = 0;
+    limiter.slowdown = Math.max(1, limiter.slowdown * 0.95);
+    return;
+  }
+
+  if (outcome === 'throttled') {
+    limiter.blockedUntil = Date.now() + Math.max(retryAfterMs, BASE_BACKOFF_MS);
+    await increaseSlowdown(host, limiter, `HTTP 429 (retry after ${Math.round(retryAfterMs / 1000)}s)`);
+    return;
+  }
+
+  limiter.consecutiveFailures++;
+  if (limiter.consecutiveFailures >= FAILURES_BEFORE_SLOWDOWN) {
+    limiter.consecutiveFailures = 0;
+    await increaseSlowdown(host, limiter, outcome === 'empty' ? 'repeated empty pages' : 'repeated failures');
+  }
+}
+
+async function increaseSlowdown(host, limiter, reason) {
+  limiter.slowdown = Math.min(MAX_SLOWDOWN, limiter.slowdown * 2);
+  const effectiveRate = Math.round(limiter.perMinute / limiter.slowdown);
+  await logProgress(`Slowing down requests to ${host}: ${reason}, now ~${effectiveRate} req/min`, 'warning');
+}
+
+// Exponential backoff with jitter: half the ceiling fixed, half random
+function backoffDelay(attempt) {
+  const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return ceiling / 2 + Math.random() * ceiling / 2;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return 0;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+// Steam's scraping protection tends to answer with blank or truncated pages instead of errors
+function isSuspiciousResponse(text) {
+  const trimmed = text.trim();
+  if (trimmed.length === 0) return true;
+  if (trimmed.startsWith('{')) return false; // JSON API responses
+  if (trimmed.startsWith('<?xml')) return false; // Profile ?xml=1 lookups
+  return !/<\/html>/i.test(trimmed) || /Access Denied/i.test(trimmed);
+}
+
 // Utility functions
-async function fetchWithRetry(url, retries = 3, silent = false) {
+// isCancelled is the analysis's shouldCancel unless the caller runs under its own flag
+async function fetchWithRetry(url, retries = 3, silent = false, isCancelled = () => shouldCancel) {
+  const host = new URL(url).hostname;
+
   for (let i = 0; i < retries; i++) {
-    if (shouldCancel) return null;
+    if (isCancelled()) return null;
+    if (!(await acquireRequestSlot(host, isCancelled))) return null;
     
+    let recorded = false;
+    const started = Date.now();
     try {
       const response = await fetch(url, {
         method: 'GET',
@@ -502,23 +2388,40 @@ async function fetchWithRetry(url, retries = 3, silent = false) {
         credentials: 'omit',
         mode: 'cors'
       });
+      const durationMs = Date.now() - started;
+      if (!silent) {
+        await logProgress(`GET ${url} → ${response.status}`, 'debug', { url, status: response.status, durationMs, attempt: i + 1 });
+      }
+      
+      if (response.status === 429) {
+        recorded = true;
+        await recordRequestOutcome(host, 'throttled', parseRetryAfter(response.headers.get('Retry-After')));
+        throw new Error('HTTP error! status: 429');
+      }
       
       if (!response.ok) {
+        recorded = true;
+        await recordRequestOutcome(host, 'failure');
         if (i === retries - 1 && !silent) {
-          await logProgress(`HTTP ${response.status} for ${url}`, 'error');
+          await logProgress(`HTTP ${response.status} for ${url}`, 'error', { url, status: response.status, durationMs });
         }
         throw new Error(`HTTP error! status: ${response.status}`);
       }
       
-      return await response.text();
+      const text = await response.text();
+      await recordRequestOutcome(host, isSuspiciousResponse(text) ? 'empty' : 'ok');
+      return text;
     } catch (error) {
+      if (!recorded) {
+        await recordRequestOutcome(host, 'failure');
+      }
       if (i === retries - 1) {
         if (!silent) {
-          await logProgress(`Fetch failed after ${retries} attempts: ${error.message}`, 'error');
+          await logProgress(`Fetch failed after ${retries} attempts: ${error.message}`, 'error', { url, attempts: retries });
         }
         return null;
       }
-      await delay(1000 * (i + 1));
+      await delay(backoffDelay(i));
     }
   }
 }
@@ -527,32 +2430,40 @@ function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-async function updateProgress(text) {
+// The status line is stored for popups opened later; the details go to connected popups as a progress event
+async function updateProgress(text, details = {}) {
   await chrome.storage.local.set({ analysisProgress: text });
+  emitProgress({ text, ...details });
 }
 
-async function logProgress(text, type = 'info') {
-  if (!loggingEnabled) return; // Skip immediately if logging disabled
-  
-  const timestamp = new Date().toLocaleTimeString('en-US', { 
-    hour12: false, 
-    hour: '2-digit', 
-    minute: '2-digit',
-    second: '2-digit'
-  });
-
-  try {
-    const { analysisLogs = [] } = await chrome.storage.local.get('analysisLogs');
-    analysisLogs.push({ timestamp, text, type });
-    await chrome.storage.local.set({ analysisLogs });
-  } catch (error) {
-    // Silently fail if storage operations fail
-    console.error('Failed to log:', error);
+// Progress events: { type: 'progress', phase, text, processed, total, etaMs, matches, provisionalScore }
+// (counts only where the phase has them)
+function emitProgress(event) {
+  lastProgressEvent = { type: 'progress', at: Date.now(), ...event };
+  for (const port of progressPorts) {
+    try {
+      port.postMessage(lastProgressEvent);
+    } catch (error) {
+      progressPorts.delete(port); // Popup already closed
+    }
   }
 }
 
-async function updateProgressPercent(percent) {
-  await chrome.storage.local.set({ analysisProgressPercent: percent });
+// Popups (and the store-page panel of the game being analyzed) connect a 'progress' port while open;
+// a late joiner gets the latest event straight away
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== 'progress') return;
+  progressPorts.add(port);
+  port.onDisconnect.addListener(() => progressPorts.delete(port));
+  if (analysisInProgress && lastProgressEvent) {
+    port.postMessage(lastProgressEvent);
+  }
+});
+
+// Entries are batched by logger.js; fields carry structured detail (profile, page, url, status, durationMs...)
+async function logProgress(text, type = 'info', fields = {}) {
+  if (!loggingEnabled) return; // Skip immediately if logging disabled
+  queueLogEntry(text, type, fields);
 }
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -572,6 +2483,96 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   } else if (message.action === 'setLogging') {
     loggingEnabled = message.enabled;
     sendResponse({ success: true });
+  } else if (message.action === 'log') {
+    logProgress(message.text, message.type, message.fields)
+      .then(flushLogs)
+      .then(() => sendResponse({ success: true }));
+  } else if (message.action === 'clearLog') {
+    clearLogs().then(() => sendResponse({ success: true }));
+  } else if (message.action === 'resumeAnalysis') {
+    if (analysisInProgress) {
+      sendResponse({ resumed: false });
+    } else {
+      resumeInterruptedAnalysis().then(resumed => sendResponse({ resumed }));
+    }
+  } else if (message.action === 'discardCheckpoint') {
+    clearCheckpoint()
+      .then(() => chrome.storage.local.set({ analysisInterrupted: false, analysisProgress: null }))
+      .then(() => sendResponse({ success: true }));
+  } else if (message.action === 'clearCache') {
+    clearReviewerCache()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  } else if (message.action === 'getCacheInfo') {
+    countCachedReviewers()
+      .then(count => sendResponse({ count }))
+      .catch(() => sendResponse({ count: 0 }));
+  } else if (message.action === 'startAnalysisForApp') {
+    if (analysisInProgress) {
+      sendResponse({ started: false, error: 'Another analysis is already running.' });
+    } else {
+      buildStoredAnalysisParams(message.appId, message.gameName).then(params => {
+        if (params.error) {
+          sendResponse({ started: false, error: params.error });
+          return;
+        }
+        // A second click may have started a run while the settings were being read
+        if (analysisInProgress) {
+          sendResponse({ started: false, error: 'Another analysis is already running.' });
+          return;
+        }
+        startBackgroundAnalysis(params);
+        sendResponse({ started: true });
+      });
+    }
+  } else if (message.action === 'startBatch') {
+    if (analysisInProgress) {
+      sendResponse({ started: false, error: 'Another analysis is already running.' });
+    } else {
+      startBatchAnalysis(message.items, message.data);
+      sendResponse({ started: true });
+    }
+  } else if (message.action === 'continueBatch') {
+    if (analysisInProgress) {
+      sendResponse({ started: false, error: 'Another analysis is already running.' });
+    } else {
+      continueBatchAnalysis().then(started => sendResponse({ started }));
+    }
+  } else if (message.action === 'getAppNames') {
+    getAppNames(message.appIds)
+      .then(names => sendResponse({ names }))
+      .catch(() => sendResponse({ names: {} }));
+  } else if (message.action === 'refreshTasteProfile') {
+    if (tasteProfileRefreshing) {
+      sendResponse({ started: false, error: 'The taste profile is already being updated.' });
+    } else if (analysisInProgress) {
+      sendResponse({ started: false, error: 'An analysis is running; update the taste profile once it has finished.' });
+    } else {
+      tasteProfileRefreshing = true;
+      refreshTasteProfile({ refetchReviews: message.refetchReviews, rateLimits: message.rateLimits })
+        .finally(() => { tasteProfileRefreshing = false; });
+      sendResponse({ started: true });
+    }
+  } else if (message.action === 'importWishlist') {
+    fetchWishlistAppIds(message.steamId)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+  } else if (message.action === 'exportData') {
+    exportData(message.kind, message.format)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+  } else if (message.action === 'importData') {
+    importData(message.text)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+  } else if (message.action === 'deleteHistoryEntry') {
+    deleteHistoryEntry(message.id)
+      .then(history => sendResponse({ history }))
+      .catch(error => sendResponse({ error: error.message }));
+  } else if (message.action === 'resolveSteamId') {
+    resolveSteamId(message.input)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
   }
   return true;
 });
\ No newline at end of file
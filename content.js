@@ -1,19 +1,178 @@
-// content.js - Minimal content script for Steam store pages
+// content.js - Content script for Steam store app pages
+// Answers the popup's getPageInfo request and renders the in-page "Taste Match" panel
+// from the per-game score summary background.js stores.
 
-// This script runs on Steam store pages and can help extract information if needed
-// Currently minimal as most work is done in background.js
+const WIDGET_ID = 'stm-taste-match';
+// Every open store page wakes on these, so they are the small ones; the rest is read on a change
+const WATCHED_KEYS = ['appScoreSummary', 'analysisRunning', 'steamId'];
+const WIDGET_KEYS = [...WATCHED_KEYS, 'analysisAppId', 'analysisError'];
+
+function getPageInfo() {
+  const appIdMatch = window.location.href.match(/\/app\/(\d+)/);
+  const gameNameElement = document.querySelector('.apphub_AppName');
+
+  return {
+    appId: appIdMatch ? appIdMatch[1] : null,
+    gameName: gameNameElement ? gameNameElement.textContent.trim() : null
+  };
+}
 
 // Listen for messages from popup/background
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'getPageInfo') {
-    // Extract game info from current page if needed
-    const appIdMatch = window.location.href.match(/\/app\/(\d+)/);
-    const gameNameElement = document.querySelector('.apphub_AppName');
-    
-    sendResponse({
-      appId: appIdMatch ? appIdMatch[1] : null,
-      gameName: gameNameElement ? gameNameElement.textContent.trim() : null
-    });
+    sendResponse(getPageInfo());
   }
   return true;
-});
\ No newline at end of file
+});
+
+// Place the panel right after Steam's own review summary, falling back to the header block
+function findWidgetAnchor() {
+  const reviewSummary = document.querySelector('#userReviews') || document.querySelector('.user_reviews');
+  if (reviewSummary) return { element: reviewSummary, position: 'afterend' };
+
+  const glance = document.querySelector('.glance_ctn_responsive_left') || document.querySelector('.glance_ctn');
+  if (glance) return { element: glance, position: 'beforeend' };
+
+  return null;
+}
+
+function createWidget() {
+  const anchor = findWidgetAnchor();
+  if (!anchor) return null;
+
+  const widget = document.createElement('div');
+  widget.id = WIDGET_ID;
+  widget.className = 'stm-widget';
+  widget.innerHTML = `
+    <div class="stm-header">
+      <span class="stm-title">Taste Match</span>
+      <span class="stm-score"></span>
+    </div>
+    <div class="stm-details"></div>
+    <div class="stm-progress"></div>
+    <button type="button" class="stm-button"></button>
+  `;
+  anchor.element.insertAdjacentElement(anchor.position, widget);
+
+  widget.querySelector('.stm-button').addEventListener('click', startAnalysisFromPage);
+  return widget;
+}
+
+function formatRelativeTime(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  const days = Math.round(hours / 24);
+  if (days < 30) return `${days} d ago`;
+  return new Date(timestamp).toLocaleDateString();
+}
+
+function renderWidget(widget, appId, state) {
+  const scoreEl = widget.querySelector('.stm-score');
+  const detailsEl = widget.querySelector('.stm-details');
+  const progressEl = widget.querySelector('.stm-progress');
+  const button = widget.querySelector('.stm-button');
+
+  const latest = (state.appScoreSummary || {})[appId];
+  const runningHere = state.analysisRunning && state.analysisAppId === appId;
+  const runningElsewhere = state.analysisRunning && !runningHere;
+
+  if (latest) {
+    const matched = latest.scoringMode === 'weighted'
+      ? `${latest.weightedReviewers} overlapping reviewers (weighted)`
+      : `${latest.matchingReviewers} matching reviewers`;
+
+    scoreEl.textContent = `${latest.score}%`;
+    detailsEl.textContent = `${matched} · analyzed ${formatRelativeTime(latest.analyzedAt)}`;
+    detailsEl.title = new Date(latest.analyzedAt).toLocaleString();
+  } else {
+    scoreEl.textContent = '—';
+    detailsEl.textContent = state.steamId
+      ? 'Not analyzed yet'
+      : 'Set your Steam ID in the extension popup to analyze this game';
+    detailsEl.title = '';
+  }
+
+  if (runningHere) {
+    progressEl.textContent = state.progressText || 'Analyzing...';
+    progressEl.className = 'stm-progress active';
+  } else if (runningElsewhere) {
+    progressEl.textContent = 'Another game is being analyzed';
+    progressEl.className = 'stm-progress active';
+  } else if (state.analysisError && state.analysisAppId === appId) {
+    progressEl.textContent = state.analysisError;
+    progressEl.className = 'stm-progress active error';
+  } else {
+    progressEl.textContent = '';
+    progressEl.className = 'stm-progress';
+  }
+
+  button.disabled = state.analysisRunning || !state.steamId;
+  button.textContent = runningHere ? 'Analyzing...' : (latest ? 'Re-run analysis' : 'Analyze');
+}
+
+async function startAnalysisFromPage(event) {
+  const button = event.currentTarget;
+  const { appId, gameName } = getPageInfo();
+  if (!appId) return;
+
+  button.disabled = true;
+  const response = await chrome.runtime.sendMessage({
+    action: 'startAnalysisForApp',
+    appId,
+    gameName: gameName || document.title
+  });
+
+  if (!response || !response.started) {
+    const progressEl = button.parentElement.querySelector('.stm-progress');
+    progressEl.textContent = (response && response.error) || 'Could not start analysis';
+    progressEl.className = 'stm-progress active error';
+    button.disabled = false;
+  }
+}
+
+async function initWidget() {
+  const { appId } = getPageInfo();
+  if (!appId || document.getElementById(WIDGET_ID)) return;
+
+  const widget = createWidget();
+  if (!widget) return;
+
+  // Live progress comes over the popup's progress port, open only while this game is being analyzed
+  let progressPort = null;
+  let progressText = null;
+  const followProgress = runningHere => {
+    if (runningHere && !progressPort) {
+      progressPort = chrome.runtime.connect({ name: 'progress' });
+      progressPort.onMessage.addListener(event => {
+        if (event.type === 'progress' && event.phase !== 'done') {
+          progressText = event.text;
+          widget.querySelector('.stm-progress').textContent = progressText;
+        }
+      });
+      progressPort.onDisconnect.addListener(() => { progressPort = null; });
+    } else if (!runningHere && progressPort) {
+      progressPort.disconnect();
+      progressPort = null;
+      progressText = null;
+    }
+  };
+
+  const refresh = async () => {
+    const state = await chrome.storage.local.get(WIDGET_KEYS);
+    renderWidget(widget, appId, { ...state, progressText });
+    followProgress(Boolean(state.analysisRunning && state.analysisAppId === appId));
+  };
+
+  await refresh();
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && WATCHED_KEYS.some(key => key in changes)) {
+      refresh();
+    }
+  });
+}
+
+initWidget();
@@ -0,0 +1,167 @@
+// dashboard.js - Taste profile dashboard: the user's parsed reviews next to Steam's score for each game
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const statusDisplay = document.getElementById('statusDisplay');
+  const refreshProfileBtn = document.getElementById('refreshProfileBtn');
+  const refetchReviewsBtn = document.getElementById('refetchReviewsBtn');
+  const profileMeta = document.getElementById('profileMeta');
+  const profileSummary = document.getElementById('profileSummary');
+  const usefulList = document.getElementById('usefulList');
+  const opinionFilter = document.getElementById('opinionFilter');
+  const reviewTable = document.getElementById('reviewTable');
+
+  const PROFILE_KEYS = ['userReviews', 'gameScoreCache', 'appNameCache', 'tasteProfileStatus'];
+  let profile = null;
+
+  const stored = await refresh();
+  // Look up whatever is missing when the page opens; the background skips games it already knows
+  const known = stored.gameScoreCache || {};
+  const missing = !stored.userReviews || stored.userReviews.reviews.some(review => !known[review.appId]);
+  if (missing && !(stored.tasteProfileStatus && stored.tasteProfileStatus.running)) {
+    startRefresh(false);
+  }
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && PROFILE_KEYS.some(key => key in changes)) {
+      refresh();
+    }
+  });
+
+  refreshProfileBtn.addEventListener('click', () => startRefresh(false));
+  refetchReviewsBtn.addEventListener('click', () => startRefresh(true));
+  opinionFilter.addEventListener('change', () => renderReviewTable());
+
+  async function startRefresh(refetchReviews) {
+    const settings = normalizeSettings(await chrome.storage.local.get(['communityPerMinute', 'storePerMinute']));
+    const response = await chrome.runtime.sendMessage({
+      action: 'refreshTasteProfile',
+      refetchReviews,
+      rateLimits: { communityPerMinute: settings.communityPerMinute, storePerMinute: settings.storePerMinute }
+    });
+    if (response && !response.started) {
+      showStatus(response.error, 'warning');
+    }
+  }
+
+  async function refresh() {
+    const data = await chrome.storage.local.get(PROFILE_KEYS);
+    renderStatus(data.tasteProfileStatus);
+
+    if (!data.userReviews) {
+      profile = null;
+      profileMeta.textContent = 'Your reviews haven\'t been fetched yet.';
+      profileSummary.innerHTML = '';
+      usefulList.innerHTML = '';
+      reviewTable.innerHTML = '';
+      return data;
+    }
+
+    profile = buildTasteProfile(data.userReviews.reviews, data.gameScoreCache || {}, data.appNameCache || {});
+    profileMeta.textContent = `Reviews of Steam account ${data.userReviews.steamId}, fetched ${new Date(data.userReviews.fetchedAt).toLocaleString()}`;
+    renderSummary();
+    renderUseful();
+    renderReviewTable();
+    return data;
+  }
+
+  function renderStatus(status) {
+    refreshProfileBtn.disabled = Boolean(status && status.running);
+    refetchReviewsBtn.disabled = Boolean(status && status.running);
+    if (!status) return;
+
+    if (status.error) {
+      showStatus(status.error, 'error');
+    } else if (status.running) {
+      const counter = status.total ? ` ${status.done}/${status.total}` : '';
+      showStatus(`${status.text}${counter}`, 'progress');
+    } else {
+      showStatus(`${status.text} (${new Date(status.at).toLocaleString()})`);
+    }
+  }
+
+  function renderSummary() {
+    const { total, positive, negative, positiveShare, opinions } = profile;
+    if (total === 0) {
+      profileSummary.innerHTML = '<div class="help-text">No reviews found on your profile.</div>';
+      return;
+    }
+
+    const opinionRows = Object.entries(OPINION_LABELS)
+      .filter(([opinion]) => opinions[opinion] > 0)
+      .map(([opinion, label]) => `<span class="opinion-badge ${opinion}">${label}: ${opinions[opinion]}</span>`)
+      .join('');
+
+    profileSummary.innerHTML = `
+      <div class="result-score">${positiveShare}%</div>
+      <div class="result-interval">positive across ${total} review${total === 1 ? '' : 's'} (👍 ${positive} · 👎 ${negative})</div>
+      <div class="progress-bar"><div class="progress-fill" style="width: ${positiveShare}%"></div></div>
+      <div class="result-badges">${opinionRows}</div>
+    `;
+  }
+
+  function renderUseful() {
+    const byApp = new Map(profile.games.map(game => [game.appId, game]));
+    if (profile.mostUseful.length === 0) {
+      usefulList.innerHTML = '<div class="help-text">Steam scores for your games haven\'t been looked up yet.</div>';
+      return;
+    }
+
+    usefulList.innerHTML = profile.mostUseful.map(appId => {
+      const game = byApp.get(appId);
+      return `
+        <div class="history-item">
+          <div class="history-item-info">
+            <div class="history-item-name">${gameLink(game)}</div>
+            <div class="history-item-meta">${game.isPositive ? '👍' : '👎'} · Steam ${game.globalScore}% of ${game.totalReviews.toLocaleString()} reviews</div>
+          </div>
+          <div class="history-item-score">${game.usefulness.toFixed(2)}</div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  function renderReviewTable() {
+    if (!profile) return;
+    const filter = opinionFilter.value;
+    const games = filter === 'all' ? profile.games : profile.games.filter(game => game.opinion === filter);
+    if (games.length === 0) {
+      reviewTable.innerHTML = '<div class="help-text">No reviews match.</div>';
+      return;
+    }
+
+    const rows = games.map(game => `
+      <tr>
+        <td>${gameLink(game)}</td>
+        <td>${game.isPositive ? '👍' : '👎'}</td>
+        <td>${game.postedAt ? new Date(game.postedAt).toLocaleDateString() : '–'}</td>
+        <td>${game.globalScore !== null ? `${game.globalScore}%` : '–'}</td>
+        <td>${game.share !== null ? `${game.share}%` : '–'}</td>
+        <td><span class="opinion-badge ${game.opinion}">${OPINION_LABELS[game.opinion]}</span></td>
+        <td>${game.usefulness > 0 ? game.usefulness.toFixed(2) : '–'}</td>
+      </tr>
+    `).join('');
+
+    reviewTable.innerHTML = `
+      <table class="compare-table">
+        <tr><th>Game</th><th>Vote</th><th>Posted</th><th>Steam</th><th>Agree</th><th>Opinion</th><th>Usefulness</th></tr>
+        ${rows}
+      </table>
+    `;
+  }
+
+  function gameLink(game) {
+    const name = escapeHtml(game.name || `App ${game.appId}`);
+    return `<a href="https://store.steampowered.com/app/${game.appId}/" target="_blank" rel="noopener">${name}</a>`;
+  }
+
+  function showStatus(text, type = 'success') {
+    statusDisplay.classList.add('active');
+    statusDisplay.innerHTML = `<span class="${type}">${escapeHtml(text)}</span>`;
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text === undefined || text === null ? '' : String(text);
+    return div.innerHTML;
+  }
+});
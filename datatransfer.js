@@ -0,0 +1,359 @@
+// datatransfer.js - Versioned export files, their schemas, and merging imported records
+
+const EXPORT_FORMAT = 'steam-taste-matcher';
+const EXPORT_VERSION = 1;
+
+// Minimal schema language: { type, nullable, pattern, enum, items, properties, values, required }
+// (`values` is the schema for every property of an object used as a map)
+const STEAM_ID_PATTERN = /^\d{17}$/;
+const APP_ID_PATTERN = /^\d+$/;
+const NUMBER = { type: 'number' };
+const OPTIONAL_NUMBER = { type: 'number', nullable: true };
+
+const REVIEW_SCHEMA = {
+  type: 'object',
+  required: ['appId', 'isPositive'],
+  properties: {
+    appId: { type: 'string', pattern: APP_ID_PATTERN },
+    isPositive: { type: 'boolean' },
+    hoursOnRecord: { type: 'number', nullable: true },
+    postedAt: { type: 'number', nullable: true },
+    updatedAt: { type: 'number', nullable: true }
+  }
+};
+
+const SCORING_MODE_SCHEMA = { type: 'string', nullable: true, enum: ['threshold', 'weighted'] };
+const INTERVAL_SCHEMA = { type: 'object', nullable: true, required: ['low', 'high'], properties: { low: NUMBER, high: NUMBER } };
+const VOTE_GAME_SCHEMA = { type: 'object', required: ['appId'], properties: { appId: { type: 'string', pattern: APP_ID_PATTERN }, userPositive: { type: 'boolean' } } };
+
+// A stored analysis result: every field the popup, the store-page panel and the CSV export read.
+// The popup builds its result card as HTML, so free text is escaped there and everything else is typed here.
+const RESULT_SCHEMA = {
+  type: 'object',
+  required: ['score', 'totalReviewers', 'matchingReviewers', 'avgOverlap', 'minOverlap', 'minSimilarity'],
+  properties: {
+    appId: { type: 'string', pattern: APP_ID_PATTERN },
+    gameName: { type: 'string', nullable: true },
+    analyzedAt: NUMBER,
+    score: NUMBER,
+    scoringMode: SCORING_MODE_SCHEMA,
+    thresholdScore: NUMBER,
+    weightedScore: NUMBER,
+    confidenceInterval: INTERVAL_SCHEMA,
+    effectiveSampleSize: NUMBER,
+    reliability: { type: 'string', nullable: true, enum: ['low', 'medium', 'high'] },
+    sampleTooSmall: { type: 'boolean' },
+    totalReviewers: NUMBER,
+    matchingReviewers: NUMBER,
+    positiveCount: NUMBER,
+    weightedReviewers: NUMBER,
+    avgOverlap: NUMBER,
+    minOverlap: NUMBER,
+    minSimilarity: NUMBER,
+    matchedReviewerIds: { type: 'array', items: { type: 'string' } },
+    reviewerFilters: { type: 'object', nullable: true },
+    tasteSources: { type: 'object', nullable: true, values: NUMBER },
+    globalScore: {
+      type: 'object',
+      nullable: true,
+      required: ['score', 'totalReviews'],
+      properties: { score: NUMBER, totalReviews: NUMBER, description: { type: 'string', nullable: true } }
+    },
+    sampleScore: { type: 'object', nullable: true, required: ['score', 'total'], properties: { score: NUMBER, total: NUMBER } },
+    scoreDeltas: { type: 'object', nullable: true, values: OPTIONAL_NUMBER },
+    reviewWeighting: {
+      type: 'object',
+      nullable: true,
+      required: ['filters', 'targetVotes', 'overlapPairs'],
+      properties: {
+        filters: { type: 'object', properties: { minHours: NUMBER, maxAgeYears: NUMBER } },
+        targetVotes: { type: 'object', required: ['total', 'downweighted', 'reasons'], properties: { total: NUMBER, downweighted: NUMBER, reasons: { type: 'object', values: NUMBER } } },
+        overlapPairs: { type: 'object', required: ['total', 'downweighted'], properties: { total: NUMBER, downweighted: NUMBER } }
+      }
+    },
+    tagSimilarity: {
+      type: 'object',
+      nullable: true,
+      required: ['targetTags', 'unrelatedWeight', 'taggedGames', 'overlappingGames', 'drivers'],
+      properties: {
+        targetTags: { type: 'array', items: { type: 'string' } },
+        unrelatedWeight: NUMBER,
+        taggedGames: NUMBER,
+        overlappingGames: NUMBER,
+        drivers: { type: 'array', items: { type: 'object', required: ['tag', 'games'], properties: { tag: { type: 'string' }, weight: NUMBER, games: NUMBER } } }
+      }
+    },
+    neighbours: {
+      type: 'array',
+      nullable: true,
+      items: {
+        type: 'object',
+        required: ['steamId', 'similarity', 'agreementCount', 'overlapCount', 'agreed', 'disagreed'],
+        properties: {
+          steamId: { type: 'string', pattern: STEAM_ID_PATTERN },
+          similarity: NUMBER,
+          agreementCount: NUMBER,
+          overlapCount: NUMBER,
+          targetVote: { type: 'boolean', nullable: true },
+          agreed: { type: 'array', items: VOTE_GAME_SCHEMA },
+          disagreed: { type: 'array', items: VOTE_GAME_SCHEMA }
+        }
+      }
+    },
+    discoveries: {
+      type: 'object',
+      nullable: true,
+      required: ['games', 'reviewersUsed', 'minSupport'],
+      properties: {
+        reviewersUsed: NUMBER,
+        minSupport: NUMBER,
+        games: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['appId', 'positiveShare', 'lowerBound', 'positiveCount', 'support'],
+            properties: {
+              appId: { type: 'string', pattern: APP_ID_PATTERN },
+              name: { type: 'string', nullable: true },
+              positiveShare: NUMBER,
+              lowerBound: NUMBER,
+              positiveCount: NUMBER,
+              support: NUMBER
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const EXPORT_SCHEMAS = {
+  // Analysis history entries, as saved by saveToHistory
+  results: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'appId', 'timestamp', 'score', 'params', 'counts', 'result'],
+      properties: {
+        id: { type: 'string', pattern: /^\d+-\d+$/ },
+        appId: { type: 'string', pattern: APP_ID_PATTERN },
+        gameName: { type: 'string', nullable: true },
+        timestamp: NUMBER,
+        score: NUMBER,
+        params: {
+          type: 'object',
+          properties: {
+            scoringMode: SCORING_MODE_SCHEMA,
+            minOverlap: NUMBER,
+            minSimilarity: NUMBER,
+            maxProfiles: NUMBER,
+            reviewerFilters: { type: 'object', nullable: true }
+          }
+        },
+        counts: {
+          type: 'object',
+          required: ['totalReviewers', 'matchingReviewers'],
+          properties: { totalReviewers: NUMBER, matchingReviewers: NUMBER, positiveCount: NUMBER }
+        },
+        matchedReviewerIds: { type: 'array', items: { type: 'string' } },
+        result: RESULT_SCHEMA
+      }
+    }
+  },
+  // The user's own parsed reviews
+  userReviews: {
+    type: 'object',
+    required: ['steamId', 'fetchedAt', 'reviews'],
+    properties: {
+      steamId: { type: 'string', pattern: STEAM_ID_PATTERN },
+      fetchedAt: { type: 'number' },
+      reviews: { type: 'array', items: REVIEW_SCHEMA }
+    }
+  },
+  // Reviewer histories from the IndexedDB cache
+  reviewerDataset: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['steamId', 'fetchedAt', 'reviews'],
+      properties: {
+        steamId: { type: 'string', pattern: STEAM_ID_PATTERN },
+        fetchedAt: { type: 'number' },
+        reviews: { type: 'array', items: REVIEW_SCHEMA }
+      }
+    }
+  }
+};
+
+// Stop collecting after this many problems; one broken field usually repeats in every record
+const MAX_SCHEMA_ERRORS = 10;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Returns a list of "path: problem" strings, empty when the value matches
+function validateSchema(value, schema, path = 'data', errors = []) {
+  if (errors.length >= MAX_SCHEMA_ERRORS) return errors;
+
+  if (value === null && schema.nullable) return errors;
+
+  const actual = typeOf(value);
+  const matchesType = schema.type === 'number' ? actual === 'number' && Number.isFinite(value) : actual === schema.type;
+  if (!matchesType) {
+    errors.push(`${path}: expected ${schema.type}, got ${actual}`);
+    return errors;
+  }
+
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push(`${path}: "${value}" is not in the expected format`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: "${value}" is not one of ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => validateSchema(item, schema.items, `${path}[${index}]`, errors));
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: missing`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) validateSchema(value[key], propertySchema, `${path}.${key}`, errors);
+    }
+    if (schema.values) {
+      for (const [key, item] of Object.entries(value)) {
+        validateSchema(item, schema.values, `${path}.${key}`, errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+function createExport(kind, data, exportedAt = Date.now()) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    kind,
+    exportedAt,
+    data
+  };
+}
+
+// Parses and validates an export file. Returns { kind, data, exportedAt } or { error }.
+function parseExport(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    return { error: 'The file is not valid JSON.' };
+  }
+
+  if (!file || file.format !== EXPORT_FORMAT) {
+    return { error: 'The file is not a Steam Taste Matcher export.' };
+  }
+  if (typeof file.version !== 'number' || file.version > EXPORT_VERSION) {
+    return { error: `The file was exported by a newer version (format ${file.version}); update the extension to import it.` };
+  }
+
+  const schema = EXPORT_SCHEMAS[file.kind];
+  if (!schema) {
+    return { error: `Unknown export type "${file.kind}".` };
+  }
+
+  const errors = validateSchema(file.data, schema);
+  if (errors.length > 0) {
+    return { error: `The file doesn't match the ${file.kind} format: ${errors.join('; ')}` };
+  }
+
+  return { kind: file.kind, data: file.data, exportedAt: file.exportedAt };
+}
+
+// Merge incoming records into existing ones by key; on a key clash the newer timestamp wins
+// (ties keep the existing record). Returns the merged list plus what changed.
+function mergeRecords(existing, incoming, keyOf, timestampOf) {
+  const byKey = new Map(existing.map(record => [keyOf(record), record]));
+  const changed = [];
+  let added = 0;
+  let updated = 0;
+  let skipped = 0;
+
+  for (const record of incoming) {
+    const key = keyOf(record);
+    const current = byKey.get(key);
+
+    if (!current) {
+      added++;
+    } else if ((timestampOf(record) || 0) > (timestampOf(current) || 0)) {
+      updated++;
+    } else {
+      skipped++;
+      continue;
+    }
+
+    byKey.set(key, record);
+    changed.push(record);
+  }
+
+  return { records: [...byKey.values()], changed, added, updated, skipped };
+}
+
+const RESULT_CSV_COLUMNS = [
+  ['appId', entry => entry.appId],
+  ['gameName', entry => entry.gameName],
+  ['analyzedAt', entry => new Date(entry.timestamp).toISOString()],
+  ['score', entry => entry.score],
+  ['scoringMode', entry => entry.result.scoringMode || 'threshold'],
+  ['thresholdScore', entry => entry.result.thresholdScore],
+  ['weightedScore', entry => entry.result.weightedScore],
+  ['ciLow', entry => entry.result.confidenceInterval && entry.result.confidenceInterval.low],
+  ['ciHigh', entry => entry.result.confidenceInterval && entry.result.confidenceInterval.high],
+  ['reliability', entry => entry.result.reliability],
+  ['globalScore', entry => entry.result.globalScore && entry.result.globalScore.score],
+  ['sampleScore', entry => entry.result.sampleScore && entry.result.sampleScore.score],
+  ['deltaVsGlobal', entry => entry.result.scoreDeltas && entry.result.scoreDeltas.vsGlobal],
+  ['matchingReviewers', entry => entry.result.matchingReviewers],
+  ['totalReviewers', entry => entry.result.totalReviewers],
+  ['minOverlap', entry => entry.result.minOverlap],
+  ['minSimilarity', entry => entry.result.minSimilarity],
+  // Results from before reviewer filters existed covered all reviews
+  ['languages', entry => (entry.result.reviewerFilters ? entry.result.reviewerFilters.languages : 'all')],
+  ['purchaseType', entry => (entry.result.reviewerFilters ? entry.result.reviewerFilters.purchaseType : 'all')],
+  ['windowDays', entry => (entry.result.reviewerFilters ? entry.result.reviewerFilters.windowDays : 0)],
+  ['sinceDate', entry => (entry.result.reviewerFilters ? entry.result.reviewerFilters.sinceDate : '')],
+  ['tagDrivers', entry => (entry.result.tagSimilarity ? entry.result.tagSimilarity.drivers.map(d => d.tag).join('; ') : '')]
+];
+
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per analysis history entry
+function resultsToCsv(entries) {
+  const lines = [RESULT_CSV_COLUMNS.map(([name]) => name).join(',')];
+  for (const entry of entries) {
+    lines.push(RESULT_CSV_COLUMNS.map(([, value]) => csvField(value(entry))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Allow the offline test suite to require() this file directly; inside the extension it's a plain script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    validateSchema,
+    createExport,
+    parseExport,
+    mergeRecords,
+    resultsToCsv
+  };
+}
@@ -0,0 +1,145 @@
+// logger.js - Leveled, structured activity log for the background worker.
+// Entries collect in memory and are written to chrome.storage.local in batches; storage keeps
+// only the newest LOG_BUFFER_SIZE entries. Each analysis or batch run opens a log session.
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+// logProgress types (which the popup also uses for colouring) and the level each one logs at
+const LOG_TYPE_LEVELS = { debug: 'debug', info: 'info', success: 'info', warning: 'warn', error: 'error' };
+const LOG_BUFFER_SIZE = 2000;
+const LOG_FLUSH_MS = 1000;
+const MAX_LOG_SESSIONS = 20;
+
+const logState = {
+  buffer: null, // Mirror of analysisLogs, loaded on the first flush
+  pending: [],
+  flushTimer: null,
+  flushing: Promise.resolve(),
+  minLevel: null, // Read from settings on the first flush of each session
+  session: null,
+  seq: 0
+};
+
+function levelRank(level) {
+  return LOG_LEVELS.indexOf(level);
+}
+
+function createLogEntry(text, type, fields, session, now = Date.now()) {
+  const entry = {
+    seq: ++logState.seq,
+    time: now,
+    timestamp: new Date(now).toLocaleTimeString('en-US', {
+      hour12: false,
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }),
+    level: LOG_TYPE_LEVELS[type] || 'info',
+    type,
+    text,
+    session: session ? session.id : null
+  };
+  if (fields && Object.keys(fields).length > 0) {
+    entry.fields = fields;
+  }
+  return entry;
+}
+
+// The newest `capacity` entries of buffer + entries
+function appendToRing(buffer, entries, capacity = LOG_BUFFER_SIZE) {
+  const merged = buffer.concat(entries);
+  return merged.length > capacity ? merged.slice(merged.length - capacity) : merged;
+}
+
+// Queue an entry; it reaches storage with the next batch
+function queueLogEntry(text, type = 'info', fields = {}) {
+  logState.pending.push(createLogEntry(text, type, fields, logState.session));
+  if (!logState.flushTimer) {
+    logState.flushTimer = setTimeout(flushLogs, LOG_FLUSH_MS);
+  }
+}
+
+// Write everything queued so far. Flushes run one after another so batches never overwrite each other.
+function flushLogs() {
+  clearTimeout(logState.flushTimer);
+  logState.flushTimer = null;
+  logState.flushing = logState.flushing.then(writePendingLogs);
+  return logState.flushing;
+}
+
+// After a worker restart the buffer starts out in storage only
+async function loadLogBuffer() {
+  if (!logState.buffer) {
+    const { analysisLogs = [] } = await chrome.storage.local.get('analysisLogs');
+    logState.buffer = analysisLogs;
+  }
+  return logState.buffer;
+}
+
+async function writePendingLogs() {
+  if (logState.pending.length === 0) return;
+  const batch = logState.pending;
+  logState.pending = [];
+
+  try {
+    if (logState.minLevel === null) {
+      const { logLevel } = await chrome.storage.local.get('logLevel');
+      logState.minLevel = normalizeSetting(SETTINGS_SCHEMA.logLevel, logLevel);
+    }
+    const kept = batch.filter(entry => levelRank(entry.level) >= levelRank(logState.minLevel));
+    if (kept.length === 0) return;
+
+    logState.buffer = appendToRing(await loadLogBuffer(), kept);
+    await chrome.storage.local.set({ analysisLogs: logState.buffer });
+  } catch (error) {
+    console.error('Failed to write log:', error);
+  }
+}
+
+// Start a new session for a run; earlier sessions stay in the buffer until they're pushed out
+async function startLogSession(label) {
+  await flushLogs();
+
+  const session = { id: `${Date.now()}-${logState.seq}`, label, startedAt: Date.now() };
+  logState.session = session;
+  logState.minLevel = null;
+
+  try {
+    const { logSessions = [] } = await chrome.storage.local.get('logSessions');
+    // Sessions whose entries have all been pushed out of the ring buffer are forgotten
+    const live = new Set((await loadLogBuffer()).map(entry => entry.session));
+    const kept = logSessions.filter(s => live.has(s.id)).slice(-(MAX_LOG_SESSIONS - 1));
+    await chrome.storage.local.set({ logSessions: [...kept, session], currentLogSession: session.id });
+  } catch (error) {
+    console.error('Failed to start log session:', error);
+  }
+  return session;
+}
+
+// A resumed run continues the session it started in
+function resumeLogSession(sessionId) {
+  if (sessionId) {
+    logState.session = { id: sessionId };
+    logState.minLevel = null;
+  }
+}
+
+// Empty the log; the running session (if any) stays listed so new entries still find it
+async function clearLogs() {
+  logState.pending = [];
+  await logState.flushing;
+  logState.buffer = [];
+
+  const { logSessions = [] } = await chrome.storage.local.get('logSessions');
+  const current = logState.session ? logSessions.filter(s => s.id === logState.session.id) : [];
+  await chrome.storage.local.set({ analysisLogs: [], logSessions: current });
+}
+
+// Allow the offline test suite to require() this file directly; inside the extension it's a plain script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LOG_LEVELS,
+    LOG_BUFFER_SIZE,
+    createLogEntry,
+    appendToRing
+  };
+}
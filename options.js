@@ -0,0 +1,430 @@
+// options.js - Options page: saved Steam accounts, presets and every setting in the schema
+
+// Form sections, in order, with the settings each one shows
+const SETTING_SECTIONS = [
+  ['Analysis', ['minOverlap', 'minSimilarity', 'maxProfiles', 'scoringMode', 'discoverMode']],
+  ['Review Weighting', ['reviewWeighting']],
+  ['Reviewer Sampling', ['sampling']],
+  ['Reviewer Filters', ['reviewerFilters']],
+  ['Tag-Aware Similarity', ['tagSimilarity']],
+  ['Taste Sources', ['tasteSources']],
+  ['Request Pacing', ['concurrency', 'communityPerMinute', 'storePerMinute', 'maxPages']],
+  ['Cache', ['cacheHours', 'incrementalRefresh', 'cacheRetentionDays']],
+  ['Logging', ['logLevel']]
+];
+
+const SETTING_LABELS = {
+  minOverlap: 'Minimum game overlap',
+  minSimilarity: 'Minimum taste similarity (%)',
+  maxProfiles: 'Maximum profiles to check',
+  scoringMode: 'Scoring mode',
+  discoverMode: 'Discover games',
+  'reviewWeighting.lowPlaytime': 'Down-weight low-playtime reviews',
+  'reviewWeighting.minHours': 'Low playtime means under (hours)',
+  'reviewWeighting.freeKey': 'Down-weight free-key reviews',
+  'reviewWeighting.earlyAccess': 'Down-weight Early Access reviews',
+  'reviewWeighting.oldReviews': 'Down-weight old reviews',
+  'reviewWeighting.maxAgeYears': 'Old means older than (years)',
+  'reviewWeighting.updated': 'Down-weight edited reviews',
+  'sampling.minAuthorReviews': 'Prefer reviewers with at least this many reviews',
+  'sampling.stratify': 'Balance positive and negative reviews',
+  'sampling.includeRecent': 'Also sample recent reviews',
+  'sampling.includeUpdated': 'Also sample recently updated reviews',
+  'reviewerFilters.languages': 'Review languages (all, or e.g. english, german)',
+  'reviewerFilters.purchaseType': 'Purchase type',
+  'reviewerFilters.windowDays': 'Only reviews from the last (days, 0 = any age)',
+  'reviewerFilters.sinceDate': 'Only reviews posted on or after',
+  'tagSimilarity.enabled': 'Weight agreement by tags shared with the analyzed game',
+  'tagSimilarity.unrelatedWeight': 'Games sharing no tags count at (%)',
+  'tasteSources.myRatings': 'Use My Ratings',
+  'tasteSources.inferFromPlaytime': 'Infer weak ratings from playtime (needs a public games list)',
+  'tasteSources.likeHours': 'Played at least this long counts as liked (hours)',
+  'tasteSources.dislikeHours': 'Played, but no longer than this, counts as disliked (hours)',
+  concurrency: 'Concurrent profile fetches',
+  communityPerMinute: 'Profile requests per minute',
+  storePerMinute: 'API requests per minute',
+  maxPages: 'Pages per reviewer profile (10 reviews each)',
+  cacheHours: 'Cache freshness (hours, 0 = always fetch)',
+  incrementalRefresh: 'Incremental refresh',
+  cacheRetentionDays: 'Delete cached histories after (days, 0 = never)',
+  logLevel: 'Log level'
+};
+
+const OPTION_LABELS = {
+  threshold: 'Threshold',
+  weighted: 'Weighted',
+  all: 'All',
+  steam: 'Steam purchases',
+  non_steam_purchase: 'Key activations',
+  debug: 'Everything, including each request',
+  info: 'Progress',
+  warn: 'Warnings and errors',
+  error: 'Errors only'
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const statusDisplay = document.getElementById('statusDisplay');
+  const accountList = document.getElementById('accountList');
+  const newAccountInput = document.getElementById('newAccountInput');
+  const addAccountBtn = document.getElementById('addAccountBtn');
+  const presetList = document.getElementById('presetList');
+  const presetNameInput = document.getElementById('presetNameInput');
+  const savePresetBtn = document.getElementById('savePresetBtn');
+  const settingsForm = document.getElementById('settingsForm');
+  const resetSettingsBtn = document.getElementById('resetSettingsBtn');
+  const settingsVersion = document.getElementById('settingsVersion');
+  const ratingList = document.getElementById('ratingList');
+  const ratingAppInput = document.getElementById('ratingAppInput');
+  const rateUpBtn = document.getElementById('rateUpBtn');
+  const rateDownBtn = document.getElementById('rateDownBtn');
+  const importRatingsBtn = document.getElementById('importRatingsBtn');
+  const ratingsFileInput = document.getElementById('ratingsFileInput');
+  const clearRatingsBtn = document.getElementById('clearRatingsBtn');
+
+  settingsVersion.textContent = `Settings format version ${SETTINGS_VERSION}`;
+  await refresh();
+
+  // The popup edits the same keys; keep this page in step while both are open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    const watched = ['steamId', 'steamAccounts', 'settingsPresets', 'myRatings', 'userReviews', 'appNameCache', ...Object.keys(SETTINGS_SCHEMA)];
+    if (areaName === 'local' && watched.some(key => key in changes)) {
+      refresh();
+    }
+  });
+
+  async function refresh() {
+    const stored = await chrome.storage.local.get(['steamId', 'steamAccounts', 'settingsPresets', 'myRatings', 'userReviews', 'appNameCache', ...Object.keys(SETTINGS_SCHEMA)]);
+    renderAccounts(stored.steamAccounts || [], stored.steamId);
+    renderRatings(stored.myRatings || [], stored.userReviews, stored.appNameCache || {});
+    renderPresets(stored.settingsPresets || []);
+    renderSettings(normalizeSettings(stored));
+  }
+
+  function showStatus(text, type = 'success') {
+    statusDisplay.classList.add('active');
+    statusDisplay.innerHTML = `<span class="${type}">${escapeHtml(text)}</span>`;
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text === undefined || text === null ? '' : String(text);
+    return div.innerHTML;
+  }
+
+  // Accounts
+  function renderAccounts(accounts, activeId) {
+    if (accounts.length === 0) {
+      accountList.innerHTML = '<div class="help-text">No accounts saved yet.</div>';
+      return;
+    }
+
+    accountList.innerHTML = accounts.map(account => `
+      <div class="history-item">
+        <div class="history-item-info">
+          <div class="history-item-name">${escapeHtml(account.personaName || account.steamId)}</div>
+          <div class="history-item-meta">${account.steamId}${account.steamId === activeId ? ' · active' : ''}</div>
+        </div>
+        <div class="log-controls">
+          ${account.steamId === activeId ? '' : `<button class="clear-log-btn" data-action="activate" data-steam-id="${account.steamId}">Use</button>`}
+          <button class="clear-log-btn" data-action="remove" data-steam-id="${account.steamId}">Remove</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  accountList.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const { steamAccounts = [], steamId } = await chrome.storage.local.get(['steamAccounts', 'steamId']);
+    const account = steamAccounts.find(a => a.steamId === button.dataset.steamId);
+    if (!account) return;
+
+    if (button.dataset.action === 'activate') {
+      await chrome.storage.local.set({ steamId: account.steamId, personaName: account.personaName });
+      showStatus(`Now analyzing as ${account.personaName || account.steamId}`);
+    } else {
+      const remaining = steamAccounts.filter(a => a.steamId !== account.steamId);
+      const updates = { steamAccounts: remaining };
+      // Removing the active account falls back to the first remaining one
+      if (account.steamId === steamId) {
+        updates.steamId = remaining.length > 0 ? remaining[0].steamId : null;
+        updates.personaName = remaining.length > 0 ? remaining[0].personaName : null;
+      }
+      await chrome.storage.local.set(updates);
+      showStatus(`Removed ${account.personaName || account.steamId}`);
+    }
+  });
+
+  addAccountBtn.addEventListener('click', async () => {
+    const input = newAccountInput.value.trim();
+    if (!input) return;
+
+    addAccountBtn.disabled = true;
+    showStatus('Looking up profile...', 'progress');
+    const resolved = await chrome.runtime.sendMessage({ action: 'resolveSteamId', input });
+    addAccountBtn.disabled = false;
+
+    if (!resolved || resolved.error) {
+      showStatus((resolved && resolved.error) || 'Could not resolve that Steam ID', 'error');
+      return;
+    }
+
+    const { steamAccounts = [], steamId } = await chrome.storage.local.get(['steamAccounts', 'steamId']);
+    const account = { steamId: resolved.steamId64, personaName: resolved.personaName || null };
+    const updates = { steamAccounts: upsertSteamAccount(steamAccounts, account) };
+    if (!steamId) {
+      updates.steamId = account.steamId;
+      updates.personaName = account.personaName;
+    }
+    await chrome.storage.local.set(updates);
+    newAccountInput.value = '';
+    showStatus(`Saved ${account.personaName || account.steamId}`);
+  });
+
+  // My Ratings
+  function renderRatings(ratings, userReviews, appNameCache) {
+    if (ratings.length === 0) {
+      ratingList.innerHTML = '<div class="help-text">No ratings yet.</div>';
+      return;
+    }
+
+    // Ratings the scraped Steam reviews override, going by the last fetch
+    const reviewed = new Set(userReviews ? userReviews.reviews.map(review => review.appId) : []);
+    const missingNames = ratings.map(r => r.appId).filter(appId => !appNameCache[appId]);
+    if (missingNames.length > 0) {
+      chrome.runtime.sendMessage({ action: 'getAppNames', appIds: missingNames });
+    }
+
+    ratingList.innerHTML = ratings.slice().sort((a, b) => b.ratedAt - a.ratedAt).map(rating => `
+      <div class="history-item">
+        <div class="history-item-info">
+          <div class="history-item-name">${escapeHtml(appNameCache[rating.appId] || `App ${rating.appId}`)}</div>
+          <div class="history-item-meta">${RATING_SOURCE_LABELS[rating.source] || rating.source} · ${new Date(rating.ratedAt).toLocaleDateString()}${reviewed.has(rating.appId) ? ' · your Steam review is used instead' : ''}</div>
+        </div>
+        <div class="log-controls">
+          <button class="clear-log-btn" data-action="flip" data-app-id="${rating.appId}" title="Change the rating">${rating.isPositive ? '👍' : '👎'}</button>
+          <button class="clear-log-btn" data-action="remove" data-app-id="${rating.appId}">Remove</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  ratingList.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const { myRatings = [] } = await chrome.storage.local.get('myRatings');
+    const rating = myRatings.find(r => r.appId === button.dataset.appId);
+    if (!rating) return;
+
+    if (button.dataset.action === 'flip') {
+      const { ratings } = upsertRatings(myRatings, [{ appId: rating.appId, isPositive: !rating.isPositive }], 'manual');
+      await chrome.storage.local.set({ myRatings: ratings });
+    } else {
+      await chrome.storage.local.set({ myRatings: myRatings.filter(r => r.appId !== rating.appId) });
+      showStatus('Rating removed');
+    }
+  });
+
+  async function rateGame(isPositive) {
+    const appId = parseAppIdInput(ratingAppInput.value);
+    if (!appId) {
+      showStatus('Enter an app ID or a store link', 'warning');
+      return;
+    }
+
+    const { myRatings = [] } = await chrome.storage.local.get('myRatings');
+    const { ratings } = upsertRatings(myRatings, [{ appId, isPositive }], 'manual');
+    await chrome.storage.local.set({ myRatings: ratings });
+    ratingAppInput.value = '';
+    showStatus(`Rated app ${appId} ${isPositive ? '👍' : '👎'}`);
+  }
+
+  rateUpBtn.addEventListener('click', () => rateGame(true));
+  rateDownBtn.addEventListener('click', () => rateGame(false));
+
+  importRatingsBtn.addEventListener('click', () => ratingsFileInput.click());
+
+  ratingsFileInput.addEventListener('change', async () => {
+    const file = ratingsFileInput.files[0];
+    ratingsFileInput.value = '';
+    if (!file) return;
+
+    const parsed = parseRatingsFile(await file.text());
+    if (parsed.error) {
+      showStatus(parsed.error, 'error');
+      return;
+    }
+
+    const { myRatings = [] } = await chrome.storage.local.get('myRatings');
+    const { ratings, added, updated, unchanged } = upsertRatings(myRatings, parsed.ratings, 'import');
+    await chrome.storage.local.set({ myRatings: ratings });
+    const skipped = parsed.skipped > 0 ? `, ${parsed.skipped} rows skipped` : '';
+    showStatus(`Imported ratings: ${added} added, ${updated} changed, ${unchanged} already there${skipped}`, parsed.skipped > 0 ? 'warning' : 'success');
+  });
+
+  clearRatingsBtn.addEventListener('click', async () => {
+    if (!confirm('Remove every rating in My Ratings? Your Steam reviews are not affected.')) return;
+
+    await chrome.storage.local.set({ myRatings: [] });
+    showStatus('Ratings removed');
+  });
+
+  // Presets
+  function renderPresets(userPresets) {
+    presetList.innerHTML = [...BUILT_IN_PRESETS, ...userPresets].map((preset, index) => `
+      <div class="history-item">
+        <div class="history-item-info">
+          <div class="history-item-name">${escapeHtml(preset.name)}</div>
+          <div class="history-item-meta">${describePreset(preset)}</div>
+        </div>
+        <div class="log-controls">
+          <button class="clear-log-btn" data-action="apply" data-index="${index}">Apply</button>
+          ${preset.builtIn ? '' : `<button class="clear-log-btn" data-action="delete" data-index="${index}">Delete</button>`}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  function describePreset(preset) {
+    const values = presetSettings(preset);
+    const parts = [];
+    if (values.maxProfiles !== undefined) parts.push(`${values.maxProfiles} profiles`);
+    if (values.minOverlap !== undefined) parts.push(`overlap ≥ ${values.minOverlap}`);
+    if (values.minSimilarity !== undefined) parts.push(`similarity ≥ ${values.minSimilarity}%`);
+    if (values.scoringMode !== undefined) parts.push(OPTION_LABELS[values.scoringMode].toLowerCase());
+    if (values.maxPages !== undefined) parts.push(`${values.maxPages} pages per profile`);
+    return parts.join(' · ');
+  }
+
+  presetList.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const { settingsPresets = [] } = await chrome.storage.local.get('settingsPresets');
+    const index = parseInt(button.dataset.index);
+    const preset = [...BUILT_IN_PRESETS, ...settingsPresets][index];
+    if (!preset) return;
+
+    if (button.dataset.action === 'apply') {
+      await chrome.storage.local.set(presetSettings(preset, await chrome.storage.local.get(PRESET_KEYS)));
+      showStatus(`Applied preset "${preset.name}"`);
+    } else {
+      await chrome.storage.local.set({ settingsPresets: settingsPresets.filter((_, i) => i !== index - BUILT_IN_PRESETS.length) });
+      showStatus(`Deleted preset "${preset.name}"`);
+    }
+  });
+
+  savePresetBtn.addEventListener('click', async () => {
+    const name = presetNameInput.value.trim();
+    if (!name) {
+      showStatus('Give the preset a name first', 'warning');
+      return;
+    }
+    if (BUILT_IN_PRESETS.some(preset => preset.name === name)) {
+      showStatus(`"${name}" is a built-in preset; pick another name`, 'warning');
+      return;
+    }
+
+    const stored = await chrome.storage.local.get(['settingsPresets', ...PRESET_KEYS]);
+    const current = normalizeSettings(stored);
+    const values = {};
+    for (const key of PRESET_KEYS) values[key] = current[key];
+
+    // Saving under an existing name replaces that preset
+    const presets = (stored.settingsPresets || []).filter(preset => preset.name !== name);
+    await chrome.storage.local.set({ settingsPresets: [...presets, { name, values }] });
+    presetNameInput.value = '';
+    showStatus(`Saved preset "${name}"`);
+  });
+
+  // Settings form
+  function renderSettings(settings) {
+    // Don't rebuild under the user's cursor; the change handler already saved that value
+    if (settingsForm.contains(document.activeElement) && document.activeElement.tagName === 'INPUT') return;
+
+    settingsForm.innerHTML = SETTING_SECTIONS.map(([title, keys]) => `
+      <div class="history-section">
+        <div class="log-header"><span>${title}</span></div>
+        <div class="options-fields">
+          ${keys.map(key => renderField(key, SETTINGS_SCHEMA[key], settings[key])).join('')}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  function renderField(path, schema, value) {
+    if (schema.type === 'object') {
+      return Object.entries(schema.fields)
+        .map(([field, fieldSchema]) => renderField(`${path}.${field}`, fieldSchema, value[field]))
+        .join('');
+    }
+
+    const label = escapeHtml(SETTING_LABELS[path] || path);
+    let control;
+    if (schema.type === 'boolean') {
+      control = `
+        <label class="toggle-label">
+          <input type="checkbox" data-setting="${path}" ${value ? 'checked' : ''}>
+          <span class="toggle-slider"></span>
+        </label>`;
+    } else if (schema.options) {
+      control = `
+        <select class="mode-select options-control" data-setting="${path}">
+          ${schema.options.map(option => `<option value="${option}" ${option === value ? 'selected' : ''}>${OPTION_LABELS[option] || option}</option>`).join('')}
+        </select>`;
+    } else if (schema.type === 'string') {
+      const inputType = path === 'reviewerFilters.sinceDate' ? 'date' : 'text';
+      control = `<input type="${inputType}" class="mode-select options-control" data-setting="${path}" value="${escapeHtml(value)}">`;
+    } else {
+      control = `<input type="number" class="weighting-number options-control" data-setting="${path}" min="${schema.min}" max="${schema.max}" value="${value}">`;
+    }
+
+    return `
+      <div class="options-field">
+        <span class="options-label">${label}</span>
+        ${control}
+      </div>
+    `;
+  }
+
+  settingsForm.addEventListener('change', async (e) => {
+    const control = e.target.closest('[data-setting]');
+    if (!control) return;
+
+    const [key, field] = control.dataset.setting.split('.');
+    let raw = control.type === 'checkbox' ? control.checked : control.value;
+    const stored = await chrome.storage.local.get(key);
+    let notice = null;
+
+    if (control.dataset.setting === 'reviewerFilters.languages') {
+      const { languages, unknown } = parseLanguageList(raw);
+      raw = languages;
+      if (unknown.length > 0) {
+        notice = `Saved; unknown language${unknown.length === 1 ? '' : 's'} ignored: ${unknown.join(', ')}`;
+      }
+    }
+
+    // Values are validated against the schema before saving; out-of-range numbers are clamped
+    let value;
+    if (field) {
+      const current = normalizeSetting(SETTINGS_SCHEMA[key], stored[key]);
+      value = normalizeSetting(SETTINGS_SCHEMA[key], { ...current, [field]: raw });
+      control.value = control.type === 'checkbox' ? control.value : value[field];
+    } else {
+      value = normalizeSetting(SETTINGS_SCHEMA[key], raw);
+      if (control.type !== 'checkbox') control.value = value;
+    }
+
+    await chrome.storage.local.set({ [key]: value });
+    showStatus(notice || 'Saved', notice ? 'warning' : 'success');
+  });
+
+  resetSettingsBtn.addEventListener('click', async () => {
+    if (!confirm('Reset every setting to its default? Saved accounts and presets are kept.')) return;
+
+    await chrome.storage.local.set(settingsDefaults());
+    showStatus('Settings reset to defaults');
+  });
+});
@@ -1,6 +1,43 @@
 // popup.js - Handles UI interactions and communicates with background script
 
-let updateInterval = null;
+// Storage keys the popup's run display is built from; a change to any of them triggers a refresh
+const ANALYSIS_STATE_KEYS = [
+  'analysisRunning',
+  'analysisProgress',
+  'analysisLogs',
+  'logSessions',
+  'currentLogSession',
+  'analysisResult',
+  'analysisError',
+  'analysisInterrupted',
+  'batchQueue',
+  'batchRunning'
+];
+
+const PROGRESS_PHASE_LABELS = {
+  userReviews: 'Fetching your reviews',
+  gameReviewers: 'Collecting reviewers',
+  reviewerData: 'Fetching reviewer profiles',
+  scoring: 'Calculating score',
+  tags: 'Looking up store tags',
+  discover: 'Looking up recommendations'
+};
+
+let progressPort = null;
+let stateCheckTimer = null;
+let viewedHistoryEntry = null; // Past result shown instead of the latest run
+let lastSeenResultAt = null;
+const compareSelection = new Set();
+const batchNameHints = new Map(); // appId -> game name, for entries added from open tabs
+let batchSort = { key: 'score', direction: -1 };
+let lastBatchJson = null;
+let lastLogKey = null;
+let logState = { entries: [], sessions: [], currentSession: null };
+let displayedResult = null;
+let neighboursOpen = false;
+const expandedNeighbours = new Set();
+let pinnedReviewers = new Set();
+let appNames = {}; // appId -> name, mirrors the background's appNameCache
 
 document.addEventListener('DOMContentLoaded', async () => {
   const overlapSlider = document.getElementById('overlapSlider');
@@ -9,31 +46,102 @@ document.addEventListener('DOMContentLoaded', async () => {
   const similarityValue = document.getElementById('similarityValue');
   const maxProfilesSlider = document.getElementById('maxProfilesSlider');
   const maxProfilesValue = document.getElementById('maxProfilesValue');
+  const scoringModeSelect = document.getElementById('scoringModeSelect');
+  const minAuthorReviewsSlider = document.getElementById('minAuthorReviewsSlider');
+  const minAuthorReviewsValue = document.getElementById('minAuthorReviewsValue');
+  const stratifyToggle = document.getElementById('stratifyToggle');
+  const includeRecentToggle = document.getElementById('includeRecentToggle');
+  const includeUpdatedToggle = document.getElementById('includeUpdatedToggle');
+  const filterLanguagesInput = document.getElementById('filterLanguagesInput');
+  const filterPurchaseSelect = document.getElementById('filterPurchaseSelect');
+  const filterWindowSelect = document.getElementById('filterWindowSelect');
+  const filterSinceInput = document.getElementById('filterSinceInput');
+  const concurrencySlider = document.getElementById('concurrencySlider');
+  const concurrencyValue = document.getElementById('concurrencyValue');
+  const communityRateSlider = document.getElementById('communityRateSlider');
+  const communityRateValue = document.getElementById('communityRateValue');
+  const storeRateSlider = document.getElementById('storeRateSlider');
+  const storeRateValue = document.getElementById('storeRateValue');
+  const cacheHoursSlider = document.getElementById('cacheHoursSlider');
+  const cacheHoursValue = document.getElementById('cacheHoursValue');
+  const incrementalToggle = document.getElementById('incrementalToggle');
+  const discoverToggle = document.getElementById('discoverToggle');
+  const weightLowPlaytime = document.getElementById('weightLowPlaytime');
+  const weightMinHours = document.getElementById('weightMinHours');
+  const weightFreeKey = document.getElementById('weightFreeKey');
+  const weightEarlyAccess = document.getElementById('weightEarlyAccess');
+  const weightOldReviews = document.getElementById('weightOldReviews');
+  const weightMaxAgeYears = document.getElementById('weightMaxAgeYears');
+  const weightUpdated = document.getElementById('weightUpdated');
+  const cacheInfo = document.getElementById('cacheInfo');
+  const clearCacheBtn = document.getElementById('clearCacheBtn');
   const analyzeBtn = document.getElementById('analyzeBtn');
   const cancelBtn = document.getElementById('cancelBtn');
+  const resumeControls = document.getElementById('resumeControls');
+  const resumeBtn = document.getElementById('resumeBtn');
+  const discardResumeBtn = document.getElementById('discardResumeBtn');
   const steamIdInput = document.getElementById('steamId');
   const saveSteamIdBtn = document.getElementById('saveSteamId');
+  const steamIdPreview = document.getElementById('steamIdPreview');
+  const steamIdPreviewText = document.getElementById('steamIdPreviewText');
+  const confirmSteamIdBtn = document.getElementById('confirmSteamIdBtn');
+  const rejectSteamIdBtn = document.getElementById('rejectSteamIdBtn');
+  const savedSteamIdInfo = document.getElementById('savedSteamIdInfo');
+  const accountSelect = document.getElementById('accountSelect');
+  const openOptionsBtn = document.getElementById('openOptionsBtn');
+  const openDashboardBtn = document.getElementById('openDashboardBtn');
   const statusDisplay = document.getElementById('statusDisplay');
+  const progressPanel = document.getElementById('progressPanel');
+  const progressFill = document.getElementById('progressFill');
+  const progressDetail = document.getElementById('progressDetail');
+  const progressScore = document.getElementById('progressScore');
   const resultsDisplay = document.getElementById('resultsDisplay');
   const logWindow = document.getElementById('logWindow');
   const clearLogBtn = document.getElementById('clearLogBtn');
   const loggingToggle = document.getElementById('loggingToggle');
+  const logLevelFilter = document.getElementById('logLevelFilter');
+  const logSessionFilter = document.getElementById('logSessionFilter');
+  const logSearchInput = document.getElementById('logSearchInput');
+  const historyPanel = document.getElementById('historyPanel');
+  const historyList = document.getElementById('historyList');
+  const compareDisplay = document.getElementById('compareDisplay');
+  const toggleHistoryBtn = document.getElementById('toggleHistoryBtn');
+  const compareHistoryBtn = document.getElementById('compareHistoryBtn');
+  const toggleBatchBtn = document.getElementById('toggleBatchBtn');
+  const batchPanel = document.getElementById('batchPanel');
+  const batchInput = document.getElementById('batchInput');
+  const addTabsBtn = document.getElementById('addTabsBtn');
+  const importWishlistBtn = document.getElementById('importWishlistBtn');
+  const runBatchBtn = document.getElementById('runBatchBtn');
+  const continueBatchBtn = document.getElementById('continueBatchBtn');
+  const batchTable = document.getElementById('batchTable');
+  const toggleDataBtn = document.getElementById('toggleDataBtn');
+  const dataPanel = document.getElementById('dataPanel');
+  const importDataBtn = document.getElementById('importDataBtn');
+  const importFileInput = document.getElementById('importFileInput');
 
   // Load saved values including sliders
   const stored = await chrome.storage.local.get([
     'steamId', 
+    'personaName',
+    'steamAccounts',
     'loggingEnabled',
-    'minOverlap',
-    'minSimilarity', 
-    'maxProfiles',
+    ...Object.keys(SETTINGS_SCHEMA),
+    'pinnedReviewers',
+    'appNameCache',
     'analysisResult',
-    'analysisRunning'
+    'analysisRunning',
+    'analysisHistory'
   ]);
+  // Missing or out-of-range values fall back to the schema defaults in settings.js
+  const settings = normalizeSettings(stored);
   
   // Load Steam ID
   if (stored.steamId) {
     steamIdInput.value = stored.steamId;
+    renderSavedSteamId(stored.steamId, stored.personaName);
   }
+  renderAccountSelect(stored.steamAccounts || [], stored.steamId);
   
   // Load logging preference
   loggingToggle.checked = stored.loggingEnabled !== false; // default true
@@ -42,18 +150,47 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
   
   // Load slider values
-  if (stored.minOverlap) {
-    overlapSlider.value = stored.minOverlap;
-    overlapValue.textContent = stored.minOverlap;
-  }
-  if (stored.minSimilarity) {
-    similaritySlider.value = stored.minSimilarity;
-    similarityValue.textContent = `${stored.minSimilarity}%`;
-  }
-  if (stored.maxProfiles) {
-    maxProfilesSlider.value = stored.maxProfiles;
-    maxProfilesValue.textContent = stored.maxProfiles;
+  overlapSlider.value = settings.minOverlap;
+  overlapValue.textContent = settings.minOverlap;
+  similaritySlider.value = settings.minSimilarity;
+  similarityValue.textContent = `${settings.minSimilarity}%`;
+  maxProfilesSlider.value = settings.maxProfiles;
+  maxProfilesValue.textContent = settings.maxProfiles;
+  scoringModeSelect.value = settings.scoringMode;
+  minAuthorReviewsSlider.value = settings.sampling.minAuthorReviews;
+  minAuthorReviewsValue.textContent = `${settings.sampling.minAuthorReviews}+`;
+  stratifyToggle.checked = settings.sampling.stratify;
+  includeRecentToggle.checked = settings.sampling.includeRecent;
+  includeUpdatedToggle.checked = settings.sampling.includeUpdated;
+  filterLanguagesInput.value = settings.reviewerFilters.languages === 'all' ? '' : settings.reviewerFilters.languages.split(',').join(', ');
+  filterPurchaseSelect.value = settings.reviewerFilters.purchaseType;
+  // A window set on the options page may not be one of the presets in the list
+  if (!filterWindowSelect.querySelector(`option[value="${settings.reviewerFilters.windowDays}"]`)) {
+    filterWindowSelect.add(new Option(`Last ${settings.reviewerFilters.windowDays} days`, settings.reviewerFilters.windowDays));
   }
+  filterWindowSelect.value = settings.reviewerFilters.windowDays;
+  filterSinceInput.value = settings.reviewerFilters.sinceDate;
+  concurrencySlider.value = settings.concurrency;
+  concurrencyValue.textContent = settings.concurrency;
+  communityRateSlider.value = settings.communityPerMinute;
+  communityRateValue.textContent = settings.communityPerMinute;
+  storeRateSlider.value = settings.storePerMinute;
+  storeRateValue.textContent = settings.storePerMinute;
+  cacheHoursSlider.value = settings.cacheHours;
+  cacheHoursValue.textContent = formatCacheHours(cacheHoursSlider.value);
+  incrementalToggle.checked = settings.incrementalRefresh;
+  discoverToggle.checked = settings.discoverMode;
+  weightLowPlaytime.checked = settings.reviewWeighting.lowPlaytime;
+  weightFreeKey.checked = settings.reviewWeighting.freeKey;
+  weightEarlyAccess.checked = settings.reviewWeighting.earlyAccess;
+  weightOldReviews.checked = settings.reviewWeighting.oldReviews;
+  weightUpdated.checked = settings.reviewWeighting.updated;
+  weightMinHours.value = settings.reviewWeighting.minHours;
+  weightMaxAgeYears.value = settings.reviewWeighting.maxAgeYears;
+  pinnedReviewers = new Set(stored.pinnedReviewers || []);
+  appNames = stored.appNameCache || {};
+
+  refreshCacheInfo();
 
   // Clear any leftover error state from previous sessions
   if (!stored.analysisRunning) {
@@ -62,11 +199,32 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  // On a game page we've analyzed before, show that game's last result instead of whatever ran last
+  const currentAppId = await getActiveAppId();
+  const history = stored.analysisHistory || [];
+  if (!stored.analysisRunning && currentAppId && (!stored.analysisResult || stored.analysisResult.appId !== currentAppId)) {
+    // Prefer a result made with the reviewer filters currently set
+    const filtersNow = describeReviewerFilters(settings.reviewerFilters);
+    const forApp = history.filter(entry => entry.appId === currentAppId);
+    const lastForApp = forApp.find(entry => describeReviewerFilters(entry.result.reviewerFilters) === filtersNow) || forApp[0];
+    if (lastForApp) {
+      viewedHistoryEntry = lastForApp;
+    }
+  }
+  lastSeenResultAt = stored.analysisResult ? stored.analysisResult.analyzedAt : null;
+  renderHistory(history);
+
   // Check for ongoing or completed analysis
   await checkAnalysisState();
 
-  // Poll for updates every 500ms
-  updateInterval = setInterval(checkAnalysisState, 500);
+  // From here on the background pushes updates: run state, results and the log through
+  // storage changes, live progress through a port
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && ANALYSIS_STATE_KEYS.some(key => key in changes)) {
+      scheduleStateCheck();
+    }
+  });
+  connectProgressPort();
 
   // Update slider displays AND save to storage
   overlapSlider.addEventListener('input', async (e) => {
@@ -87,11 +245,147 @@ document.addEventListener('DOMContentLoaded', async () => {
     await chrome.storage.local.set({ maxProfiles: parseInt(value) });
   });
 
+  scoringModeSelect.addEventListener('change', async (e) => {
+    await chrome.storage.local.set({ scoringMode: e.target.value });
+  });
+
+  discoverToggle.addEventListener('change', async (e) => {
+    await chrome.storage.local.set({ discoverMode: e.target.checked });
+  });
+
+  // All review weighting controls are saved together as one object
+  for (const control of [weightLowPlaytime, weightFreeKey, weightEarlyAccess, weightOldReviews, weightUpdated, weightMinHours, weightMaxAgeYears]) {
+    control.addEventListener('change', async () => {
+      await chrome.storage.local.set({ reviewWeighting: collectReviewWeighting() });
+    });
+  }
+
+  minAuthorReviewsSlider.addEventListener('input', async (e) => {
+    minAuthorReviewsValue.textContent = `${e.target.value}+`;
+    await chrome.storage.local.set({ sampling: collectSampling() });
+  });
+
+  for (const toggle of [stratifyToggle, includeRecentToggle, includeUpdatedToggle]) {
+    toggle.addEventListener('change', async () => {
+      await chrome.storage.local.set({ sampling: collectSampling() });
+    });
+  }
+
+  // All reviewer filter controls are saved together as one object
+  for (const control of [filterLanguagesInput, filterPurchaseSelect, filterWindowSelect, filterSinceInput]) {
+    control.addEventListener('change', async () => {
+      const { languages, unknown } = parseLanguageList(filterLanguagesInput.value);
+      if (unknown.length > 0) {
+        showStatus(`Unknown language${unknown.length === 1 ? '' : 's'} ignored: ${unknown.join(', ')}`, 'warning');
+      }
+      filterLanguagesInput.value = languages === 'all' ? '' : languages.split(',').join(', ');
+      await chrome.storage.local.set({ reviewerFilters: collectReviewerFilters() });
+    });
+  }
+
+  concurrencySlider.addEventListener('input', async (e) => {
+    const value = e.target.value;
+    concurrencyValue.textContent = value;
+    await chrome.storage.local.set({ concurrency: parseInt(value) });
+  });
+
+  communityRateSlider.addEventListener('input', async (e) => {
+    const value = e.target.value;
+    communityRateValue.textContent = value;
+    await chrome.storage.local.set({ communityPerMinute: parseInt(value) });
+  });
+
+  storeRateSlider.addEventListener('input', async (e) => {
+    const value = e.target.value;
+    storeRateValue.textContent = value;
+    await chrome.storage.local.set({ storePerMinute: parseInt(value) });
+  });
+
+  cacheHoursSlider.addEventListener('input', async (e) => {
+    const value = e.target.value;
+    cacheHoursValue.textContent = formatCacheHours(value);
+    await chrome.storage.local.set({ cacheHours: parseInt(value) });
+  });
+
+  incrementalToggle.addEventListener('change', async (e) => {
+    await chrome.storage.local.set({ incrementalRefresh: e.target.checked });
+  });
+
+  // Clear cache button
+  clearCacheBtn.addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ action: 'clearCache' });
+    if (response && response.success) {
+      showStatus('Reviewer cache cleared', 'success');
+      addLog('Reviewer cache cleared', 'info');
+    } else {
+      showStatus('Failed to clear cache', 'error');
+    }
+    refreshCacheInfo();
+  });
+
+  // History panel
+  toggleHistoryBtn.addEventListener('click', () => {
+    const visible = historyPanel.style.display !== 'none';
+    historyPanel.style.display = visible ? 'none' : 'block';
+    toggleHistoryBtn.textContent = visible ? 'Show' : 'Hide';
+  });
+
+  historyList.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const id = button.dataset.id;
+    const { analysisHistory = [] } = await chrome.storage.local.get('analysisHistory');
+
+    if (button.dataset.action === 'open') {
+      const entry = analysisHistory.find(h => h.id === id);
+      if (entry) {
+        viewedHistoryEntry = entry;
+        displayResults(entry.result);
+        renderHistory(analysisHistory);
+      }
+    } else if (button.dataset.action === 'delete') {
+      // The background also updates the per-game summary the store-page panel reads
+      const { history: remaining = analysisHistory } = await chrome.runtime.sendMessage({ action: 'deleteHistoryEntry', id });
+      compareSelection.delete(id);
+      if (viewedHistoryEntry && viewedHistoryEntry.id === id) {
+        viewedHistoryEntry = null;
+        resultsDisplay.classList.remove('active');
+        resultsDisplay.innerHTML = '';
+      }
+      renderHistory(remaining);
+      renderComparison(remaining);
+    }
+  });
+
+  historyList.addEventListener('change', async (e) => {
+    if (!e.target.matches('input[type="checkbox"][data-id]')) return;
+
+    if (e.target.checked) {
+      compareSelection.add(e.target.dataset.id);
+    } else {
+      compareSelection.delete(e.target.dataset.id);
+    }
+    compareHistoryBtn.disabled = compareSelection.size < 2;
+  });
+
+  compareHistoryBtn.addEventListener('click', async () => {
+    const { analysisHistory = [] } = await chrome.storage.local.get('analysisHistory');
+    renderComparison(analysisHistory);
+  });
+
   // Logging toggle
   loggingToggle.addEventListener('change', async (e) => {
     const enabled = e.target.checked;
     await chrome.storage.local.set({ loggingEnabled: enabled });
     
+    // Notify background script first, so the "enabled" line below isn't dropped
+    try {
+      await chrome.runtime.sendMessage({ action: 'setLogging', enabled });
+    } catch (error) {
+      // Ignore if background script isn't ready
+    }
+    
     if (enabled) {
       logWindow.classList.remove('disabled');
       addLog('Logging enabled', 'success');
@@ -99,37 +393,38 @@ document.addEventListener('DOMContentLoaded', async () => {
       logWindow.classList.add('disabled');
       logWindow.innerHTML = ''; // Clear display immediately
       // Clear logs from storage to save space
-      await chrome.storage.local.set({ analysisLogs: [] });
-    }
-    
-    // Notify background script (non-blocking)
-    try {
-      chrome.runtime.sendMessage({ action: 'setLogging', enabled });
-    } catch (error) {
-      // Ignore if background script isn't ready
+      await chrome.runtime.sendMessage({ action: 'clearLog' });
     }
   });
 
   // Clear log button
   clearLogBtn.addEventListener('click', async () => {
     logWindow.innerHTML = '';
-    await chrome.storage.local.set({ analysisLogs: [] });
+    await chrome.runtime.sendMessage({ action: 'clearLog' });
   });
 
+  // Log filters re-render from the last entries read
+  logLevelFilter.addEventListener('change', renderLog);
+  logSessionFilter.addEventListener('change', renderLog);
+  logSearchInput.addEventListener('input', renderLog);
+
   // Copy log button
   const copyLogBtn = document.getElementById('copyLogBtn');
   copyLogBtn.addEventListener('click', async () => {
-    const { analysisLogs = [] } = await chrome.storage.local.get('analysisLogs');
+    const entries = filteredLogEntries();
     
-    if (analysisLogs.length === 0) {
+    if (entries.length === 0) {
       showStatus('Log is empty', 'warning');
       return;
     }
     
-    // Format logs as text
-    const logText = analysisLogs.map(log => 
-      `[${log.timestamp}] ${log.text}`
-    ).join('\n');
+    // The structured entries (with their sessions) as shown by the current filters
+    const sessionIds = new Set(entries.map(entry => entry.session));
+    const logText = JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      sessions: logState.sessions.filter(session => sessionIds.has(session.id)),
+      entries
+    }, null, 2);
     
     try {
       await navigator.clipboard.writeText(logText);
@@ -149,23 +444,91 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
-  // Save Steam ID
+  // Save Steam ID: resolve it first and show what it maps to, then store on confirm
+  let pendingSteamId = null;
+
   saveSteamIdBtn.addEventListener('click', async () => {
-    const steamId = steamIdInput.value.trim();
-    if (steamId) {
-      await chrome.storage.local.set({ steamId });
-      showStatus('Steam ID saved!', 'success');
-      if (loggingToggle.checked) {
-        addLog('Steam ID saved', 'success');
-      }
-    } else {
+    const input = steamIdInput.value.trim();
+    steamIdPreview.style.display = 'none';
+    pendingSteamId = null;
+
+    if (!input) {
       showStatus('Please enter a valid Steam ID', 'error');
       if (loggingToggle.checked) {
         addLog('Error: No Steam ID provided', 'error');
       }
+      return;
+    }
+
+    saveSteamIdBtn.disabled = true;
+    showStatus('Looking up Steam profile...', 'progress');
+
+    try {
+      const resolved = await chrome.runtime.sendMessage({ action: 'resolveSteamId', input });
+
+      if (!resolved || resolved.error) {
+        const message = resolved ? resolved.error : 'Could not resolve Steam ID';
+        showStatus(escapeHtml(message), 'error');
+        if (loggingToggle.checked) {
+          addLog(`Error: ${message}`, 'error');
+        }
+        return;
+      }
+
+      pendingSteamId = resolved;
+      const name = resolved.personaName ? `<strong>${escapeHtml(resolved.personaName)}</strong> — ` : '';
+      let warning = '';
+      if (resolved.privacyState && resolved.privacyState !== 'public') {
+        warning = `<div class="steamid-warning">⚠️ This profile is ${escapeHtml(resolved.privacyState)}; reviews can't be read until it is public.</div>`;
+      } else if (!resolved.privacyState) {
+        warning = '<div class="steamid-warning">⚠️ Could not load profile details to confirm the name.</div>';
+      }
+      steamIdPreviewText.innerHTML = `${name}${resolved.steamId64} <span class="help-text">(${escapeHtml(resolved.format)})</span>${warning}`;
+      steamIdPreview.style.display = 'block';
+      statusDisplay.classList.remove('active');
+    } finally {
+      saveSteamIdBtn.disabled = false;
+    }
+  });
+
+  confirmSteamIdBtn.addEventListener('click', async () => {
+    if (!pendingSteamId) return;
+
+    const { steamId64, personaName } = pendingSteamId;
+    const { steamAccounts = [] } = await chrome.storage.local.get('steamAccounts');
+    const accounts = upsertSteamAccount(steamAccounts, { steamId: steamId64, personaName: personaName || null });
+    await chrome.storage.local.set({ steamId: steamId64, personaName: personaName || null, steamAccounts: accounts });
+    steamIdInput.value = steamId64;
+    renderSavedSteamId(steamId64, personaName);
+    renderAccountSelect(accounts, steamId64);
+    steamIdPreview.style.display = 'none';
+    pendingSteamId = null;
+
+    showStatus('Steam ID saved!', 'success');
+    if (loggingToggle.checked) {
+      addLog(`Steam ID saved: ${steamId64}${personaName ? ` (${personaName})` : ''}`, 'success');
     }
   });
 
+  accountSelect.addEventListener('change', async () => {
+    const { steamAccounts = [] } = await chrome.storage.local.get('steamAccounts');
+    const account = steamAccounts.find(a => a.steamId === accountSelect.value);
+    if (!account) return;
+
+    await chrome.storage.local.set({ steamId: account.steamId, personaName: account.personaName });
+    steamIdInput.value = account.steamId;
+    renderSavedSteamId(account.steamId, account.personaName);
+    showStatus(`Switched to ${escapeHtml(account.personaName || account.steamId)}`, 'success');
+  });
+
+  openOptionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  openDashboardBtn.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') }));
+
+  rejectSteamIdBtn.addEventListener('click', () => {
+    steamIdPreview.style.display = 'none';
+    pendingSteamId = null;
+  });
+
   // Cancel button
   cancelBtn.addEventListener('click', async () => {
     await chrome.runtime.sendMessage({ action: 'cancelAnalysis' });
@@ -179,6 +542,24 @@ document.addEventListener('DOMContentLoaded', async () => {
     analyzeBtn.style.display = 'block';
   });
 
+  // Resume an interrupted analysis from its last checkpoint
+  resumeBtn.addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ action: 'resumeAnalysis' });
+    if (response && response.resumed) {
+      viewedHistoryEntry = null;
+      resumeControls.style.display = 'none';
+      showStatus('Resuming analysis in background...', 'progress');
+    } else {
+      showStatus('Nothing to resume', 'warning');
+    }
+  });
+
+  discardResumeBtn.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ action: 'discardCheckpoint' });
+    resumeControls.style.display = 'none';
+    statusDisplay.classList.remove('active');
+  });
+
   // Analyze button click
   analyzeBtn.addEventListener('click', async () => {
     const steamId = steamIdInput.value.trim();
@@ -197,9 +578,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   
     // Get current slider values 
-    const minOverlap = parseInt(overlapSlider.value);
-    const minSimilarity = parseInt(similaritySlider.value);
-    const maxProfiles = parseInt(maxProfilesSlider.value);
+    const settings = collectAnalysisSettings();
+    const { minOverlap, minSimilarity, maxProfiles, scoringMode, concurrency, rateLimits, cacheHours } = settings;
   
     // Get current tab
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -233,13 +613,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   
     const appId = appIdMatch[1];
+    const gameName = await getGameName(tab);
+    viewedHistoryEntry = null;
   
     // Clear previous results and logs (but keep slider values)
     resultsDisplay.classList.remove('active');
     resultsDisplay.innerHTML = '';
     logWindow.innerHTML = '';
     await chrome.storage.local.set({ 
-      analysisLogs: [], 
       analysisResult: null,
       analysisError: null,
       analysisProgress: null  
@@ -251,7 +632,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   
     if (loggingToggle.checked) {
       addLog(`Starting analysis for game ${appId}`, 'info');
-      addLog(`Parameters: overlap=${minOverlap}, similarity=${minSimilarity}%, maxProfiles=${maxProfiles}`, 'info');
+      addLog(`Parameters: mode=${scoringMode}, overlap=${minOverlap}, similarity=${minSimilarity}%, maxProfiles=${maxProfiles}, concurrency=${concurrency}, rate=${rateLimits.communityPerMinute}/${rateLimits.storePerMinute} req/min, cache=${formatCacheHours(cacheHours)}`, 'info');
       addLog('You can close this window - analysis continues in background', 'info');
     }
     showStatus('Analysis started in background...', 'progress');
@@ -261,39 +642,266 @@ document.addEventListener('DOMContentLoaded', async () => {
       action: 'startAnalysis',
       data: {
         appId,
+        gameName,
         steamId,
-        minOverlap,
-        minSimilarity,
-        maxProfiles
+        ...settings
+      }
+    });
+  });
+
+  // Taste neighbours: expand the list or a reviewer's games, and pin/unpin reviewers
+  resultsDisplay.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button || !displayedResult) return;
+
+    const steamId = button.dataset.steamId;
+
+    if (button.dataset.action === 'toggle-neighbours') {
+      neighboursOpen = !neighboursOpen;
+    } else if (button.dataset.action === 'expand-neighbour') {
+      if (expandedNeighbours.has(steamId)) {
+        expandedNeighbours.delete(steamId);
+      } else {
+        expandedNeighbours.add(steamId);
+        loadNeighbourGameNames(steamId);
+      }
+    } else if (button.dataset.action === 'pin') {
+      if (pinnedReviewers.has(steamId)) {
+        pinnedReviewers.delete(steamId);
+      } else {
+        pinnedReviewers.add(steamId);
+      }
+      await chrome.storage.local.set({ pinnedReviewers: [...pinnedReviewers] });
+      if (loggingToggle.checked) {
+        addLog(`${pinnedReviewers.has(steamId) ? 'Pinned' : 'Unpinned'} reviewer ${steamId}`, 'info');
+      }
+    } else {
+      return;
+    }
+
+    displayResults(displayedResult);
+  });
+
+  // Batch panel
+  toggleBatchBtn.addEventListener('click', () => {
+    const visible = batchPanel.style.display !== 'none';
+    batchPanel.style.display = visible ? 'none' : 'block';
+    toggleBatchBtn.textContent = visible ? 'Show' : 'Hide';
+  });
+
+  toggleDataBtn.addEventListener('click', () => {
+    const visible = dataPanel.style.display !== 'none';
+    dataPanel.style.display = visible ? 'none' : 'block';
+    toggleDataBtn.textContent = visible ? 'Show' : 'Hide';
+  });
+
+  dataPanel.addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-export]');
+    if (!button) return;
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'exportData',
+      kind: button.dataset.export,
+      format: button.dataset.format || 'json'
+    });
+    if (!response || response.error) {
+      showStatus((response && response.error) || 'Export failed', 'error');
+      return;
+    }
+
+    downloadFile(response.filename, response.mimeType, response.content);
+    showStatus(`Saved ${response.filename}`, 'success');
+  });
+
+  importDataBtn.addEventListener('click', () => importFileInput.click());
+
+  importFileInput.addEventListener('change', async () => {
+    const file = importFileInput.files[0];
+    importFileInput.value = '';
+    if (!file) return;
+
+    showStatus(`Importing ${escapeHtml(file.name)}...`, 'progress');
+    const response = await chrome.runtime.sendMessage({ action: 'importData', text: await file.text() });
+    if (!response || response.error) {
+      showStatus(escapeHtml((response && response.error) || 'Import failed'), 'error');
+      return;
+    }
+
+    const labels = { results: 'results', userReviews: 'of your reviews', reviewerDataset: 'reviewer histories' };
+    showStatus(`Imported ${labels[response.kind]}: ${response.added} new, ${response.updated} updated, ${response.skipped} already up to date`, 'success');
+    if (response.kind === 'results') {
+      const { analysisHistory = [] } = await chrome.storage.local.get('analysisHistory');
+      renderHistory(analysisHistory);
+    } else if (response.kind === 'reviewerDataset') {
+      refreshCacheInfo();
+    }
+  });
+
+  addTabsBtn.addEventListener('click', async () => {
+    const tabs = await chrome.tabs.query({ url: 'https://store.steampowered.com/app/*' });
+    const added = [];
+    for (const tab of tabs) {
+      const appIdMatch = tab.url && tab.url.match(/\/app\/(\d+)/);
+      if (!appIdMatch) continue;
+      batchNameHints.set(appIdMatch[1], (tab.title || '').replace(/\s+on Steam$/, '').trim() || null);
+      added.push(appIdMatch[1]);
+    }
+    appendBatchIds(added);
+    showStatus(added.length > 0 ? `Added ${added.length} games from open tabs` : 'No Steam game pages are open', added.length > 0 ? 'success' : 'warning');
+  });
+
+  importWishlistBtn.addEventListener('click', async () => {
+    const steamId = steamIdInput.value.trim();
+    if (!steamId) {
+      showStatus('Please enter your Steam ID first', 'error');
+      return;
+    }
+
+    importWishlistBtn.disabled = true;
+    showStatus('Loading wishlist...', 'progress');
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'importWishlist', steamId });
+      if (!response || response.error) {
+        showStatus(escapeHtml(response ? response.error : 'Could not load wishlist'), 'error');
+        return;
       }
+      appendBatchIds(response.appIds);
+      showStatus(`Added ${response.appIds.length} games from your wishlist`, 'success');
+    } finally {
+      importWishlistBtn.disabled = false;
+    }
+  });
+
+  runBatchBtn.addEventListener('click', async () => {
+    const steamId = steamIdInput.value.trim();
+    if (!steamId) {
+      showStatus('Please enter your Steam ID first', 'error');
+      return;
+    }
+
+    const { appIds, invalid } = parseBatchInput(batchInput.value);
+    if (invalid.length > 0) {
+      showStatus(`Not an app ID or store link: ${escapeHtml(invalid.join(', '))}`, 'error');
+      return;
+    }
+    if (appIds.length === 0) {
+      showStatus('Add some app IDs to the batch first', 'error');
+      return;
+    }
+
+    const items = appIds.map(appId => ({ appId, gameName: batchNameHints.get(appId) || null }));
+    const response = await chrome.runtime.sendMessage({
+      action: 'startBatch',
+      items,
+      data: { steamId, ...collectAnalysisSettings() }
     });
+
+    if (response && response.started) {
+      viewedHistoryEntry = null;
+      resultsDisplay.classList.remove('active');
+      logWindow.innerHTML = '';
+      showStatus(`Batch of ${items.length} games started in background...`, 'progress');
+    } else {
+      showStatus(escapeHtml((response && response.error) || 'Could not start batch'), 'error');
+    }
   });
 
+  continueBatchBtn.addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ action: 'continueBatch' });
+    if (response && response.started) {
+      showStatus('Continuing batch in background...', 'progress');
+    } else {
+      showStatus(escapeHtml((response && response.error) || 'Nothing left to analyze in the batch'), 'warning');
+    }
+  });
+
+  batchTable.addEventListener('click', async (e) => {
+    const header = e.target.closest('th[data-sort]');
+    if (!header) return;
+
+    const key = header.dataset.sort;
+    batchSort = { key, direction: batchSort.key === key ? -batchSort.direction : (key === 'gameName' ? 1 : -1) };
+    const { batchQueue } = await chrome.storage.local.get('batchQueue');
+    renderBatch(batchQueue);
+  });
+
+  // Storage writes come in bursts during a run; one refresh per burst is enough
+  function scheduleStateCheck() {
+    if (stateCheckTimer) return;
+    stateCheckTimer = setTimeout(() => {
+      stateCheckTimer = null;
+      checkAnalysisState();
+    }, 100);
+  }
+
+  function connectProgressPort() {
+    progressPort = chrome.runtime.connect({ name: 'progress' });
+    progressPort.onMessage.addListener(event => {
+      if (event.type === 'progress') renderProgress(event);
+    });
+    // The background worker can be stopped between runs; reconnect so the next run is heard
+    progressPort.onDisconnect.addListener(() => {
+      progressPort = null;
+      setTimeout(connectProgressPort, 1000);
+    });
+  }
+
+  function renderProgress(event) {
+    if (event.phase === 'done') {
+      progressPanel.style.display = 'none';
+      return;
+    }
+
+    const counted = event.total > 0 && typeof event.processed === 'number';
+    const parts = [PROGRESS_PHASE_LABELS[event.phase] || event.text];
+    if (counted) parts.push(`${event.processed}/${event.total}`);
+    if (typeof event.etaMs === 'number') parts.push(`about ${formatEta(event.etaMs)} left`);
+    if (typeof event.matches === 'number') parts.push(`${event.matches} matching so far`);
+
+    progressPanel.style.display = 'block';
+    progressFill.style.width = counted ? `${Math.min(100, Math.round((event.processed / event.total) * 100))}%` : '0';
+    progressDetail.textContent = parts.join(' · ');
+    progressScore.textContent = typeof event.provisionalScore === 'number'
+      ? `Provisional score: ${event.provisionalScore}% (may change as more profiles come in)`
+      : '';
+  }
+
+  function formatEta(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+
   async function checkAnalysisState() {
-    const state = await chrome.storage.local.get([
-      'analysisRunning', 
-      'analysisProgress', 
-      'analysisLogs', 
-      'analysisResult',
-      'analysisError'
-    ]);
+    const state = await chrome.storage.local.get(ANALYSIS_STATE_KEYS);
+
+    const batchJson = JSON.stringify(state.batchQueue || null);
+    if (batchJson !== lastBatchJson) {
+      lastBatchJson = batchJson;
+      renderBatch(state.batchQueue);
+    }
+    const batchHasPending = state.batchQueue && state.batchQueue.items.some(item => item.status !== 'done');
+    continueBatchBtn.style.display = !state.analysisRunning && batchHasPending ? 'inline-block' : 'none';
+    runBatchBtn.disabled = Boolean(state.analysisRunning);
   
     // Update logs if logging is enabled
-    if (loggingToggle.checked && state.analysisLogs && state.analysisLogs.length > 0) {
-      const currentLogCount = logWindow.children.length;
-      if (currentLogCount !== state.analysisLogs.length) {
+    if (loggingToggle.checked) {
+      const entries = state.analysisLogs || [];
+      const last = entries[entries.length - 1];
+      const logKey = `${entries.length}:${last ? last.seq : ''}:${state.currentLogSession}:${(state.logSessions || []).length}`;
+      if (logKey !== lastLogKey) {
         // New logs available
-        logWindow.innerHTML = '';
-        state.analysisLogs.forEach(log => {
-          const entry = document.createElement('div');
-          entry.className = `log-entry ${log.type}`;
-          entry.innerHTML = `<span class="log-timestamp">[${log.timestamp}]</span>${log.text}`;
-          logWindow.appendChild(entry);
-        });
-        logWindow.scrollTop = logWindow.scrollHeight;
+        lastLogKey = logKey;
+        logState = { entries, sessions: state.logSessions || [], currentSession: state.currentLogSession || null };
+        renderLogSessions();
+        renderLog();
       }
     }
   
+    resumeControls.style.display = !state.analysisRunning && state.analysisInterrupted ? 'block' : 'none';
+
     // Update UI based on analysis state
     if (state.analysisRunning) {
       analyzeBtn.style.display = 'none';
@@ -304,9 +912,20 @@ document.addEventListener('DOMContentLoaded', async () => {
     } else {
       analyzeBtn.style.display = 'block';
       cancelBtn.style.display = 'none';
+      progressPanel.style.display = 'none';
   
+      // A run that finished while the popup was open takes over the result card
+      if (state.analysisResult && state.analysisResult.analyzedAt !== lastSeenResultAt) {
+        lastSeenResultAt = state.analysisResult.analyzedAt;
+        viewedHistoryEntry = null;
+        const { analysisHistory = [] } = await chrome.storage.local.get('analysisHistory');
+        renderHistory(analysisHistory);
+      }
+
       // Show completed result if available
-      if (state.analysisResult) {
+      if (viewedHistoryEntry) {
+        displayResults(viewedHistoryEntry.result);
+      } else if (state.analysisResult) {
         displayResults(state.analysisResult);
         // Don't show status if results are displayed
         if (!resultsDisplay.classList.contains('active')) {
@@ -326,6 +945,266 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  async function getActiveAppId() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const appIdMatch = tab && tab.url && tab.url.match(/store\.steampowered\.com\/app\/(\d+)/);
+      return appIdMatch ? appIdMatch[1] : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Ask the content script for the game's name, falling back to the tab title
+  async function getGameName(tab) {
+    try {
+      const info = await chrome.tabs.sendMessage(tab.id, { action: 'getPageInfo' });
+      if (info && info.gameName) {
+        return info.gameName;
+      }
+    } catch (error) {
+      // Content script not injected (e.g. page opened before install)
+    }
+    return (tab.title || '').replace(/\s+on Steam$/, '').trim() || null;
+  }
+
+  function renderHistory(history) {
+    historyList.innerHTML = '';
+
+    for (const entry of history) {
+      const item = document.createElement('div');
+      item.className = 'history-item';
+      if (viewedHistoryEntry && viewedHistoryEntry.id === entry.id) {
+        item.classList.add('viewing');
+      }
+
+      const date = new Date(entry.timestamp).toLocaleString();
+      const mode = entry.params.scoringMode || 'threshold';
+      const filters = describeReviewerFilters(entry.result.reviewerFilters);
+
+      item.innerHTML = `
+        <input type="checkbox" data-id="${entry.id}" ${compareSelection.has(entry.id) ? 'checked' : ''} title="Select to compare">
+        <div class="history-item-info">
+          <div class="history-item-name">${escapeHtml(entry.gameName)}</div>
+          <div class="history-item-meta">${date} · ${mode} · ${entry.counts.matchingReviewers}/${entry.counts.totalReviewers} matched${filters === 'All reviews' ? '' : ` · ${escapeHtml(filters)}`}</div>
+        </div>
+        <span class="history-item-score">${entry.score}%</span>
+        <button class="clear-log-btn" data-action="open" data-id="${entry.id}">Open</button>
+        <button class="clear-log-btn" data-action="delete" data-id="${entry.id}">✕</button>
+      `;
+      historyList.appendChild(item);
+    }
+
+    compareHistoryBtn.disabled = compareSelection.size < 2;
+  }
+
+  function renderComparison(history) {
+    const entries = history.filter(entry => compareSelection.has(entry.id));
+
+    if (entries.length < 2) {
+      compareDisplay.innerHTML = '';
+      return;
+    }
+
+    const rows = [
+      ['Score', e => `${e.score}%`],
+      ['95% CI', e => e.result.confidenceInterval ? `${e.result.confidenceInterval.low}–${e.result.confidenceInterval.high}%` : 'n/a'],
+      ['Mode', e => e.params.scoringMode || 'threshold'],
+      ['Reviewer filters', e => escapeHtml(describeReviewerFilters(e.result.reviewerFilters))],
+      ['Matched', e => `${e.counts.matchingReviewers}/${e.counts.totalReviewers}`],
+      ['Min overlap', e => e.params.minOverlap],
+      ['Min similarity', e => `${e.params.minSimilarity}%`],
+      ['Max profiles', e => e.params.maxProfiles],
+      ['Date', e => new Date(e.timestamp).toLocaleDateString()]
+    ];
+
+    compareDisplay.innerHTML = `
+      <table class="compare-table">
+        <tr><th></th>${entries.map(e => `<th>${escapeHtml(e.gameName)}</th>`).join('')}</tr>
+        ${rows.map(([label, value]) => `<tr><td>${label}</td>${entries.map(e => `<td>${value(e)}</td>`).join('')}</tr>`).join('')}
+      </table>
+    `;
+  }
+
+  function downloadFile(filename, mimeType, content) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Current slider/toggle values as analysis parameters
+  function collectAnalysisSettings() {
+    return {
+      minOverlap: parseInt(overlapSlider.value),
+      minSimilarity: parseInt(similaritySlider.value),
+      maxProfiles: parseInt(maxProfilesSlider.value),
+      scoringMode: scoringModeSelect.value,
+      rateLimits: {
+        communityPerMinute: parseInt(communityRateSlider.value),
+        storePerMinute: parseInt(storeRateSlider.value)
+      },
+      concurrency: parseInt(concurrencySlider.value),
+      maxPages: settings.maxPages, // Only set on the options page
+      cacheHours: parseInt(cacheHoursSlider.value),
+      incrementalRefresh: incrementalToggle.checked,
+      discoverMode: discoverToggle.checked,
+      reviewWeighting: collectReviewWeighting(),
+      sampling: collectSampling(),
+      reviewerFilters: collectReviewerFilters(),
+      tasteSources: settings.tasteSources, // Only set on the options page
+      tagSimilarity: settings.tagSimilarity // Only set on the options page
+    };
+  }
+
+  function collectReviewerFilters() {
+    return normalizeSetting(SETTINGS_SCHEMA.reviewerFilters, {
+      languages: parseLanguageList(filterLanguagesInput.value).languages,
+      purchaseType: filterPurchaseSelect.value,
+      windowDays: parseInt(filterWindowSelect.value),
+      sinceDate: filterSinceInput.value
+    });
+  }
+
+  function collectSampling() {
+    return {
+      minAuthorReviews: parseInt(minAuthorReviewsSlider.value),
+      stratify: stratifyToggle.checked,
+      includeRecent: includeRecentToggle.checked,
+      includeUpdated: includeUpdatedToggle.checked
+    };
+  }
+
+  function collectReviewWeighting() {
+    const minHours = parseFloat(weightMinHours.value);
+    const maxAgeYears = parseInt(weightMaxAgeYears.value);
+    return {
+      lowPlaytime: weightLowPlaytime.checked,
+      minHours: Number.isFinite(minHours) && minHours >= 0 ? minHours : 2,
+      freeKey: weightFreeKey.checked,
+      earlyAccess: weightEarlyAccess.checked,
+      oldReviews: weightOldReviews.checked,
+      maxAgeYears: maxAgeYears > 0 ? maxAgeYears : 5,
+      updated: weightUpdated.checked
+    };
+  }
+
+  // App IDs from pasted text: bare IDs or store links, separated by whitespace or commas
+  function parseBatchInput(text) {
+    const appIds = [];
+    const invalid = [];
+
+    for (const token of text.split(/[\s,]+/).filter(Boolean)) {
+      const match = token.match(/^(\d+)$/) || token.match(/store\.steampowered\.com\/app\/(\d+)/);
+      if (!match) {
+        invalid.push(token);
+      } else if (!appIds.includes(match[1])) {
+        appIds.push(match[1]);
+      }
+    }
+
+    return { appIds, invalid };
+  }
+
+  function appendBatchIds(appIds) {
+    const { appIds: existing } = parseBatchInput(batchInput.value);
+    const added = appIds.filter(appId => !existing.includes(appId));
+    if (added.length === 0) return;
+    batchInput.value = [...batchInput.value.split('\n').filter(line => line.trim()), ...added].join('\n');
+  }
+
+  function renderBatch(batch) {
+    if (!batch || batch.items.length === 0) {
+      batchTable.innerHTML = '';
+      return;
+    }
+
+    const delta = item => (item.status === 'done' && item.globalScore !== null ? item.score - item.globalScore : null);
+    const sortValue = item => {
+      if (batchSort.key === 'delta') return delta(item);
+      if (batchSort.key === 'gameName') return (item.gameName || item.appId).toLowerCase();
+      return item.status === 'done' ? item[batchSort.key] : null;
+    };
+    // Games without a value (pending, failed) always sort last
+    const rows = [...batch.items].sort((a, b) => {
+      const va = sortValue(a);
+      const vb = sortValue(b);
+      if (va === null || va === undefined) return 1;
+      if (vb === null || vb === undefined) return -1;
+      return va < vb ? -batchSort.direction : va > vb ? batchSort.direction : 0;
+    });
+
+    const arrow = key => (batchSort.key === key ? (batchSort.direction > 0 ? ' ▲' : ' ▼') : '');
+    const statusText = {
+      pending: 'queued',
+      running: 'analyzing…',
+      error: 'failed'
+    };
+
+    batchTable.innerHTML = `
+      <table class="compare-table batch-results">
+        <tr>
+          <th data-sort="gameName">Game${arrow('gameName')}</th>
+          <th data-sort="score" title="Personalized score">You${arrow('score')}</th>
+          <th data-sort="globalScore" title="Steam's score over all reviews">Steam${arrow('globalScore')}</th>
+          <th data-sort="delta">Δ${arrow('delta')}</th>
+          <th data-sort="basis" title="Reviewers the personalized score is based on">Basis${arrow('basis')}</th>
+        </tr>
+        ${rows.map(item => {
+          const name = `<a href="https://store.steampowered.com/app/${item.appId}/" target="_blank">${escapeHtml(item.gameName || `App ${item.appId}`)}</a>`;
+          if (item.status !== 'done') {
+            const title = item.error ? ` title="${escapeHtml(item.error)}"` : '';
+            return `<tr><td>${name}</td><td colspan="4" class="batch-status ${item.status}"${title}>${statusText[item.status] || item.status}</td></tr>`;
+          }
+          const d = delta(item);
+          const deltaText = d === null ? 'n/a' : `<span class="${d > 0 ? 'delta-up' : d < 0 ? 'delta-down' : ''}">${d > 0 ? '+' : ''}${d}</span>`;
+          return `<tr>
+            <td>${name}</td>
+            <td>${item.score}%</td>
+            <td>${item.globalScore === null ? 'n/a' : `${item.globalScore}%`}</td>
+            <td>${deltaText}</td>
+            <td>${item.basis}</td>
+          </tr>`;
+        }).join('')}
+      </table>
+    `;
+  }
+
+  function renderSavedSteamId(steamId, personaName) {
+    savedSteamIdInfo.textContent = personaName ? `Saved: ${personaName} (${steamId})` : '';
+  }
+
+  // Saved accounts to switch between; hidden until there is more than one
+  function renderAccountSelect(accounts, activeId) {
+    accountSelect.style.display = accounts.length > 1 ? 'block' : 'none';
+    accountSelect.innerHTML = accounts.map(account => `
+      <option value="${account.steamId}" ${account.steamId === activeId ? 'selected' : ''}>
+        ${escapeHtml(account.personaName || account.steamId)}
+      </option>
+    `).join('');
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+
+  async function refreshCacheInfo() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getCacheInfo' });
+      cacheInfo.textContent = response ? `${response.count} profiles cached` : '';
+    } catch (error) {
+      cacheInfo.textContent = '';
+    }
+  }
+
+  function formatCacheHours(hours) {
+    return parseInt(hours) === 0 ? 'Off' : `${hours}h`;
+  }
+
   function showStatus(text, type = 'progress') {
     statusDisplay.classList.add('active');
     statusDisplay.innerHTML = `<span class="${type}">${text}</span>`;
@@ -343,40 +1222,320 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  // The background owns the log; popup lines go through it so they land in the current session
   async function addLog(text, type = 'info') {
     if (!loggingToggle.checked) return; // Don't log if disabled
     
-    const timestamp = new Date().toLocaleTimeString('en-US', { 
-      hour12: false, 
-      hour: '2-digit', 
-      minute: '2-digit',
-      second: '2-digit'
+    try {
+      await chrome.runtime.sendMessage({ action: 'log', text, type });
+    } catch (error) {
+      // Ignore if background script isn't ready
+    }
+  }
+
+  const LOG_LEVEL_ORDER = ['debug', 'info', 'warn', 'error'];
+
+  // Entries matching the level, session and search filters
+  function filteredLogEntries() {
+    const minLevel = LOG_LEVEL_ORDER.indexOf(logLevelFilter.value);
+    const session = logSessionFilter.value === 'current' ? logState.currentSession : logSessionFilter.value;
+    const search = logSearchInput.value.trim().toLowerCase();
+
+    return logState.entries.filter(entry => {
+      // Entries from before structured logging have only a type
+      const level = entry.level || (entry.type === 'warning' ? 'warn' : entry.type === 'error' ? 'error' : 'info');
+      if (LOG_LEVEL_ORDER.indexOf(level) < minLevel) return false;
+      if (session !== 'all' && entry.session !== session) return false;
+      if (search && !`${entry.text} ${formatLogFields(entry.fields)}`.toLowerCase().includes(search)) return false;
+      return true;
     });
-    
-    // Add to storage
-    const { analysisLogs = [] } = await chrome.storage.local.get('analysisLogs');
-    analysisLogs.push({ timestamp, text, type });
-    await chrome.storage.local.set({ analysisLogs });
+  }
+
+  function formatLogFields(fields) {
+    if (!fields) return '';
+    return Object.entries(fields)
+      .map(([key, value]) => (key === 'durationMs' ? `${value}ms` : `${key}=${value}`))
+      .join(' ');
+  }
+
+  // "This run", "All runs" and every stored session, keeping the current choice when it still exists
+  function renderLogSessions() {
+    const selected = logSessionFilter.value || 'current';
+    const options = [
+      { value: 'current', label: 'This run' },
+      { value: 'all', label: 'All runs' },
+      ...logState.sessions.slice().reverse().map(session => ({
+        value: session.id,
+        label: `${session.label} (${new Date(session.startedAt).toLocaleString()})`
+      }))
+    ];
+
+    logSessionFilter.innerHTML = '';
+    for (const option of options) {
+      const element = document.createElement('option');
+      element.value = option.value;
+      element.textContent = option.label;
+      logSessionFilter.appendChild(element);
+    }
+    logSessionFilter.value = options.some(option => option.value === selected) ? selected : 'current';
+  }
+
+  function renderLog() {
+    logWindow.innerHTML = '';
+    filteredLogEntries().forEach(log => {
+      const entry = document.createElement('div');
+      entry.className = `log-entry ${log.type}`;
+      // Log text carries page and API content, so it never goes through innerHTML
+      const timestamp = document.createElement('span');
+      timestamp.className = 'log-timestamp';
+      timestamp.textContent = `[${log.timestamp}]`;
+      entry.append(timestamp, document.createTextNode(log.text));
+      if (log.fields) {
+        const fields = document.createElement('span');
+        fields.className = 'log-fields';
+        fields.textContent = formatLogFields(log.fields);
+        entry.appendChild(fields);
+      }
+      logWindow.appendChild(entry);
+    });
+    logWindow.scrollTop = logWindow.scrollHeight;
+  }
+
+  // Discover mode's top list: games the matched reviewers liked that you haven't reviewed
+  function renderDiscoveries({ games, reviewersUsed, minSupport }) {
+    if (games.length === 0) {
+      return `<div class="discover-section"><div class="discover-title">Discover</div>
+        <div class="help-text">No unreviewed game was rated by at least ${minSupport} of the ${reviewersUsed} matched reviewers.</div></div>`;
+    }
+
+    return `
+      <div class="discover-section">
+        <div class="discover-title">Discover — rated by your ${reviewersUsed} taste matches</div>
+        <ol class="discover-list">
+          ${games.map(game => `
+            <li>
+              <a href="https://store.steampowered.com/app/${game.appId}/" target="_blank">${escapeHtml(game.name || `App ${game.appId}`)}</a>
+              <span class="discover-share" title="Weighted positive share (lower bound ${game.lowerBound}%)">${game.positiveShare}%</span>
+              <span class="discover-support">${game.positiveCount}/${game.support} 👍</span>
+            </li>
+          `).join('')}
+        </ol>
+      </div>
+    `;
+  }
+
+  // Names for the games a neighbour agreed/disagreed on; the list re-renders once they arrive
+  async function loadNeighbourGameNames(steamId) {
+    const neighbour = (displayedResult.neighbours || []).find(n => n.steamId === steamId);
+    if (!neighbour) return;
+
+    const missing = [...neighbour.agreed, ...neighbour.disagreed]
+      .map(game => game.appId)
+      .filter(appId => !appNames[appId]);
+    if (missing.length === 0) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getAppNames', appIds: missing });
+      Object.assign(appNames, response.names);
+      displayResults(displayedResult);
+    } catch (error) {
+      // Names are cosmetic; the app IDs still link to the store
+    }
+  }
+
+  function renderNeighbourGames(games, label, describe) {
+    if (games.length === 0) return '';
+    return `
+      <div class="neighbour-games-label">${label} (${games.length})</div>
+      <ul class="neighbour-game-list">
+        ${games.map(game => `
+          <li>
+            <a href="https://store.steampowered.com/app/${game.appId}/" target="_blank">${escapeHtml(appNames[game.appId] || `App ${game.appId}`)}</a>
+            <span class="neighbour-meta">${describe(game)}</span>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  function renderNeighbours(neighbours) {
+    const thumb = positive => (positive ? '👍' : '👎');
+    const listedIds = new Set(neighbours.map(n => n.steamId));
+    const otherPinned = [...pinnedReviewers].filter(id => !listedIds.has(id));
+
+    const items = neighbours.map(n => {
+      const expanded = expandedNeighbours.has(n.steamId);
+      const isPinned = pinnedReviewers.has(n.steamId);
+      const vote = n.targetVote === null ? 'no review of this game' : `voted ${thumb(n.targetVote)}`;
+      const games = expanded
+        ? `<div class="neighbour-games">
+            ${renderNeighbourGames(n.agreed, 'Agreed', game => `both ${thumb(game.userPositive)}`)}
+            ${renderNeighbourGames(n.disagreed, 'Disagreed', game => `you ${thumb(game.userPositive)}, they ${thumb(!game.userPositive)}`)}
+          </div>`
+        : '';
+
+      return `
+        <div class="neighbour-item">
+          <div class="neighbour-row">
+            <button class="neighbour-pin ${isPinned ? 'pinned' : ''}" data-action="pin" data-steam-id="${n.steamId}"
+              title="${isPinned ? 'Unpin: stop always including this reviewer' : 'Pin: always include this reviewer in future analyses'}">${isPinned ? '★' : '☆'}</button>
+            <a href="https://steamcommunity.com/profiles/${n.steamId}/" target="_blank">${n.steamId}</a>
+            <span class="neighbour-similarity">${n.similarity}%</span>
+            <span class="neighbour-meta">${n.agreementCount}/${n.overlapCount} agree · ${vote}</span>
+            <button class="clear-log-btn" data-action="expand-neighbour" data-steam-id="${n.steamId}">${expanded ? 'Hide' : 'Games'}</button>
+          </div>
+          ${games}
+        </div>
+      `;
+    }).join('');
+
+    const pinnedElsewhere = otherPinned.length > 0
+      ? `<div class="neighbour-pinned-other">Also pinned: ${otherPinned.map(id => `
+          <span>${id} <button class="neighbour-pin pinned" data-action="pin" data-steam-id="${id}" title="Unpin">✕</button></span>`).join('')}
+        </div>`
+      : '';
+
+    return `
+      <div class="neighbour-section">
+        <button class="clear-log-btn" data-action="toggle-neighbours">${neighboursOpen ? '▾' : '▸'} Taste neighbours (${neighbours.length})</button>
+        ${neighboursOpen ? `<div class="neighbour-list">${items || '<div class="help-text">No reviewers matched.</div>'}${pinnedElsewhere}</div>` : ''}
+      </div>
+    `;
+  }
+
+  // The target's tags and the ones the matched reviewers' agreement ran through
+  function renderTagSimilarity({ targetTags, unrelatedWeight, taggedGames, overlappingGames, drivers }) {
+    const driverText = drivers.length > 0
+      ? drivers.map(d => `${escapeHtml(d.tag)} (${d.games} game${d.games === 1 ? '' : 's'})`).join(', ')
+      : 'no shared tags among the games your matches agreed with you on';
+    return `
+      <p style="margin-top: 10px;">
+        <strong>Tag-aware similarity:</strong> agreement weighted by tags shared with ${escapeHtml(targetTags.slice(0, 5).join(', '))}; games sharing none count at ${unrelatedWeight}% (${taggedGames} of ${overlappingGames} overlapping games tagged)<br>
+        <strong>Tags that drove the match:</strong> ${driverText}
+      </p>
+    `;
+  }
+
+  // Which review weighting filters were on and how many reviews they caught
+  function renderReviewWeighting({ filters, targetVotes, overlapPairs }) {
+    const labels = {
+      lowPlaytime: `under ${filters.minHours}h played`,
+      freeKey: 'free key',
+      earlyAccess: 'Early Access',
+      oldReview: `older than ${filters.maxAgeYears} years`,
+      updated: 'edited'
+    };
+    const reasons = Object.entries(targetVotes.reasons)
+      .map(([reason, count]) => `${escapeHtml(labels[reason] || reason)}: ${count}`)
+      .join(', ');
+
+    return `
+      <p style="margin-top: 10px;">
+        <strong>Review weighting:</strong> ${targetVotes.downweighted} of ${targetVotes.total} votes on this game down-weighted${reasons ? ` (${reasons})` : ''}<br>
+        ${overlapPairs.downweighted} of ${overlapPairs.total} overlapping reviews counted at reduced weight
+      </p>
+    `;
+  }
+
+  // Steam's own score and the unfiltered sample next to the personalized one
+  function renderBaselines({ score, globalScore, sampleScore, confidenceInterval, reviewerFilters }) {
+    const delta = baseline => {
+      const points = score - baseline;
+      const sign = points > 0 ? '+' : '';
+      const trend = points > 0 ? 'up' : points < 0 ? 'down' : '';
+      return `<span class="baseline-delta ${trend}">${sign}${points} pts</span>`;
+    };
+    const rows = [];
+
+    if (globalScore) {
+      const description = globalScore.description ? `${escapeHtml(globalScore.description)}, ` : '';
+      // Steam's summary covers only the reviews the filters let through
+      const label = describeReviewerFilters(reviewerFilters) === 'All reviews' ? 'Steam overall' : 'Steam, filtered reviews';
+      rows.push(`<div class="baseline-row">${label}: <strong>${globalScore.score}%</strong> (${description}${globalScore.totalReviews.toLocaleString()} reviews) ${delta(globalScore.score)}</div>`);
+    }
+    if (sampleScore) {
+      rows.push(`<div class="baseline-row">All ${sampleScore.total} sampled reviewers: <strong>${sampleScore.score}%</strong> ${delta(sampleScore.score)}</div>`);
+      // When the unfiltered sample already lands inside the interval, the filter may not have changed anything
+      if (confidenceInterval && sampleScore.score >= confidenceInterval.low && sampleScore.score <= confidenceInterval.high) {
+        rows.push('<div class="baseline-note">The sample\'s own score is within the confidence interval, so your taste filter may not have changed much.</div>');
+      }
+    }
+
+    return rows.length > 0 ? `<div class="baseline-compare">${rows.join('')}</div>` : '';
   }
 
   function displayResults(data) {
+    if (!displayedResult || displayedResult.analyzedAt !== data.analyzedAt) {
+      expandedNeighbours.clear();
+    }
+    displayedResult = data;
+
     const { gameName, score, totalReviewers, matchingReviewers, avgOverlap, minOverlap, minSimilarity } = data;
+    const scoringMode = data.scoringMode || 'threshold';
+    const isWeighted = scoringMode === 'weighted';
+
+    // Results stored before weighted scoring existed only carry `score`
+    const thresholdScore = data.thresholdScore !== undefined ? data.thresholdScore : score;
+    const weightedScore = data.weightedScore !== undefined ? `${data.weightedScore}%` : 'n/a';
+
+    const reviewerSummary = isWeighted
+      ? `<strong>${data.weightedReviewers}</strong> overlapping reviewers weighted by agreement<br>
+            (${matchingReviewers} pass the thresholds, out of ${totalReviewers} analyzed)`
+      : `<strong>${matchingReviewers}</strong> matching reviewers found<br>
+            (out of ${totalReviewers} total reviewers analyzed)`;
+
+    // Results stored before confidence intervals existed have no interval or reliability
+    const interval = data.confidenceInterval
+      ? `<div class="result-interval">95% CI: ${data.confidenceInterval.low}–${data.confidenceInterval.high}%</div>`
+      : '';
+    const reliability = data.reliability
+      ? `<span class="reliability-badge ${data.reliability}">${data.reliability} reliability</span>`
+      : '';
+    const sampleLabel = isWeighted
+      ? `an effective sample of ${data.effectiveSampleSize} reviewers`
+      : `${matchingReviewers} matching reviewer${matchingReviewers === 1 ? '' : 's'}`;
+    const discoveries = data.discoveries ? renderDiscoveries(data.discoveries) : '';
+    // Results stored before the neighbour list existed only carry matchedReviewerIds
+    const neighbours = data.neighbours ? renderNeighbours(data.neighbours) : '';
+    const weighting = data.reviewWeighting ? renderReviewWeighting(data.reviewWeighting) : '';
+    const tags = data.tagSimilarity ? renderTagSimilarity(data.tagSimilarity) : '';
+    // Results stored before baselines were captured have no globalScore or sampleScore
+    const baselines = renderBaselines(data);
+    const warning = data.sampleTooSmall
+      ? `<div class="sample-warning">⚠ Based on only ${sampleLabel} — too few to be meaningful. Try lowering the thresholds or checking more profiles.</div>`
+      : '';
 
     resultsDisplay.innerHTML = `
       <div class="result-card">
+        ${gameName ? `<div class="result-title">${escapeHtml(gameName)}</div>` : ''}
+        ${data.analyzedAt ? `<div class="history-item-meta">Analyzed ${new Date(data.analyzedAt).toLocaleString()}</div>` : ''}
         <div class="result-score">${score}%</div>
+        ${interval}
+        <div class="result-badges">${reliability}</div>
+        ${warning}
+        <div class="score-compare">
+          <span class="${isWeighted ? '' : 'active-mode'}">Threshold: ${thresholdScore}%</span>
+          <span class="${isWeighted ? 'active-mode' : ''}">Weighted: ${weightedScore}</span>
+        </div>
+        ${baselines}
         <div class="result-details">
           <p><strong>Positive Rating</strong> from reviewers with similar taste</p>
           <p style="margin-top: 10px;">
-            <strong>${matchingReviewers}</strong> matching reviewers found<br>
-            (out of ${totalReviewers} total reviewers analyzed)
+            ${reviewerSummary}
           </p>
+          ${isWeighted ? `<p style="margin-top: 10px;"><strong>Effective sample size:</strong> ${data.effectiveSampleSize}</p>` : ''}
           <p style="margin-top: 10px;">
+            <strong>Reviewer filters:</strong> ${escapeHtml(describeReviewerFilters(data.reviewerFilters))}<br>
+            ${data.tasteSources ? `<strong>Your taste:</strong> ${describeTasteSources(data.tasteSources)}<br>` : ''}
             <strong>Average overlap:</strong> ${avgOverlap.toFixed(1)} games<br>
             <strong>Min overlap:</strong> ${minOverlap} games<br>
             <strong>Min similarity:</strong> ${minSimilarity}%
           </p>
+          ${weighting}
+          ${tags}
         </div>
+        ${neighbours}
+        ${discoveries}
       </div>
     `;
 
@@ -384,9 +1543,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 });
 
-// Clean up interval when popup closes
+// Close the progress port when popup closes
 window.addEventListener('unload', () => {
-  if (updateInterval) {
-    clearInterval(updateInterval);
+  if (progressPort) {
+    progressPort.disconnect();
   }
 });
\ No newline at end of file
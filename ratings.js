@@ -0,0 +1,234 @@
+// ratings.js - The user's ratings from outside Steam reviews: the "my ratings" list (added by hand
+// or imported from a CSV/JSON file) and weak preferences inferred from playtime.
+// Shared by the background worker (importScripts) and the options page (script tag).
+
+// Where a rating came from, in the order they win a conflict for the same game
+const RATING_SOURCES = ['steam', 'manual', 'import', 'playtime'];
+const RATING_SOURCE_LABELS = {
+  steam: 'Steam review',
+  manual: 'Rated here',
+  import: 'Imported',
+  playtime: 'Inferred from playtime'
+};
+const INFERRED_RATING_WEIGHT = 0.5; // Hours played say less about taste than a thumbs up or down
+
+const POSITIVE_RATINGS = ['1', '+1', 'true', 'yes', 'y', 'up', 'thumbsup', 'thumbs up', 'positive', 'like', 'liked', 'recommended', '👍'];
+const NEGATIVE_RATINGS = ['0', '-1', 'false', 'no', 'n', 'down', 'thumbsdown', 'thumbs down', 'negative', 'dislike', 'disliked', 'not recommended', '👎'];
+const APP_ID_COLUMNS = ['appid', 'app_id', 'app id', 'steam appid', 'steam_appid', 'id', 'url', 'store url'];
+const RATING_COLUMNS = ['rating', 'ispositive', 'recommended', 'thumb', 'thumbs', 'vote', 'liked', 'like'];
+
+// true, false or null for anything that isn't clearly a thumbs up or down
+function parseRating(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+  if (POSITIVE_RATINGS.includes(text)) return true;
+  if (NEGATIVE_RATINGS.includes(text)) return false;
+  return null;
+}
+
+// App ID from a bare number or a store/community link, or null
+function parseAppIdInput(value) {
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  if (/^\d+$/.test(text)) return text;
+  const match = text.match(/\/app\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+// One CSV line into fields, with "quoted, fields" and "" escapes
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',' || char === ';' || char === '\t') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+}
+
+// Rows of [appId, rating] from CSV; a header row names the columns, otherwise they're the first two
+function csvRatingRows(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return [];
+
+  const header = parseCsvLine(lines[0]).map(name => name.toLowerCase());
+  const appColumn = header.findIndex(name => APP_ID_COLUMNS.includes(name));
+  const ratingColumn = header.findIndex(name => RATING_COLUMNS.includes(name));
+  const hasHeader = appColumn !== -1 && ratingColumn !== -1;
+
+  return lines.slice(hasHeader ? 1 : 0).map(line => {
+    const fields = parseCsvLine(line);
+    return hasHeader ? [fields[appColumn], fields[ratingColumn]] : [fields[0], fields[1]];
+  });
+}
+
+// Rows of [appId, rating] from JSON: an array of objects or an { appId: rating } map
+function jsonRatingRows(data) {
+  if (Array.isArray(data)) {
+    return data.map(item => {
+      if (!item || typeof item !== 'object') return [null, null];
+      const keys = Object.keys(item);
+      const appKey = keys.find(key => APP_ID_COLUMNS.includes(key.toLowerCase()));
+      const ratingKey = keys.find(key => RATING_COLUMNS.includes(key.toLowerCase()));
+      return [appKey ? item[appKey] : null, ratingKey ? item[ratingKey] : null];
+    });
+  }
+  if (data && typeof data === 'object') {
+    return Object.entries(data);
+  }
+  return [];
+}
+
+// { ratings: [{ appId, isPositive }], skipped } from a CSV or JSON file, or { error }
+function parseRatingsFile(text) {
+  const trimmed = String(text).replace(/^\uFEFF/, '').trim();
+  if (!trimmed) return { error: 'The file is empty.' };
+
+  let rows;
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      rows = jsonRatingRows(JSON.parse(trimmed));
+    } catch (error) {
+      return { error: `The file is not valid JSON: ${error.message}` };
+    }
+  } else {
+    rows = csvRatingRows(trimmed);
+  }
+
+  const byApp = new Map();
+  let skipped = 0;
+  for (const [appValue, ratingValue] of rows) {
+    const appId = parseAppIdInput(appValue);
+    const isPositive = parseRating(ratingValue);
+    if (!appId || isPositive === null) {
+      skipped++;
+      continue;
+    }
+    byApp.set(appId, { appId, isPositive }); // A later row for the same game wins
+  }
+
+  if (byApp.size === 0) {
+    return { error: 'No ratings found. Expected an app ID (or store link) and a thumbs up/down value such as 1/0, yes/no or up/down on each row.' };
+  }
+  return { ratings: [...byApp.values()], skipped };
+}
+
+// Add or replace ratings in the "my ratings" list; each game keeps only its latest rating
+function upsertRatings(existing, incoming, source, now = Date.now()) {
+  const ratings = [...existing];
+  let added = 0;
+  let updated = 0;
+  let unchanged = 0;
+
+  for (const { appId, isPositive } of incoming) {
+    const index = ratings.findIndex(r => r.appId === appId);
+    if (index === -1) {
+      ratings.push({ appId, isPositive, source, ratedAt: now });
+      added++;
+    } else if (ratings[index].isPositive !== isPositive) {
+      ratings[index] = { appId, isPositive, source, ratedAt: now };
+      updated++;
+    } else {
+      unchanged++;
+    }
+  }
+  return { ratings, added, updated, unchanged };
+}
+
+// Games (and hours) from a profile's games?tab=all&xml=1 list
+function parseGamesListXml(xml) {
+  const games = [];
+  for (const [, block] of String(xml).matchAll(/<game>([\s\S]*?)<\/game>/g)) {
+    const appId = (block.match(/<appID>\s*(\d+)\s*<\/appID>/) || [])[1];
+    if (!appId) continue;
+    const hours = (block.match(/<hoursOnRecord>\s*([\d.,]+)\s*<\/hoursOnRecord>/) || [])[1];
+    games.push({ appId, hours: hours ? parseFloat(hours.replace(/,/g, '')) : 0 });
+  }
+  return games;
+}
+
+// Weak ratings from playtime: a lot of hours reads as liking a game, a brief try as dropping it.
+// Games never launched say nothing.
+function inferPlaytimeRatings(games, { likeHours, dislikeHours }) {
+  const ratings = [];
+  for (const { appId, hours } of games) {
+    if (hours >= likeHours) {
+      ratings.push({ appId, isPositive: true, source: 'playtime', playtimeHours: hours, sourceWeight: INFERRED_RATING_WEIGHT });
+    } else if (hours > 0 && hours <= dislikeHours) {
+      ratings.push({ appId, isPositive: false, source: 'playtime', playtimeHours: hours, sourceWeight: INFERRED_RATING_WEIGHT });
+    }
+  }
+  return ratings;
+}
+
+// One review-like entry per game from every source, the strongest source winning a conflict.
+// Returns { reviews, counts (per source, after merging), overridden (entries a stronger source replaced) }.
+function mergeTasteSources(steamReviews, myRatings = [], inferred = []) {
+  const byApp = new Map();
+  const counts = Object.fromEntries(RATING_SOURCES.map(source => [source, 0]));
+  let overridden = 0;
+
+  const candidates = [
+    ...steamReviews.map(review => ({ ...review, source: 'steam' })),
+    ...myRatings.map(({ appId, isPositive, source, ratedAt }) => ({ appId, isPositive, source: source || 'manual', ratedAt })),
+    ...inferred
+  ];
+  for (const candidate of candidates) {
+    const current = byApp.get(candidate.appId);
+    if (!current) {
+      byApp.set(candidate.appId, candidate);
+    } else {
+      overridden++;
+      if (RATING_SOURCES.indexOf(candidate.source) < RATING_SOURCES.indexOf(current.source)) {
+        byApp.set(candidate.appId, candidate);
+      }
+    }
+  }
+
+  const reviews = [...byApp.values()];
+  for (const review of reviews) counts[review.source]++;
+  return { reviews, counts, overridden };
+}
+
+// Short description of the merged counts, e.g. "42 Steam reviews · 3 rated here"
+function describeTasteSources(counts) {
+  const parts = RATING_SOURCES
+    .filter(source => counts[source] > 0)
+    .map(source => `${counts[source]} ${source === 'steam' ? `Steam review${counts[source] === 1 ? '' : 's'}` : RATING_SOURCE_LABELS[source].toLowerCase()}`);
+  return parts.length > 0 ? parts.join(' · ') : 'No ratings';
+}
+
+// Allow the offline test suite to require() this file directly; inside the extension it's a plain script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RATING_SOURCES,
+    RATING_SOURCE_LABELS,
+    INFERRED_RATING_WEIGHT,
+    parseRating,
+    parseAppIdInput,
+    parseRatingsFile,
+    upsertRatings,
+    parseGamesListXml,
+    inferPlaytimeRatings,
+    mergeTasteSources,
+    describeTasteSources
+  };
+}
@@ -0,0 +1,453 @@
+// reviewparser.js - Tolerant HTML tree builder and structured parser for /recommended/ pages
+
+// DOMParser isn't available in the service worker, so pages are parsed with a small
+// forgiving tokenizer instead: unknown or unclosed tags never throw, they just nest oddly.
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea']);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'"
+};
+
+// Ordered fallback selectors per field - the first one that matches wins.
+// Anything past index 0 is counted in the health report as a fallback.
+const REVIEW_SELECTORS = {
+  block: ['div.review_box', 'div[class*="review_box"]'],
+  appLink: ['div.leftcol a[href*="/app/"]', 'a[href*="/app/"]', 'a[href*="/recommended/"]'],
+  thumb: ['div.thumb img', 'img[src*="icon_thumbs"]'],
+  title: ['div.vote_header div.title', 'div.title'],
+  hours: ['div.hours', '[class*="hours"]'],
+  posted: ['div.posted', '[class*="posted"]'],
+  helpful: ['div.header', 'div.rightcol'],
+  content: ['div.content', '[class*="content"]']
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      // fromCodePoint throws past U+10FFFF, and a lone surrogate is not a character
+      const valid = code <= 0x10FFFF && !(code >= 0xD800 && code <= 0xDFFF);
+      return valid ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+function createElement(tagName, attributes, parent) {
+  return { type: 'element', tagName, attributes, children: [], parent };
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=\/"'>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] || '';
+    attributes[match[1].toLowerCase()] = decodeEntities(value);
+  }
+  return attributes;
+}
+
+// Build a lightweight element tree from an HTML string
+function parseHtmlDocument(html) {
+  const root = createElement('#document', {}, null);
+  const stack = [root];
+  const lowerHtml = html.toLowerCase();
+  const tokenPattern = /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*?)(\/?)>/g;
+  let lastIndex = 0;
+  let match;
+
+  const appendText = (text) => {
+    if (text) {
+      stack[stack.length - 1].children.push({ type: 'text', text: decodeEntities(text) });
+    }
+  };
+
+  while ((match = tokenPattern.exec(html)) !== null) {
+    appendText(html.slice(lastIndex, match.index));
+    lastIndex = tokenPattern.lastIndex;
+
+    const [, closingTag, openingTag, rawAttributes, selfClosing] = match;
+
+    if (closingTag) {
+      // Pop back to the matching open element; stray closing tags are ignored
+      const name = closingTag.toLowerCase();
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tagName === name) {
+          stack.length = i;
+          break;
+        }
+      }
+      continue;
+    }
+
+    if (!openingTag) continue; // comment or doctype
+
+    const parent = stack[stack.length - 1];
+    const name = openingTag.toLowerCase();
+    const element = createElement(name, parseAttributes(rawAttributes), parent);
+    parent.children.push(element);
+
+    if (RAW_TEXT_ELEMENTS.has(name)) {
+      // Raw text runs to the matching close tag, markup inside it is not parsed
+      const closeIndex = lowerHtml.indexOf(`</${name}`, lastIndex);
+      const end = closeIndex === -1 ? html.length : closeIndex;
+      const closeTagEnd = closeIndex === -1 ? -1 : html.indexOf('>', closeIndex);
+      element.children.push({ type: 'text', text: html.slice(lastIndex, end) });
+      tokenPattern.lastIndex = lastIndex = closeTagEnd === -1 ? html.length : closeTagEnd + 1;
+      continue;
+    }
+
+    if (!selfClosing && !VOID_ELEMENTS.has(name)) {
+      stack.push(element);
+    }
+  }
+
+  appendText(html.slice(lastIndex));
+  return root;
+}
+
+// Supports compound selectors (tag, .class, [attr], [attr="v"], [attr*="v"]) joined by descendant spaces
+function parseSelector(selector) {
+  return selector.trim().split(/\s+/).map(part => {
+    const compound = { tag: null, classes: [], attributes: [] };
+    const pattern = /^([a-zA-Z][\w-]*|\*)|\.([\w-]+)|\[([\w-]+)(?:([*^$]?=)"([^"]*)")?\]/g;
+    let match;
+
+    while ((match = pattern.exec(part)) !== null) {
+      if (match[1] && match[1] !== '*') compound.tag = match[1].toLowerCase();
+      if (match[2]) compound.classes.push(match[2]);
+      if (match[3]) compound.attributes.push({ name: match[3].toLowerCase(), operator: match[4], value: match[5] });
+    }
+    return compound;
+  });
+}
+
+function matchesCompound(element, compound) {
+  if (compound.tag && element.tagName !== compound.tag) return false;
+
+  if (compound.classes.length > 0) {
+    const classList = (element.attributes.class || '').split(/\s+/);
+    if (!compound.classes.every(c => classList.includes(c))) return false;
+  }
+
+  return compound.attributes.every(({ name, operator, value }) => {
+    const actual = element.attributes[name];
+    if (actual === undefined) return false;
+    if (!operator) return true;
+    if (operator === '=') return actual === value;
+    if (operator === '*=') return actual.includes(value);
+    if (operator === '^=') return actual.startsWith(value);
+    return actual.endsWith(value);
+  });
+}
+
+function matchesSelector(element, compounds) {
+  if (!matchesCompound(element, compounds[compounds.length - 1])) return false;
+
+  // Walk up the ancestors for the remaining descendant parts, right to left
+  let index = compounds.length - 2;
+  let ancestor = element.parent;
+  while (index >= 0 && ancestor) {
+    if (ancestor.type === 'element' && ancestor.tagName !== '#document' && matchesCompound(ancestor, compounds[index])) {
+      index--;
+    }
+    ancestor = ancestor.parent;
+  }
+  return index < 0;
+}
+
+function queryAll(node, selector) {
+  const compounds = parseSelector(selector);
+  const results = [];
+
+  const visit = (current) => {
+    for (const child of current.children) {
+      if (child.type !== 'element') continue;
+      if (matchesSelector(child, compounds)) results.push(child);
+      visit(child);
+    }
+  };
+
+  visit(node);
+  return results;
+}
+
+// Try selectors in order; returns { elements, fallbackLevel } for the first that matches
+function queryWithFallbacks(node, selectors) {
+  for (let i = 0; i < selectors.length; i++) {
+    const elements = queryAll(node, selectors[i]);
+    if (elements.length > 0) {
+      return { elements, fallbackLevel: i };
+    }
+  }
+  return { elements: [], fallbackLevel: -1 };
+}
+
+function textContent(node) {
+  if (node.type === 'text') return node.text;
+  return node.children.map(textContent).join('');
+}
+
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function parseCount(text) {
+  return parseInt(text.replace(/[,.\s]/g, ''), 10);
+}
+
+const MONTH_NAME = /\b(jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sept?(ember)?|oct(ober)?|nov(ember)?|dec(ember)?)\b/i;
+
+// Steam omits the year for dates in the current year ("Posted 12 March.")
+function parseSteamDate(text) {
+  // A usable date has at least a day number and a month name
+  if (!text || !/\d/.test(text) || !MONTH_NAME.test(text)) return null;
+
+  let cleaned = text.replace(/@.*$/, '').trim();
+  if (!/\d{4}/.test(cleaned)) {
+    cleaned = `${cleaned}, ${new Date().getFullYear()}`;
+  }
+
+  const timestamp = Date.parse(cleaned.replace(/(\d+)(st|nd|rd|th)/, '$1'));
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+function extractAppId(block) {
+  const { elements, fallbackLevel } = queryWithFallbacks(block, REVIEW_SELECTORS.appLink);
+
+  for (const link of elements) {
+    const appId = appIdFromHref(link.attributes.href);
+    if (appId) {
+      return { value: appId, fallbackLevel };
+    }
+  }
+  return { value: null, fallbackLevel: -1 };
+}
+
+function extractVote(block) {
+  const thumbs = queryWithFallbacks(block, REVIEW_SELECTORS.thumb);
+  for (const img of thumbs.elements) {
+    const match = (img.attributes.src || '').match(/icon_thumbs(Up|Down)/i);
+    if (match) {
+      return { value: match[1].toLowerCase() === 'up', fallbackLevel: thumbs.fallbackLevel };
+    }
+  }
+
+  // Fall back to the "Recommended" / "Not Recommended" title text
+  const titles = queryWithFallbacks(block, REVIEW_SELECTORS.title);
+  for (const title of titles.elements) {
+    const text = normalizeWhitespace(textContent(title)).toLowerCase();
+    if (text === 'recommended') return { value: true, fallbackLevel: REVIEW_SELECTORS.thumb.length + titles.fallbackLevel };
+    if (text === 'not recommended') return { value: false, fallbackLevel: REVIEW_SELECTORS.thumb.length + titles.fallbackLevel };
+  }
+
+  return { value: null, fallbackLevel: -1 };
+}
+
+function extractField(block, selectors, extract) {
+  const { elements, fallbackLevel } = queryWithFallbacks(block, selectors);
+  for (const element of elements) {
+    const value = extract(normalizeWhitespace(textContent(element)), element);
+    if (value !== null && value !== undefined) {
+      return { value, fallbackLevel };
+    }
+  }
+  return { value: null, fallbackLevel: -1 };
+}
+
+function appIdFromHref(href) {
+  const match = (href || '').match(/\/app\/(\d+)/) || (href || '').match(/\/recommended\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+function countThumbs(element) {
+  return queryAll(element, 'img[src*="icon_thumbs"]').length;
+}
+
+// For pages without review containers. Each vote image gets the game from the link wrapping it
+// (Steam wraps thumbs in a /recommended/<appid>/ link) or else the nearest game link before it
+// in document order, but never one that precedes the previous vote image. Its block is the
+// largest ancestor that holds no other vote image, so neighbouring reviews don't bleed together.
+function findThumbFallbackBlocks(doc) {
+  const recovered = [];
+  let precedingAppId = null;
+
+  for (const element of queryAll(doc, '*')) {
+    if (element.tagName === 'a' && appIdFromHref(element.attributes.href)) {
+      precedingAppId = appIdFromHref(element.attributes.href);
+      continue;
+    }
+    if (element.tagName !== 'img' || !/icon_thumbs/i.test(element.attributes.src || '')) {
+      continue;
+    }
+
+    let appId = null;
+    for (let ancestor = element.parent, depth = 0; ancestor && depth < 3; ancestor = ancestor.parent, depth++) {
+      if (ancestor.tagName === 'a' && appIdFromHref(ancestor.attributes.href)) {
+        appId = appIdFromHref(ancestor.attributes.href);
+        break;
+      }
+    }
+
+    let block = element.parent;
+    while (block.parent && block.parent.tagName !== '#document' && countThumbs(block.parent) === 1) {
+      block = block.parent;
+    }
+
+    recovered.push({ block, appId: appId || precedingAppId });
+    precedingAppId = null;
+  }
+
+  return recovered;
+}
+
+function parseReviewBlock(block, knownAppId) {
+  // Steam prints these as plain notes inside the review, with no stable class across layouts
+  const blockText = normalizeWhitespace(textContent(block));
+
+  const fields = {
+    appId: knownAppId !== undefined ? { value: knownAppId, fallbackLevel: REVIEW_SELECTORS.appLink.length } : extractAppId(block),
+    isPositive: extractVote(block),
+    hoursOnRecord: extractField(block, REVIEW_SELECTORS.hours, text => {
+      const match = text.match(/([\d,.]+)\s*hrs?/i);
+      return match ? parseFloat(match[1].replace(/,/g, '')) : null;
+    }),
+    postedAt: extractField(block, REVIEW_SELECTORS.posted, text => {
+      const match = text.match(/Posted:?\s*([^.]+)\./i);
+      return match ? parseSteamDate(match[1]) : null;
+    }),
+    updatedAt: extractField(block, REVIEW_SELECTORS.posted, text => {
+      const match = text.match(/(?:Last edited|Updated):?\s*([^.]+)\./i);
+      return match ? parseSteamDate(match[1]) : null;
+    }),
+    helpfulCount: extractField(block, REVIEW_SELECTORS.helpful, text => {
+      if (/No one has rated this review as helpful/i.test(text)) return 0;
+      const match = text.match(/([\d,.]+)\s+(?:people|person) found this review helpful/i);
+      return match ? parseCount(match[1]) : null;
+    }),
+    funnyCount: extractField(block, REVIEW_SELECTORS.helpful, text => {
+      const match = text.match(/([\d,.]+)\s+(?:people|person) found this review funny/i);
+      return match ? parseCount(match[1]) : 0;
+    }),
+    textLength: extractField(block, REVIEW_SELECTORS.content, text => text.length),
+    receivedForFree: { value: /Product received for free/i.test(blockText), fallbackLevel: 0 },
+    earlyAccess: { value: /Early Access Review/i.test(blockText), fallbackLevel: 0 }
+  };
+
+  const review = {};
+  for (const [name, { value }] of Object.entries(fields)) {
+    review[name] = value;
+  }
+  return { review, fields };
+}
+
+// Parse every review on a /recommended/ page.
+// Returns { reviews, health } - health describes how well the page matched the expected structure.
+function parseReviewPage(html) {
+  const doc = parseHtmlDocument(html);
+  const health = {
+    strategy: 'review_box',
+    blocksFound: 0,
+    reviewsParsed: 0,
+    skipped: { noAppId: 0, noVote: 0, duplicate: 0 },
+    fallbacksUsed: {},
+    missingFields: {},
+    warnings: [],
+    healthy: true
+  };
+
+  let { elements: blocks, fallbackLevel } = queryWithFallbacks(doc, REVIEW_SELECTORS.block);
+
+  if (fallbackLevel > 0) {
+    health.fallbacksUsed.block = blocks.length;
+  }
+
+  // No review containers at all: recover each review from its vote image instead
+  let knownAppIds = new Map();
+  if (blocks.length === 0) {
+    const recovered = findThumbFallbackBlocks(doc);
+    if (recovered.length > 0) {
+      health.strategy = 'thumb_fallback';
+      health.warnings.push(`No review containers found, recovered ${recovered.length} review(s) from vote images`);
+      blocks = recovered.map(r => r.block);
+      knownAppIds = new Map(recovered.map(r => [r.block, r.appId]));
+    } else {
+      health.strategy = 'none';
+    }
+  }
+
+  health.blocksFound = blocks.length;
+
+  const reviews = [];
+  const seenAppIds = new Set();
+
+  for (const block of blocks) {
+    const { review, fields } = parseReviewBlock(block, knownAppIds.get(block));
+
+    if (!review.appId) {
+      health.skipped.noAppId++;
+      continue;
+    }
+    if (review.isPositive === null) {
+      health.skipped.noVote++;
+      continue;
+    }
+    if (seenAppIds.has(review.appId)) {
+      health.skipped.duplicate++;
+      continue;
+    }
+    seenAppIds.add(review.appId);
+
+    for (const [name, { value, fallbackLevel: level }] of Object.entries(fields)) {
+      if (level > 0) {
+        health.fallbacksUsed[name] = (health.fallbacksUsed[name] || 0) + 1;
+      }
+      // updatedAt and funnyCount are legitimately absent on most reviews
+      if (value === null && name !== 'updatedAt') {
+        health.missingFields[name] = (health.missingFields[name] || 0) + 1;
+      }
+    }
+
+    reviews.push(review);
+  }
+
+  health.reviewsParsed = reviews.length;
+
+  if (health.skipped.noAppId > 0) {
+    health.warnings.push(`${health.skipped.noAppId} review(s) without an app ID`);
+  }
+  if (health.skipped.noVote > 0) {
+    health.warnings.push(`${health.skipped.noVote} review(s) without a recognizable vote`);
+  }
+  for (const [name, count] of Object.entries(health.missingFields)) {
+    if (count === reviews.length && reviews.length > 0) {
+      health.warnings.push(`"${name}" missing on every review`);
+    }
+  }
+
+  health.healthy = health.strategy !== 'thumb_fallback' &&
+    health.skipped.noAppId === 0 &&
+    health.skipped.noVote === 0 &&
+    !health.warnings.some(w => w.includes('missing on every review'));
+
+  return { reviews, health };
+}
+
+// Allow the offline test suite to require() this file directly; inside the extension it's a plain script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseHtmlDocument,
+    queryAll,
+    textContent,
+    parseSteamDate,
+    parseReviewPage
+  };
+}
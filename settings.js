@@ -0,0 +1,263 @@
+// settings.js - Settings schema, defaults, presets and migration.
+// Shared by the background worker (importScripts), the popup and the options page (script tags).
+
+// Bump when stored settings need converting, and add a step to SETTINGS_MIGRATIONS
+const SETTINGS_VERSION = 3;
+
+// Every setting with its type, default and allowed range. Object settings list their fields.
+const SETTINGS_SCHEMA = {
+  minOverlap: { type: 'number', default: 4, min: 1, max: 50 },
+  minSimilarity: { type: 'number', default: 75, min: 50, max: 100 },
+  maxProfiles: { type: 'number', default: 100, min: 50, max: 1000 },
+  scoringMode: { type: 'string', default: 'threshold', options: ['threshold', 'weighted'] },
+  discoverMode: { type: 'boolean', default: false },
+  // Down-weight reviews that carry less signal (each tripped filter halves a review's weight)
+  reviewWeighting: {
+    type: 'object',
+    fields: {
+      lowPlaytime: { type: 'boolean', default: false },
+      minHours: { type: 'number', default: 2, min: 0, max: 100 },
+      freeKey: { type: 'boolean', default: false },
+      earlyAccess: { type: 'boolean', default: false },
+      oldReviews: { type: 'boolean', default: false },
+      maxAgeYears: { type: 'number', default: 5, min: 1, max: 20 },
+      updated: { type: 'boolean', default: false }
+    }
+  },
+  // How the game's reviewers are sampled from the appreviews API
+  sampling: {
+    type: 'object',
+    fields: {
+      minAuthorReviews: { type: 'number', default: 5, min: 1, max: 50 }, // Authors with fewer reviews are only used when nobody else is left
+      stratify: { type: 'boolean', default: true }, // Sample positive and negative reviews in the game's own proportion
+      includeRecent: { type: 'boolean', default: false }, // Also page through filter=recent
+      includeUpdated: { type: 'boolean', default: false } // Also page through filter=updated
+    }
+  },
+  // Which of the game's reviews the reviewer pool is drawn from; stored with each result
+  reviewerFilters: {
+    type: 'object',
+    fields: {
+      languages: { type: 'string', default: 'all', pattern: /^(all|[a-z]+(,[a-z]+)*)$/ }, // Steam language names, comma-separated
+      purchaseType: { type: 'string', default: 'all', options: ['all', 'steam', 'non_steam_purchase'] },
+      windowDays: { type: 'number', default: 0, min: 0, max: 3650 }, // Only reviews from the last N days; 0 = any age
+      sinceDate: { type: 'string', default: '', pattern: /^(\d{4}-\d{2}-\d{2})?$/, check: isPastDay } // Only reviews from this day on, e.g. a major update
+    }
+  },
+  // Weight agreement on each overlapping game by how many store tags it shares with the analyzed game (see tags.js)
+  tagSimilarity: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean', default: false },
+      unrelatedWeight: { type: 'number', default: 25, min: 0, max: 100 } // % weight of a game sharing no tags with the target
+    }
+  },
+  // Taste sources besides public Steam reviews (see ratings.js); Steam reviews win any conflict
+  tasteSources: {
+    type: 'object',
+    fields: {
+      myRatings: { type: 'boolean', default: true }, // The list on the options page, added by hand or imported
+      inferFromPlaytime: { type: 'boolean', default: false }, // Needs a public games list
+      likeHours: { type: 'number', default: 20, min: 1, max: 1000 }, // This much playtime counts as a weak thumbs up
+      dislikeHours: { type: 'number', default: 1, min: 0, max: 10 } // Played, but no more than this, counts as a weak thumbs down
+    }
+  },
+  // Request pacing
+  concurrency: { type: 'number', default: 3, min: 1, max: 6 },
+  communityPerMinute: { type: 'number', default: 120, min: 10, max: 300 },
+  storePerMinute: { type: 'number', default: 60, min: 10, max: 120 },
+  maxPages: { type: 'number', default: 50, min: 1, max: 200 }, // Per reviewer profile, 10 reviews a page
+  // Reviewer history cache
+  cacheHours: { type: 'number', default: 24, min: 0, max: 168 },
+  incrementalRefresh: { type: 'boolean', default: true },
+  cacheRetentionDays: { type: 'number', default: 30, min: 0, max: 365 }, // 0 keeps entries forever
+  // Activity log
+  logLevel: { type: 'string', default: 'info', options: ['debug', 'info', 'warn', 'error'] }
+};
+
+// Settings a preset sets; pacing, cache and logging stay as they are
+const PRESET_KEYS = ['minOverlap', 'minSimilarity', 'maxProfiles', 'scoringMode', 'discoverMode', 'reviewWeighting', 'sampling', 'reviewerFilters', 'tagSimilarity', 'maxPages'];
+
+// Language names the appreviews API accepts
+const STEAM_REVIEW_LANGUAGES = [
+  'arabic', 'brazilian', 'bulgarian', 'czech', 'danish', 'dutch', 'english', 'finnish', 'french', 'german',
+  'greek', 'hungarian', 'indonesian', 'italian', 'japanese', 'koreana', 'latam', 'norwegian', 'polish', 'portuguese',
+  'romanian', 'russian', 'schinese', 'spanish', 'swedish', 'tchinese', 'thai', 'turkish', 'ukrainian', 'vietnamese'
+];
+
+const PURCHASE_TYPE_LABELS = { steam: 'Steam purchases', non_steam_purchase: 'key activations' };
+
+const BUILT_IN_PRESETS = [
+  {
+    name: 'Quick scan',
+    builtIn: true,
+    values: { minOverlap: 3, minSimilarity: 70, maxProfiles: 50, scoringMode: 'weighted', maxPages: 10, sampling: { minAuthorReviews: 10 } }
+  },
+  {
+    name: 'Deep scan',
+    builtIn: true,
+    values: { minOverlap: 5, minSimilarity: 75, maxProfiles: 500, scoringMode: 'threshold', maxPages: 100, sampling: { minAuthorReviews: 5, includeRecent: true } }
+  }
+];
+
+// Conversions from version N to N + 1, given everything in storage; each returns the keys to write
+const SETTINGS_MIGRATIONS = {
+  // Version 1 stored a single Steam ID; version 2 keeps a list of accounts with one active
+  1: stored => ({
+    steamAccounts: stored.steamAccounts || (stored.steamId
+      ? [{ steamId: stored.steamId, personaName: stored.personaName || null }]
+      : [])
+  }),
+  // Version 3 added the debug level and renamed "warning" to "warn"
+  2: stored => (stored.logLevel === 'warning' ? { logLevel: 'warn' } : {})
+};
+
+// A calendar day that exists ("2026-13-45" doesn't) and isn't after today; '' means no day
+function isPastDay(value) {
+  if (value === '') return true;
+  const time = Date.parse(value);
+  if (Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== value) return false;
+  const today = new Date();
+  const todayText = [today.getFullYear(), today.getMonth() + 1, today.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+  return value <= todayText;
+}
+
+function defaultFor(schema) {
+  if (schema.type !== 'object') return schema.default;
+  const value = {};
+  for (const [key, field] of Object.entries(schema.fields)) {
+    value[key] = defaultFor(field);
+  }
+  return value;
+}
+
+function settingsDefaults() {
+  const defaults = {};
+  for (const [key, schema] of Object.entries(SETTINGS_SCHEMA)) {
+    defaults[key] = defaultFor(schema);
+  }
+  return defaults;
+}
+
+// A valid value for `schema`: wrong types fall back to the default, numbers are clamped,
+// objects are checked field by field (so a partial object is completed with defaults)
+function normalizeSetting(schema, value) {
+  if (schema.type === 'object') {
+    const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    const normalized = {};
+    for (const [key, field] of Object.entries(schema.fields)) {
+      normalized[key] = normalizeSetting(field, source[key]);
+    }
+    return normalized;
+  }
+
+  if (schema.type === 'number') {
+    const number = typeof value === 'string' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return schema.default;
+    return Math.min(schema.max, Math.max(schema.min, number));
+  }
+
+  if (typeof value !== schema.type) return schema.default;
+  if (schema.options && !schema.options.includes(value)) return schema.default;
+  if (schema.pattern && !schema.pattern.test(value)) return schema.default;
+  if (schema.check && !schema.check(value)) return schema.default;
+  return value;
+}
+
+// Full, valid settings from whatever is stored
+function normalizeSettings(stored = {}) {
+  const settings = {};
+  for (const [key, schema] of Object.entries(SETTINGS_SCHEMA)) {
+    settings[key] = normalizeSetting(schema, stored[key]);
+  }
+  return settings;
+}
+
+// Storage keys to write so `stored` is at SETTINGS_VERSION with valid values.
+// Returns an empty object when nothing needs changing.
+function migrateSettings(stored) {
+  const updates = {};
+  let version = stored.settingsVersion || 1;
+
+  while (version < SETTINGS_VERSION) {
+    const migrate = SETTINGS_MIGRATIONS[version];
+    if (migrate) Object.assign(updates, migrate({ ...stored, ...updates }));
+    version++;
+  }
+
+  const settings = normalizeSettings({ ...stored, ...updates });
+  for (const [key, value] of Object.entries(settings)) {
+    // Unset keys stay unset, so later default changes still reach them
+    if (stored[key] !== undefined && JSON.stringify(value) !== JSON.stringify(stored[key])) {
+      updates[key] = value;
+    }
+  }
+
+  if (stored.settingsVersion !== SETTINGS_VERSION) {
+    updates.settingsVersion = SETTINGS_VERSION;
+  }
+  return updates;
+}
+
+// The settings a preset changes, validated against the schema. A preset that sets only some fields
+// of a group (e.g. sampling.minAuthorReviews) keeps the rest as they are in `current`.
+function presetSettings(preset, current = {}) {
+  const settings = {};
+  for (const key of PRESET_KEYS) {
+    const value = preset.values[key];
+    if (value === undefined) continue;
+    const schema = SETTINGS_SCHEMA[key];
+    settings[key] = schema.type === 'object' && value && typeof value === 'object'
+      ? normalizeSetting(schema, { ...normalizeSetting(schema, current[key]), ...value })
+      : normalizeSetting(schema, value);
+  }
+  return settings;
+}
+
+// Languages typed as a free list ("English, german") in the form reviewerFilters.languages takes.
+// Names the API doesn't know are returned separately so the caller can report them.
+function parseLanguageList(text) {
+  const names = [...new Set(String(text).toLowerCase().split(/[\s,;]+/).filter(Boolean))];
+  const known = names.filter(name => STEAM_REVIEW_LANGUAGES.includes(name));
+  return {
+    languages: known.length > 0 && !names.includes('all') ? known.join(',') : 'all',
+    unknown: names.filter(name => name !== 'all' && !STEAM_REVIEW_LANGUAGES.includes(name))
+  };
+}
+
+// Short description of a reviewer filter set, e.g. "english · Steam purchases · last 90 days"
+function describeReviewerFilters(filters) {
+  const { languages, purchaseType, windowDays, sinceDate } = normalizeSetting(SETTINGS_SCHEMA.reviewerFilters, filters);
+  const parts = [];
+  if (languages !== 'all') parts.push(languages.split(',').join(', '));
+  if (purchaseType !== 'all') parts.push(PURCHASE_TYPE_LABELS[purchaseType]);
+  if (windowDays > 0) parts.push(`last ${windowDays} days`);
+  if (sinceDate) parts.push(`since ${sinceDate}`);
+  return parts.length > 0 ? parts.join(' · ') : 'All reviews';
+}
+
+// Add an account to the saved list, or refresh its persona name if it's already there
+function upsertSteamAccount(accounts, account) {
+  const existing = accounts.findIndex(a => a.steamId === account.steamId);
+  if (existing === -1) return [...accounts, account];
+  return accounts.map((a, index) => (index === existing ? { ...a, ...account } : a));
+}
+
+// Allow the offline test suite to require() this file directly; inside the extension it's a plain script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SETTINGS_VERSION,
+    SETTINGS_SCHEMA,
+    PRESET_KEYS,
+    BUILT_IN_PRESETS,
+    STEAM_REVIEW_LANGUAGES,
+    settingsDefaults,
+    normalizeSetting,
+    normalizeSettings,
+    migrateSettings,
+    presetSettings,
+    parseLanguageList,
+    describeReviewerFilters,
+    upsertSteamAccount
+  };
+}
@@ -0,0 +1,159 @@
+// steamid.js - Parsing and conversion of every Steam account identifier format to steamID64
+
+// steamID64 of account 0 in the public universe; individual accounts are this plus the account ID
+const STEAMID64_BASE = 76561197960265728n;
+const MAX_ACCOUNT_ID = 0xFFFFFFFFn;
+
+// s.team/p/ short links spell the hex account ID with these letters instead of 0-9a-f
+const SHORT_LINK_ALPHABET = 'bcdfghjkmnpqrtvw';
+
+const VANITY_PATTERN = /^[A-Za-z0-9_-]{2,32}$/;
+
+function accountIdToSteamId64(accountId) {
+  return (STEAMID64_BASE + BigInt(accountId)).toString();
+}
+
+function isValidSteamId64(value) {
+  if (!/^\d{17}$/.test(value)) return false;
+  const accountId = BigInt(value) - STEAMID64_BASE;
+  return accountId > 0n && accountId <= MAX_ACCOUNT_ID;
+}
+
+function steamId64Error(value, source) {
+  const prefix = source ? `${source} ` : '';
+  if (!/^\d+$/.test(value)) {
+    return `${prefix}"${value}" is not a steamID64: it should contain only digits.`;
+  }
+  if (value.length !== 17) {
+    return `${prefix}"${value}" is not a valid steamID64: expected 17 digits starting with 7656119, got ${value.length} digits.`;
+  }
+  return `${prefix}"${value}" is not a valid steamID64: it is outside the range of individual Steam accounts (should start with 7656119).`;
+}
+
+// STEAM_X:Y:Z - Y is the low bit of the account ID, Z the rest
+function parseSteamId2(input) {
+  const match = input.match(/^STEAM_([0-5]):([01]):(\d+)$/i);
+  if (!match) {
+    return { error: `"${input}" is not a valid SteamID2: expected STEAM_0:Y:Z where Y is 0 or 1 and Z is a number.` };
+  }
+
+  const accountId = BigInt(match[3]) * 2n + BigInt(match[2]);
+  if (accountId === 0n || accountId > MAX_ACCOUNT_ID) {
+    return { error: `"${input}" is not a valid SteamID2: the account number is out of range.` };
+  }
+  return { steamId64: accountIdToSteamId64(accountId), format: 'SteamID2' };
+}
+
+// [U:1:W] - W is the account ID; only individual (U) accounts can write reviews
+function parseSteamId3(input) {
+  const match = input.match(/^\[?([A-Za-z]):([0-5]):(\d+)(?::\d+)?\]?$/);
+  if (!match) {
+    return { error: `"${input}" is not a valid SteamID3: expected [U:1:123456].` };
+  }
+  if (match[1] !== 'U') {
+    return { error: `"${input}" is a SteamID3 for a non-user account (type "${match[1]}"); only individual [U:1:…] accounts have reviews.` };
+  }
+
+  const accountId = BigInt(match[3]);
+  if (accountId === 0n || accountId > MAX_ACCOUNT_ID) {
+    return { error: `"${input}" is not a valid SteamID3: the account number is out of range.` };
+  }
+  return { steamId64: accountIdToSteamId64(accountId), format: 'SteamID3' };
+}
+
+function parseShortLinkCode(code) {
+  const cleaned = code.toLowerCase().replace(/-/g, '');
+  if (!cleaned || [...cleaned].some(char => !SHORT_LINK_ALPHABET.includes(char))) {
+    return { error: `"${code}" is not a valid s.team/p/ code: it may only contain the letters ${SHORT_LINK_ALPHABET} and dashes.` };
+  }
+
+  const hex = [...cleaned].map(char => SHORT_LINK_ALPHABET.indexOf(char).toString(16)).join('');
+  const accountId = BigInt(`0x${hex}`);
+  if (accountId === 0n || accountId > MAX_ACCOUNT_ID) {
+    return { error: `"${code}" is not a valid s.team/p/ code: the account number is out of range.` };
+  }
+  return { steamId64: accountIdToSteamId64(accountId), format: 's.team short link' };
+}
+
+function parseVanity(name, source) {
+  if (!VANITY_PATTERN.test(name)) {
+    const where = source ? ` in ${source}` : '';
+    return { error: `"${name}"${where} is not a valid custom URL name: use 2–32 letters, numbers, "_" or "-".` };
+  }
+  return { vanity: name, format: 'custom URL' };
+}
+
+// Parse any supported identifier. Returns { steamId64, format } when the ID is known offline,
+// { vanity, format } when it still has to be resolved, or { error } explaining what was wrong.
+function parseSteamId(input) {
+  if (!input || !input.trim()) {
+    return { error: 'Please enter your Steam ID, profile URL or custom URL name.' };
+  }
+
+  input = input.trim();
+
+  // URLs: strip the scheme so "https://", "http://" and bare hosts all work
+  const url = input.replace(/^https?:\/\//i, '').replace(/^www\./i, '');
+
+  if (/^s\.team\//i.test(url)) {
+    const match = url.match(/^s\.team\/p\/([^\/?#\s]+)/i);
+    if (!match) {
+      return { error: 'Unrecognized s.team link: expected s.team/p/<code>.' };
+    }
+    return parseShortLinkCode(match[1]);
+  }
+
+  if (/^steamcommunity\.com\//i.test(url)) {
+    const profileMatch = url.match(/^steamcommunity\.com\/profiles\/([^\/?#\s]+)/i);
+    if (profileMatch) {
+      const id = profileMatch[1];
+      let decoded;
+      try {
+        decoded = decodeURIComponent(id);
+      } catch (error) {
+        return { error: 'The /profiles/ URL contains an invalid escape sequence.' };
+      }
+      // /profiles/ also accepts a SteamID3, e.g. /profiles/[U:1:22202]
+      if (/^\[/.test(decoded)) {
+        return parseSteamId3(decoded);
+      }
+      return isValidSteamId64(id)
+        ? { steamId64: id, format: 'profile URL' }
+        : { error: steamId64Error(id, 'In the /profiles/ URL,') };
+    }
+
+    const idMatch = url.match(/^steamcommunity\.com\/id\/([^\/?#\s]+)/i);
+    if (idMatch) {
+      return parseVanity(idMatch[1], 'the /id/ URL');
+    }
+
+    return { error: 'Unrecognized Steam profile URL: expected steamcommunity.com/profiles/<steamID64> or steamcommunity.com/id/<name>.' };
+  }
+
+  if (/^STEAM_/i.test(input)) {
+    return parseSteamId2(input);
+  }
+
+  if (/^\[?[A-Za-z]:[0-5]:\d+/.test(input)) {
+    return parseSteamId3(input);
+  }
+
+  const bare = input.replace(/\/+$/, '');
+
+  if (/^\d+$/.test(bare)) {
+    return isValidSteamId64(bare)
+      ? { steamId64: bare, format: 'steamID64' }
+      : { error: steamId64Error(bare) };
+  }
+
+  return parseVanity(bare);
+}
+
+// Allow the offline test suite to require() this file directly; inside the extension it's a plain script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseSteamId,
+    isValidSteamId64,
+    accountIdToSteamId64
+  };
+}
@@ -0,0 +1,125 @@
+// tags.js - Store tags for tag-aware similarity: parsing them from the store, and how much
+// agreeing on one game says about taste in another, going by the tags they share.
+// Loaded by the background worker (importScripts).
+
+const MAX_GAME_TAGS = 10; // The store lists a game's tags most-voted first; the tail is mostly noise
+const TAG_DRIVER_COUNT = 5;
+
+function decodeTagName(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&#39;/g, '\'')
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// User tags from a store app page, most-voted first: the InitAppTagModal data when the page has it,
+// otherwise the visible app_tag links. Returns [] for pages without tags (e.g. the age gate).
+function parseStoreTags(html) {
+  const modal = String(html).match(/InitAppTagModal\(\s*\d+,\s*(\[[\s\S]*?\])\s*,/);
+  if (modal) {
+    try {
+      const tags = JSON.parse(modal[1])
+        .filter(tag => tag && typeof tag.name === 'string')
+        .sort((a, b) => (b.count || 0) - (a.count || 0))
+        .map(tag => decodeTagName(tag.name));
+      if (tags.length > 0) return tags.slice(0, MAX_GAME_TAGS);
+    } catch (error) {
+      // Fall back to the tag links
+    }
+  }
+
+  const tags = [];
+  for (const [, name] of String(html).matchAll(/<a[^>]*class="app_tag"[^>]*>([\s\S]*?)<\/a>/g)) {
+    const tag = decodeTagName(name);
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  }
+  return tags.slice(0, MAX_GAME_TAGS);
+}
+
+// Genre names from an appdetails response, the fallback when the app page has no tags
+function parseAppDetailsGenres(json, appId) {
+  try {
+    const entry = JSON.parse(json)[appId];
+    if (!entry || !entry.success || !entry.data || !Array.isArray(entry.data.genres)) return [];
+    return entry.data.genres.map(genre => decodeTagName(String(genre.description || ''))).filter(Boolean);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Weighted Jaccard similarity (0-1) of two tag lists, each tag weighted by its rank in its list
+function tagSimilarity(tagsA, tagsB) {
+  if (!tagsA.length || !tagsB.length) return 0;
+  const rankWeights = tags => new Map(tags.map((tag, index) => [tag, (tags.length - index) / tags.length]));
+  const a = rankWeights(tagsA);
+  const b = rankWeights(tagsB);
+
+  let shared = 0;
+  let union = 0;
+  for (const tag of new Set([...a.keys(), ...b.keys()])) {
+    const weightA = a.get(tag) || 0;
+    const weightB = b.get(tag) || 0;
+    shared += Math.min(weightA, weightB);
+    union += Math.max(weightA, weightB);
+  }
+  return union > 0 ? shared / union : 0;
+}
+
+// Per-game multipliers for the agreement between the user and a reviewer: a game with the same
+// tags as the target counts fully, an unrelated one at `floor`. Games whose tags are unknown
+// count halfway between. Returns null when the target itself has no tags.
+function buildTagProfile(targetAppId, tagsByApp, floor) {
+  const targetTags = tagsByApp[targetAppId] || [];
+  if (targetTags.length === 0) return null;
+
+  const weights = new Map();
+  for (const [appId, tags] of Object.entries(tagsByApp)) {
+    if (appId === targetAppId || tags.length === 0) continue;
+    weights.set(appId, floor + (1 - floor) * tagSimilarity(targetTags, tags));
+  }
+  return { targetTags, tagsByApp, weights, unknownWeight: floor + (1 - floor) / 2, floor };
+}
+
+function tagWeightFor(tagProfile, appId) {
+  if (!tagProfile) return 1;
+  return tagProfile.weights.has(appId) ? tagProfile.weights.get(appId) : tagProfile.unknownWeight;
+}
+
+// The target's tags that carried the most agreement: every agreed game of a matched reviewer adds
+// its tag weight to each target tag it shares. Returns the top TAG_DRIVER_COUNT as
+// [{ tag, weight, games }] where games counts the distinct games behind the tag.
+function tagDrivers(tagProfile, agreedAppIds) {
+  const drivers = new Map();
+  for (const appId of agreedAppIds) {
+    const tags = tagProfile.tagsByApp[appId] || [];
+    for (const tag of tags) {
+      if (!tagProfile.targetTags.includes(tag)) continue;
+      const driver = drivers.get(tag) || { tag, weight: 0, games: new Set() };
+      driver.weight += tagWeightFor(tagProfile, appId);
+      driver.games.add(appId);
+      drivers.set(tag, driver);
+    }
+  }
+
+  return [...drivers.values()]
+    .sort((a, b) => b.weight - a.weight || a.tag.localeCompare(b.tag))
+    .slice(0, TAG_DRIVER_COUNT)
+    .map(({ tag, weight, games }) => ({ tag, weight: Math.round(weight * 10) / 10, games: games.size }));
+}
+
+// Allow the offline test suite to require() this file directly; inside the extension it's a plain script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_GAME_TAGS,
+    parseStoreTags,
+    parseAppDetailsGenres,
+    tagSimilarity,
+    buildTagProfile,
+    tagWeightFor,
+    tagDrivers
+  };
+}
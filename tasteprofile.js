@@ -0,0 +1,93 @@
+// tasteprofile.js - The taste profile dashboard's numbers: how the user's own reviews compare with
+// Steam's overall score for each game, and which of them do the most for matching.
+// Shared by the background worker (importScripts) and the dashboard page (script tag).
+
+// Share of Steam reviewers (%) who voted the way the user did
+const RARE_OPINION_SHARE = 30; // Below this the user's vote is a minority opinion
+const MAINSTREAM_OPINION_SHARE = 70; // At or above this the user sided with the clear majority
+const MOST_USEFUL_COUNT = 10;
+
+const OPINION_LABELS = {
+  mainstream: 'Mainstream',
+  divided: 'Divided',
+  rare: 'Rare',
+  unknown: 'No score yet'
+};
+
+// % of the game's Steam reviewers who agree with the user's vote, or null without a score
+function opinionShare(isPositive, stats) {
+  if (!stats || !stats.totalReviews) return null;
+  return isPositive ? stats.score : 100 - stats.score;
+}
+
+function classifyOpinion(share) {
+  if (share === null) return 'unknown';
+  if (share < RARE_OPINION_SHARE) return 'rare';
+  if (share >= MAINSTREAM_OPINION_SHARE) return 'mainstream';
+  return 'divided';
+}
+
+// How much a review of this game helps tell reviewers apart. A game nearly everyone likes (or
+// dislikes) gets the same vote from matching and non-matching reviewers alike, and one few people
+// reviewed rarely overlaps with a reviewer at all, so divisiveness is weighted by review volume.
+function matchUsefulness(stats) {
+  if (!stats || !stats.totalReviews) return 0;
+  const positiveShare = stats.totalPositive / stats.totalReviews;
+  const divisiveness = 1 - Math.abs(2 * positiveShare - 1);
+  return Math.round(divisiveness * Math.log10(stats.totalReviews + 1) * 100) / 100;
+}
+
+// Everything the dashboard shows, from the parsed reviews, per-game Steam scores and game names.
+// Games are listed newest review first; mostUseful holds the top MOST_USEFUL_COUNT by usefulness.
+function buildTasteProfile(reviews, gameStats = {}, names = {}) {
+  const games = reviews.map(review => {
+    const stats = gameStats[review.appId] || null;
+    const share = opinionShare(review.isPositive, stats);
+    return {
+      appId: review.appId,
+      name: names[review.appId] || null,
+      isPositive: review.isPositive,
+      postedAt: review.postedAt || null,
+      hoursOnRecord: review.hoursOnRecord !== undefined ? review.hoursOnRecord : null,
+      globalScore: stats && stats.totalReviews ? stats.score : null,
+      totalReviews: stats ? stats.totalReviews : null,
+      share,
+      opinion: classifyOpinion(share),
+      usefulness: matchUsefulness(stats)
+    };
+  });
+  games.sort((a, b) => (b.postedAt || 0) - (a.postedAt || 0));
+
+  const positive = games.filter(game => game.isPositive).length;
+  const opinions = Object.fromEntries(Object.keys(OPINION_LABELS).map(opinion => [opinion, 0]));
+  for (const game of games) opinions[game.opinion]++;
+
+  const mostUseful = games
+    .filter(game => game.usefulness > 0)
+    .sort((a, b) => b.usefulness - a.usefulness || a.appId.localeCompare(b.appId))
+    .slice(0, MOST_USEFUL_COUNT)
+    .map(game => game.appId);
+
+  return {
+    total: games.length,
+    positive,
+    negative: games.length - positive,
+    positiveShare: games.length > 0 ? Math.round((positive / games.length) * 100) : null,
+    opinions,
+    games,
+    mostUseful
+  };
+}
+
+// Allow the offline test suite to require() this file directly; inside the extension it's a plain script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RARE_OPINION_SHARE,
+    MAINSTREAM_OPINION_SHARE,
+    OPINION_LABELS,
+    opinionShare,
+    classifyOpinion,
+    matchUsefulness,
+    buildTasteProfile
+  };
+}
@@ -0,0 +1,164 @@
+// datatransfer.test.js - Export file validation, merging and importing into storage
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, plain, fixture } = require('./helpers/harness');
+const { createExport, parseExport, mergeRecords, resultsToCsv, EXPORT_VERSION } = require('../datatransfer.js');
+
+const USER_ID = '76561198000000001';
+
+function historyEntry(appId, timestamp, score, gameName = `Game ${appId}`) {
+  return {
+    id: `${appId}-${timestamp}`,
+    appId,
+    gameName,
+    timestamp,
+    score,
+    params: {},
+    counts: { totalReviewers: 10, matchingReviewers: 4, positiveCount: 3 },
+    matchedReviewerIds: [],
+    result: {
+      score,
+      scoringMode: 'threshold',
+      thresholdScore: score,
+      matchingReviewers: 4,
+      totalReviewers: 10,
+      avgOverlap: 5,
+      minOverlap: 3,
+      minSimilarity: 75,
+      confidenceInterval: { low: 30, high: 95 }
+    }
+  };
+}
+
+test('exports round-trip through validation', () => {
+  const file = JSON.stringify(createExport('userReviews', {
+    steamId: USER_ID,
+    fetchedAt: 1000,
+    reviews: [{ appId: '620', isPositive: true, hoursOnRecord: 12.5, postedAt: null }]
+  }));
+
+  const parsed = plain(parseExport(file));
+
+  assert.strictEqual(parsed.kind, 'userReviews');
+  assert.strictEqual(parsed.data.reviews[0].appId, '620');
+});
+
+test('imports are rejected with the reason they failed', () => {
+  assert.match(parseExport('{nope').error, /not valid JSON/);
+  assert.match(parseExport('{"format":"other"}').error, /not a Steam Taste Matcher export/);
+  assert.match(parseExport(JSON.stringify({ ...createExport('results', []), version: EXPORT_VERSION + 1 })).error, /newer version/);
+  assert.match(parseExport(JSON.stringify(createExport('settings', {}))).error, /Unknown export type/);
+
+  const broken = createExport('reviewerDataset', [
+    { steamId: '123', fetchedAt: 1, reviews: [{ appId: '620', isPositive: 'yes' }] }
+  ]);
+  const { error } = parseExport(JSON.stringify(broken));
+  assert.match(error, /data\[0\]\.steamId: "123" is not in the expected format/);
+  assert.match(error, /data\[0\]\.reviews\[0\]\.isPositive: expected boolean, got string/);
+});
+
+test('imported results must carry every field the popup and store page render, correctly typed', () => {
+  const valid = historyEntry('620', 1000, 80);
+  assert.strictEqual(parseExport(JSON.stringify(createExport('results', [valid]))).error, undefined);
+
+  const { params, counts, ...bare } = valid;
+  const crafted = [
+    bare,
+    { ...valid, id: '"><img src=x onerror=alert(1)>' },
+    { ...valid, params: { scoringMode: '<b>weighted</b>' } },
+    { ...valid, result: { ...valid.result, score: '<img src=x>', reliability: 'low"><script>' } },
+    { ...valid, result: { ...valid.result, reviewWeighting: { filters: {}, targetVotes: { total: 1, downweighted: 1, reasons: { x: '<i>' } }, overlapPairs: { total: 0, downweighted: 0 } } } }
+  ];
+  const { error } = parseExport(JSON.stringify(createExport('results', crafted)));
+
+  assert.match(error, /data\[0\]\.params: missing/);
+  assert.match(error, /data\[0\]\.counts: missing/);
+  assert.match(error, /data\[1\]\.id: .* is not in the expected format/);
+  assert.match(error, /data\[2\]\.params\.scoringMode: .* is not one of threshold, weighted/);
+  assert.match(error, /data\[3\]\.result\.score: expected number, got string/);
+  assert.match(error, /data\[3\]\.result\.reliability: .* is not one of low, medium, high/);
+  assert.match(error, /data\[4\]\.result\.reviewWeighting\.targetVotes\.reasons\.x: expected number, got string/);
+});
+
+test('merging keeps the newer record for each key', () => {
+  const existing = [{ id: 'a', at: 5 }, { id: 'b', at: 5 }, { id: 'c', at: 5 }];
+  const incoming = [{ id: 'a', at: 9 }, { id: 'b', at: 5 }, { id: 'c', at: 1 }, { id: 'd', at: 1 }];
+
+  const { records, changed, added, updated, skipped } = mergeRecords(existing, incoming, r => r.id, r => r.at);
+
+  assert.deepStrictEqual(records, [{ id: 'a', at: 9 }, { id: 'b', at: 5 }, { id: 'c', at: 5 }, { id: 'd', at: 1 }]);
+  assert.deepStrictEqual(changed.map(r => r.id), ['a', 'd']);
+  assert.deepStrictEqual([added, updated, skipped], [1, 1, 2]);
+});
+
+test('results CSV has a header and quotes awkward game names', () => {
+  const csv = resultsToCsv([historyEntry('620', Date.UTC(2024, 0, 2), 80, 'Portal 2, "Deluxe"')]);
+  const [header, row] = csv.trim().split('\r\n');
+
+  assert.ok(header.startsWith('appId,gameName,analyzedAt,score,scoringMode'));
+  assert.ok(row.startsWith('620,"Portal 2, ""Deluxe""",2024-01-02T00:00:00.000Z,80,threshold,80,'));
+});
+
+test('imported results are added only when newer than the local result for that game', async () => {
+  const { context, chrome } = loadBackground();
+  await chrome.storage.local.set({ analysisHistory: [historyEntry('620', 2000, 70), historyEntry('400', 2000, 50)] });
+
+  const file = JSON.stringify(createExport('results', [
+    historyEntry('620', 3000, 90),
+    historyEntry('620', 2500, 85),
+    historyEntry('400', 1000, 10),
+    historyEntry('570', 1500, 60)
+  ]));
+  const summary = plain(await context.importData(file));
+
+  assert.deepStrictEqual(summary, { kind: 'results', added: 1, updated: 1, skipped: 2 });
+  const { analysisHistory } = chrome.storage.local.dump();
+  assert.deepStrictEqual(analysisHistory.map(e => e.id), ['620-3000', '620-2000', '400-2000', '570-1500']);
+  const { appScoreSummary } = chrome.storage.local.dump();
+  assert.deepStrictEqual(Object.entries(appScoreSummary).map(([appId, s]) => [appId, s.score, s.analyzedAt]), [['400', 50, 2000], ['570', 60, 1500], ['620', 90, 3000]]);
+});
+
+test('imported user reviews merge by app and refuse another account', async () => {
+  const { context, chrome } = loadBackground();
+  await chrome.storage.local.set({
+    userReviews: { steamId: USER_ID, fetchedAt: 100, reviews: [{ appId: '620', isPositive: true, postedAt: 50 }] }
+  });
+
+  const file = createExport('userReviews', {
+    steamId: USER_ID,
+    fetchedAt: 200,
+    reviews: [{ appId: '620', isPositive: false, postedAt: 50, updatedAt: 150 }, { appId: '400', isPositive: true }]
+  });
+  const summary = plain(await context.importData(JSON.stringify(file)));
+
+  assert.deepStrictEqual(summary, { kind: 'userReviews', added: 1, updated: 1, skipped: 0 });
+  const { userReviews } = chrome.storage.local.dump();
+  assert.strictEqual(userReviews.fetchedAt, 200);
+  assert.deepStrictEqual(userReviews.reviews.map(r => [r.appId, r.isPositive]), [['620', false], ['400', true]]);
+
+  const other = await context.importData(JSON.stringify(createExport('userReviews', { ...file.data, steamId: '76561198000000002' })));
+  assert.match(other.error, /belong to another Steam account/);
+});
+
+test('fetching your reviews keeps the imported ones and falls back to them for a private profile', async () => {
+  let page = fixture('private_profile.html');
+  const { context, chrome } = loadBackground({
+    routes: [[url => url.startsWith(`https://steamcommunity.com/profiles/${USER_ID}/recommended/`), () => page]]
+  });
+  await context.importData(JSON.stringify(createExport('userReviews', {
+    steamId: USER_ID,
+    fetchedAt: 100,
+    reviews: [{ appId: '620', isPositive: true, postedAt: 50 }, { appId: '999', isPositive: false, postedAt: 50 }]
+  })));
+
+  const fallback = plain(await context.fetchUserReviews(USER_ID));
+  assert.deepStrictEqual(fallback.map(r => r.appId), ['620', '999']);
+  assert.strictEqual(chrome.storage.local.dump().userReviews.fetchedAt, 100);
+
+  page = fixture('reviewer_b.html');
+  const live = plain(await context.fetchUserReviews(USER_ID));
+  assert.deepStrictEqual(live.map(r => r.appId).sort(), ['100', '101', '102', '103', '620', '999']);
+  assert.strictEqual(live.find(r => r.appId === '620').isPositive, false);
+  assert.deepStrictEqual(chrome.storage.local.dump().userReviews.reviews.map(r => r.appId).sort(), ['100', '101', '102', '103', '620', '999']);
+});
@@ -0,0 +1,170 @@
+// harness.js - Loads the extension's background script into a sandbox with stubbed chrome.* and fetch
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+// Effectively unlimited request rate, so the rate limiter never makes a test wait
+const FAST_RATE_LIMITS = { storePerMinute: 6000000, communityPerMinute: 6000000 };
+
+// Values created inside the sandbox come from another realm; round-trip them for deepStrictEqual
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+// In-memory chrome.storage.local with the same get() argument forms as the real API
+function createStorageArea() {
+  let data = {};
+  const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  return {
+    async get(keys) {
+      if (keys === null || keys === undefined) return clone(data);
+      const result = {};
+      if (typeof keys === 'string') keys = [keys];
+      if (Array.isArray(keys)) {
+        for (const key of keys) {
+          if (key in data) result[key] = clone(data[key]);
+        }
+      } else {
+        for (const [key, fallback] of Object.entries(keys)) {
+          result[key] = key in data ? clone(data[key]) : fallback;
+        }
+      }
+      return result;
+    },
+    async set(items) {
+      data = { ...data, ...clone(items) };
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) delete data[key];
+    },
+    async clear() {
+      data = {};
+    },
+    dump() {
+      return clone(data);
+    }
+  };
+}
+
+function createChromeStub() {
+  const messageListeners = [];
+  const connectListeners = [];
+  const notifications = [];
+
+  return {
+    storage: { local: createStorageArea() },
+    runtime: {
+      onMessage: { addListener: listener => messageListeners.push(listener) },
+      onConnect: { addListener: listener => connectListeners.push(listener) },
+      sendMessage: async () => undefined
+    },
+    notifications: {
+      create: async options => {
+        notifications.push(options);
+        return String(notifications.length);
+      }
+    },
+    _messageListeners: messageListeners,
+    _notifications: notifications,
+    // Open a port the way a popup would; the returned object records what the background posts
+    _connect(name) {
+      const disconnectListeners = [];
+      const port = {
+        name,
+        messages: [],
+        postMessage: message => port.messages.push(JSON.parse(JSON.stringify(message))),
+        onMessage: { addListener: () => {} },
+        onDisconnect: { addListener: listener => disconnectListeners.push(listener) },
+        disconnect: () => disconnectListeners.forEach(listener => listener())
+      };
+      connectListeners.forEach(listener => listener(port));
+      return port;
+    }
+  };
+}
+
+// routes: array of [matcher, response] where matcher is a URL string, RegExp or predicate,
+// and response is a fixture body string, { status, body, headers } or a function of the URL.
+// Unmatched URLs answer 404 so a missing route fails loudly instead of hanging.
+function createFetchStub(routes) {
+  const requests = [];
+
+  const fetch = async (url) => {
+    requests.push(url);
+
+    const route = routes.find(([matcher]) => {
+      if (typeof matcher === 'string') return matcher === url;
+      if (matcher instanceof RegExp) return matcher.test(url);
+      return matcher(url);
+    });
+
+    let response = route ? route[1] : { status: 404, body: '' };
+    if (typeof response === 'function') response = response(url);
+    if (typeof response === 'string') response = { status: 200, body: response };
+
+    const status = response.status || 200;
+    const headers = response.headers || {};
+
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: name => headers[name] || headers[name.toLowerCase()] || null },
+      text: async () => response.body || ''
+    };
+  };
+
+  return { fetch, requests };
+}
+
+// Evaluate background.js (and whatever it importScripts) in a fresh context.
+// Timers fire immediately so rate limiting and backoff don't slow the suite down.
+function loadBackground({ routes = [] } = {}) {
+  const chrome = createChromeStub();
+  const { fetch, requests } = createFetchStub(routes);
+
+  const context = vm.createContext({
+    chrome,
+    fetch,
+    console: { ...console, error: () => {} },
+    URL,
+    setTimeout: (fn) => setImmediate(fn),
+    clearTimeout: () => {},
+    setInterval: () => 0,
+    clearInterval: () => {}
+  });
+
+  context.importScripts = (...files) => {
+    for (const file of files) {
+      vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+  };
+
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+
+  context.configureRateLimits(FAST_RATE_LIMITS);
+
+  return {
+    context,
+    chrome,
+    requests,
+    run: code => vm.runInContext(code, context)
+  };
+}
+
+module.exports = {
+  FAST_RATE_LIMITS,
+  plain,
+  fixture,
+  loadBackground,
+  createChromeStub,
+  createFetchStub
+};
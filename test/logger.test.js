@@ -0,0 +1,57 @@
+// logger.test.js - Log ring buffer, batched writes, structured fields and per-run sessions
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, plain } = require('./helpers/harness');
+const { appendToRing } = require('../logger.js');
+
+test('the ring buffer keeps only the newest entries', () => {
+  assert.deepStrictEqual(appendToRing([1, 2, 3], [4, 5], 4), [2, 3, 4, 5]);
+  assert.deepStrictEqual(appendToRing([1], [2], 4), [1, 2]);
+});
+
+test('log lines are written to storage in one batch with their level and fields', async () => {
+  const { context, chrome } = loadBackground();
+  await chrome.storage.local.set({ logLevel: 'debug' });
+  await context.flushLogs();
+
+  const set = chrome.storage.local.set;
+  let logWrites = 0;
+  chrome.storage.local.set = items => {
+    if ('analysisLogs' in items) logWrites++;
+    return set(items);
+  };
+
+  for (let page = 1; page <= 20; page++) {
+    await context.logProgress(`Page ${page}`, 'debug', { profile: 'Reviewer 1', page });
+  }
+  await context.logProgress('Slowing down', 'warning');
+  await context.flushLogs();
+
+  assert.strictEqual(logWrites, 1);
+  const entries = chrome.storage.local.dump().analysisLogs.slice(-21);
+  assert.deepStrictEqual(plain(entries[0].fields), { profile: 'Reviewer 1', page: 1 });
+  assert.strictEqual(entries[0].level, 'debug');
+  assert.deepStrictEqual([entries[20].level, entries[20].type], ['warn', 'warning']);
+});
+
+test('each run logs into its own session and clearing empties the log', async () => {
+  const { context, chrome } = loadBackground();
+
+  const first = await context.startLogSession('Analysis of Portal 2');
+  await context.logProgress('first run');
+  const second = await context.startLogSession('Batch of 3 games');
+  await context.logProgress('second run');
+  await context.flushLogs();
+
+  const stored = chrome.storage.local.dump();
+  assert.deepStrictEqual(stored.logSessions.map(s => s.label), ['Analysis of Portal 2', 'Batch of 3 games']);
+  assert.strictEqual(stored.currentLogSession, second.id);
+  const sessionOf = text => stored.analysisLogs.find(entry => entry.text === text).session;
+  assert.deepStrictEqual([sessionOf('first run'), sessionOf('second run')], [first.id, second.id]);
+
+  await context.clearLogs();
+  const cleared = chrome.storage.local.dump();
+  assert.deepStrictEqual(cleared.analysisLogs, []);
+  assert.deepStrictEqual(cleared.logSessions.map(s => s.id), [second.id]);
+});
@@ -0,0 +1,485 @@
+// pipeline.test.js - Pagination and the full analyzeGame flow against saved fixtures
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, fixture, plain, FAST_RATE_LIMITS } = require('./helpers/harness');
+
+const USER_ID = '76561198000000001';
+const PROFILE = id => `https://steamcommunity.com/profiles/${id}/recommended/`;
+const APP_REVIEWS = /^https:\/\/store\.steampowered\.com\/appreviews\/620\?/;
+
+test('profile pagination follows full pages and stops on a short one', async () => {
+  const { context, requests } = loadBackground({
+    routes: [
+      [PROFILE('2'), fixture('full_page.html')],
+      [`${PROFILE('2')}?p=2`, fixture('short_page.html')]
+    ]
+  });
+
+  const reviews = await context.fetchAllReviewsFromProfile(PROFILE('2'), 'test');
+
+  assert.strictEqual(reviews.length, 13);
+  assert.deepStrictEqual(requests, [PROFILE('2'), `${PROFILE('2')}?p=2`]);
+});
+
+test('profile pagination honours the page limit', async () => {
+  const { context, requests } = loadBackground({
+    routes: [[url => url.startsWith(PROFILE('2')), fixture('full_page.html')]]
+  });
+
+  const reviews = await context.fetchAllReviewsFromProfile(PROFILE('2'), 'test', 3);
+
+  assert.strictEqual(requests.length, 3);
+  assert.strictEqual(reviews.length, 30);
+});
+
+test('private profiles stop after the first page', async () => {
+  const { context, requests } = loadBackground({
+    routes: [[PROFILE('3'), fixture('private_profile.html')]]
+  });
+
+  const reviews = await context.fetchAllReviewsFromProfile(PROFILE('3'), 'test');
+
+  assert.strictEqual(reviews.length, 0);
+  assert.strictEqual(requests.length, 1);
+});
+
+test('a stale cache entry with new reviews is re-walked without fetching page 1 twice', async () => {
+  const { context, requests, run } = loadBackground({
+    routes: [
+      [PROFILE('2'), fixture('full_page.html')],
+      [`${PROFILE('2')}?p=2`, fixture('short_page.html')]
+    ]
+  });
+  run('getCachedReviewer = async () => ({ fetchedAt: 0, reviews: [{ appId: "1", isPositive: true }] }); putCachedReviewer = async () => {}');
+
+  const { reviews, source } = await context.loadReviewerReviews('2', { enabled: true, maxAgeMs: 1000, incremental: true });
+
+  assert.strictEqual(source, 'rewalked');
+  assert.strictEqual(reviews.length, 13);
+  assert.deepStrictEqual(requests, [PROFILE('2'), `${PROFILE('2')}?p=2`]);
+});
+
+test('game reviewers are collected across cursor pages', async () => {
+  const { context, requests } = loadBackground({
+    routes: [
+      [url => APP_REVIEWS.test(url) && url.includes('cursor=*&'), fixture('appreviews_620_p1.json')],
+      [APP_REVIEWS, fixture('appreviews_620_p2.json')]
+    ]
+  });
+
+  // Page 1 only has 3 reviews, which the API treats as the last page
+  const { reviewers, querySummary } = await context.fetchGameReviewers('620', 100, null, { stratify: false });
+
+  assert.strictEqual(reviewers.length, 3);
+  assert.strictEqual(querySummary.total_reviews, 1000);
+  assert.strictEqual(requests.length, 1);
+  assert.deepStrictEqual(plain(reviewers.map(r => r.votedUp)), [true, false, true]);
+});
+
+// One appreviews page with the given [steamId suffix, voted_up, author num_reviews, posted (s)] entries
+function reviewsPage(entries, summary = { total_positive: 80, total_negative: 20, total_reviews: 100 }) {
+  return JSON.stringify({
+    success: 1,
+    query_summary: summary,
+    cursor: 'end',
+    reviews: entries.map(([id, votedUp, numReviews, posted = 1690000000]) => ({
+      author: { steamid: `765611980000${id}`, num_reviews: numReviews, playtime_at_review: 600 },
+      voted_up: votedUp,
+      timestamp_created: posted,
+      timestamp_updated: posted
+    }))
+  });
+}
+
+test('sampling splits the budget by the game\'s positive share and holds back one-review authors', async () => {
+  const { context, requests } = loadBackground({
+    routes: [
+      [url => url.includes('review_type=positive'), reviewsPage([
+        ['00001', true, 40], ['00002', true, 1], ['00003', true, 12], ['00004', true, 9], ['00005', true, 30]
+      ])],
+      [url => url.includes('review_type=negative'), reviewsPage([
+        ['00011', false, 2], ['00012', false, 25], ['00013', false, 7]
+      ])]
+    ]
+  });
+
+  const { reviewers } = plain(await context.fetchGameReviewers('620', 5));
+
+  // 80% positive -> 4 positive and 1 negative place; the 1- and 2-review authors are never needed
+  assert.deepStrictEqual(reviewers.map(r => r.steamId.slice(-2)), ['01', '03', '04', '05', '12']);
+  assert.ok(requests[0].includes('filter=all') && requests[0].includes('review_type=positive'));
+  assert.ok(requests[1].includes('review_type=negative'));
+  assert.strictEqual(requests.length, 2);
+});
+
+test('sampling falls back to held-back authors and extra filters when candidates run out', async () => {
+  const { context, requests } = loadBackground({
+    routes: [
+      [url => url.includes('filter=recent'), reviewsPage([['00021', true, 50], ['00022', false, 50]])],
+      [url => url.includes('filter=all'), reviewsPage([['00001', true, 40], ['00002', true, 1], ['00011', false, 3]])]
+    ]
+  });
+
+  const { reviewers } = plain(await context.fetchGameReviewers('620', 10, null, { stratify: false, includeRecent: true, minAuthorReviews: 5 }));
+
+  assert.deepStrictEqual(reviewers.map(r => r.steamId.slice(-2)), ['01', '21', '22', '02', '11']);
+  assert.deepStrictEqual(requests.map(url => url.match(/filter=(\w+)/)[1]), ['all', 'recent']);
+});
+
+test('an author returned twice, on one page or by another stream, is sampled once', async () => {
+  const { context } = loadBackground({
+    routes: [
+      [url => url.includes('filter=recent'), reviewsPage([['00001', true, 40], ['00021', false, 50]])],
+      [url => url.includes('filter=all'), reviewsPage([['00001', true, 40], ['00011', false, 30], ['00001', true, 40]])]
+    ]
+  });
+
+  const { reviewers } = plain(await context.fetchGameReviewers('620', 10, null, { stratify: false, includeRecent: true }));
+
+  assert.deepStrictEqual(reviewers.map(r => r.steamId.slice(-2)), ['01', '11', '21']);
+});
+
+test('reviewer filters go into the query and reviews before the time window are dropped', async () => {
+  const { context, requests } = loadBackground({
+    routes: [[APP_REVIEWS, reviewsPage([['00001', true, 40], ['00002', true, 40, 1680000000], ['00003', false, 40]])]]
+  });
+  const filters = { languages: 'english,german', purchaseType: 'steam', windowDays: 0, sinceDate: '2023-07-01' };
+
+  const { reviewers } = plain(await context.fetchGameReviewers('620', 10, null, { stratify: false }, filters));
+
+  assert.deepStrictEqual(reviewers.map(r => r.steamId.slice(-2)), ['01', '03']);
+  assert.ok(requests[0].includes('language=english,german&'));
+  assert.ok(requests[0].includes('purchase_type=steam&'));
+});
+
+test('a repeating cursor ends pagination instead of looping', async () => {
+  const { context, requests } = loadBackground({
+    routes: [[APP_REVIEWS, fixture('appreviews_cursor_loop.json')]]
+  });
+
+  const { reviewers } = await context.fetchGameReviewers('620', 1000);
+
+  assert.strictEqual(requests.length, 2);
+  assert.strictEqual(reviewers.length, 100);
+});
+
+test('an API failure stops collection without throwing', async () => {
+  const { context } = loadBackground({
+    routes: [[APP_REVIEWS, fixture('appreviews_failure.json')]]
+  });
+
+  assert.deepStrictEqual(plain(await context.fetchGameReviewers('620', 100)), { reviewers: [], querySummary: null });
+});
+
+test('HTTP 429 is retried after backing off', async () => {
+  let calls = 0;
+  const { context } = loadBackground({
+    routes: [[PROFILE('2'), () => (++calls === 1
+      ? { status: 429, headers: { 'Retry-After': '0' } }
+      : { status: 200, body: fixture('short_page.html') })]]
+  });
+
+  const reviews = await context.fetchAllReviewsFromProfile(PROFILE('2'), 'test');
+
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(reviews.length, 3);
+});
+
+function analysisRoutes(appReviewsFixture) {
+  return [
+    [PROFILE(USER_ID), fixture('user_recommended_p1.html')],
+    [`${PROFILE(USER_ID)}?p=2`, fixture('user_recommended_p2.html')],
+    [APP_REVIEWS, appReviewsFixture],
+    [PROFILE('76561198000000101'), fixture('reviewer_a.html')],
+    [PROFILE('76561198000000102'), fixture('reviewer_b.html')],
+    [PROFILE('76561198000000103'), fixture('private_profile.html')],
+    [PROFILE('76561198000000104'), fixture('reviewer_d.html')],
+    [PROFILE('76561198000000105'), fixture('reviewer_e.html')]
+  ];
+}
+
+const PARAMS = {
+  appId: '620',
+  steamId: USER_ID,
+  minOverlap: 3,
+  minSimilarity: 75,
+  maxProfiles: 100,
+  cacheHours: 0,
+  concurrency: 2,
+  rateLimits: FAST_RATE_LIMITS
+};
+
+test('analyzeGame runs end to end offline', async () => {
+  const { context } = loadBackground({ routes: analysisRoutes(fixture('appreviews_620_p1.json')) });
+
+  const result = await context.analyzeGame(PARAMS);
+
+  assert.strictEqual(result.success, true);
+  // A agrees 4/4 and likes the game, B disagrees 4/4; the third reviewer is private
+  assert.strictEqual(result.data.totalReviewers, 2);
+  assert.strictEqual(result.data.matchingReviewers, 1);
+  assert.strictEqual(result.data.score, 100);
+  assert.deepStrictEqual(plain(result.data.matchedReviewerIds), ['76561198000000101']);
+  assert.deepStrictEqual(plain(result.data.globalScore), {
+    score: 95,
+    totalPositive: 950,
+    totalNegative: 50,
+    totalReviews: 1000,
+    description: 'Very Positive'
+  });
+  // Two of the three sampled reviewers liked it; the taste filter keeps only the one who agrees with the user
+  assert.deepStrictEqual(plain(result.data.sampleScore), { score: 67, positive: 2, total: 3 });
+  assert.deepStrictEqual(plain(result.data.scoreDeltas), { vsGlobal: 5, vsSample: 33 });
+});
+
+test('a connected popup receives typed progress events during a run', async () => {
+  const { context, chrome } = loadBackground({ routes: analysisRoutes(fixture('appreviews_620_p1.json')) });
+  const port = chrome._connect('progress');
+
+  await context.analyzeGame(PARAMS);
+
+  const phases = [...new Set(port.messages.map(event => event.phase))];
+  assert.deepStrictEqual(phases, ['userReviews', 'gameReviewers', 'reviewerData', 'scoring']);
+
+  const profiles = port.messages.filter(event => event.phase === 'reviewerData');
+  const last = profiles[profiles.length - 1];
+  assert.deepStrictEqual([last.processed, last.total, last.etaMs], [3, 3, 0]);
+  // The final profile always re-scores, so the live score ends on the real result
+  assert.deepStrictEqual([last.matches, last.provisionalScore], [1, 100]);
+});
+
+test('analyzeGame is deterministic across runs', async () => {
+  const scores = [];
+  for (let i = 0; i < 2; i++) {
+    const { context } = loadBackground({ routes: analysisRoutes(fixture('appreviews_620_p2.json')) });
+    const result = await context.analyzeGame({ ...PARAMS, scoringMode: 'weighted' });
+    scores.push([result.data.thresholdScore, result.data.weightedScore, result.data.weightedReviewers]);
+  }
+
+  // D agrees 5/6 and likes the game, E has a single agreeing overlap and dislikes it
+  assert.deepStrictEqual(scores[0], [100, scores[0][1], 2]);
+  assert.ok(scores[0][1] > 50 && scores[0][1] < 100);
+  assert.deepStrictEqual(scores[0], scores[1]);
+});
+
+test('tag-aware similarity fetches store tags once and reports the tags behind the match', async () => {
+  const tagPage = tags => `<script>InitAppTagModal( 1, ${JSON.stringify(tags.map((name, i) => ({ tagid: i, name, count: 100 - i })))}, [], "", false );</script></html>`;
+  const routes = [
+    [/\/app\/620\/\?l=english$/, tagPage(['Puzzle', 'Co-op'])],
+    [/\/app\/10[0-3]\/\?l=english$/, tagPage(['Puzzle'])],
+    ...analysisRoutes(fixture('appreviews_620_p1.json'))
+  ];
+  const params = { ...PARAMS, tagSimilarity: { enabled: true, unrelatedWeight: 25 } };
+
+  const first = loadBackground({ routes });
+  const result = await first.context.analyzeGame(params);
+
+  assert.deepStrictEqual(plain(result.data.matchedReviewerIds), ['76561198000000101']);
+  assert.deepStrictEqual(plain(result.data.tagSimilarity.targetTags), ['Puzzle', 'Co-op']);
+  assert.deepStrictEqual(plain(result.data.tagSimilarity.drivers.map(d => [d.tag, d.games])), [['Puzzle', 4]]);
+  const { tagCache } = first.chrome.storage.local.dump();
+  assert.deepStrictEqual(tagCache['100'].tags, ['Puzzle']);
+
+  // A later run reads the tags from the cache
+  const second = loadBackground({ routes });
+  await second.chrome.storage.local.set({ tagCache });
+  await second.context.analyzeGame(params);
+  assert.ok(!second.requests.some(url => url.includes('/app/100/')));
+});
+
+test('analyzeGame reports a private user profile as an error', async () => {
+  const { context } = loadBackground({
+    routes: [[PROFILE(USER_ID), fixture('private_profile.html')]]
+  });
+
+  const result = await context.analyzeGame(PARAMS);
+
+  assert.match(result.error, /Could not fetch your reviews/);
+});
+
+test('a private profile is analyzed from My Ratings alone', async () => {
+  const routes = analysisRoutes(fixture('appreviews_620_p1.json'));
+  routes[0] = [PROFILE(USER_ID), fixture('private_profile.html')];
+  const { context, chrome } = loadBackground({ routes });
+  // The same votes the user's public reviews would have given
+  const { reviews } = context.parseReviewPage(fixture('user_recommended_p1.html'));
+  await chrome.storage.local.set({
+    myRatings: reviews.map(({ appId, isPositive }) => ({ appId, isPositive, source: 'import', ratedAt: 1 }))
+  });
+
+  const result = await context.analyzeGame(PARAMS);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(plain(result.data.tasteSources), { steam: 0, manual: 0, import: reviews.length, playtime: 0 });
+  assert.deepStrictEqual(plain(result.data.matchedReviewerIds), ['76561198000000101']);
+});
+
+test('history keeps a per-game summary of the latest result for the store page', async () => {
+  const { context, chrome } = loadBackground({ routes: analysisRoutes(fixture('appreviews_620_p1.json')) });
+
+  await context.startBackgroundAnalysis(PARAMS);
+  const [entry] = chrome.storage.local.dump().analysisHistory;
+  assert.deepStrictEqual(chrome.storage.local.dump().appScoreSummary, {
+    620: { score: 100, scoringMode: 'threshold', matchingReviewers: 1, weightedReviewers: entry.result.weightedReviewers, analyzedAt: entry.timestamp }
+  });
+
+  await context.deleteHistoryEntry(entry.id);
+  assert.deepStrictEqual(chrome.storage.local.dump().appScoreSummary, {});
+});
+
+test('history entries keep only the result fields history, the panel and export read', async () => {
+  const { context, chrome } = loadBackground({ routes: analysisRoutes(fixture('appreviews_620_p1.json')) });
+
+  await context.startBackgroundAnalysis({ ...PARAMS, discoverMode: true });
+  const { analysisResult, analysisHistory: [entry] } = chrome.storage.local.dump();
+  assert.ok(analysisResult.neighbours && analysisResult.discoveries);
+  assert.strictEqual(entry.result.neighbours, undefined);
+  assert.strictEqual(entry.result.discoveries, undefined);
+  assert.strictEqual(entry.result.matchedReviewerIds, undefined);
+  assert.deepStrictEqual(entry.result.confidenceInterval, analysisResult.confidenceInterval);
+  assert.strictEqual(entry.result.avgOverlap, analysisResult.avgOverlap);
+
+  // Histories saved by an older version are trimmed once, when the summary is first built
+  await chrome.storage.local.remove('appScoreSummary');
+  await chrome.storage.local.set({ analysisHistory: [{ ...entry, result: analysisResult }] });
+  await context.migrateStoredHistory();
+  assert.deepStrictEqual(chrome.storage.local.dump().analysisHistory, [entry]);
+});
+
+test('runs started from the store page use the settings the popup saved', async () => {
+  const { context, chrome } = loadBackground();
+
+  const missing = await context.buildStoredAnalysisParams('620', 'Portal 2');
+  assert.match(missing.error, /Set your Steam ID/);
+
+  await chrome.storage.local.set({ steamId: USER_ID, minOverlap: 6, scoringMode: 'weighted', communityPerMinute: 90, cacheHours: 0, reviewWeighting: { freeKey: true } });
+  const params = plain(await context.buildStoredAnalysisParams('620', 'Portal 2'));
+
+  assert.deepStrictEqual(params, {
+    appId: '620',
+    gameName: 'Portal 2',
+    steamId: USER_ID,
+    minOverlap: 6,
+    minSimilarity: 75,
+    maxProfiles: 100,
+    scoringMode: 'weighted',
+    rateLimits: { communityPerMinute: 90, storePerMinute: 60 },
+    concurrency: 3,
+    maxPages: 50,
+    cacheHours: 0,
+    incrementalRefresh: true,
+    discoverMode: false,
+    reviewWeighting: { lowPlaytime: false, minHours: 2, freeKey: true, earlyAccess: false, oldReviews: false, maxAgeYears: 5, updated: false },
+    sampling: { minAuthorReviews: 5, stratify: true, includeRecent: false, includeUpdated: false },
+    reviewerFilters: { languages: 'all', purchaseType: 'all', windowDays: 0, sinceDate: '' },
+    tasteSources: { myRatings: true, inferFromPlaytime: false, likeHours: 20, dislikeHours: 1 },
+    tagSimilarity: { enabled: false, unrelatedWeight: 25 }
+  });
+});
+
+test('two quick clicks on the store page start one analysis', async () => {
+  const { chrome, run } = loadBackground();
+  await chrome.storage.local.set({ steamId: USER_ID });
+  run('startedRuns = 0; runAnalysis = () => { startedRuns++; return new Promise(resolve => { finishRun = resolve; }); }');
+  const send = message => new Promise(resolve => chrome._messageListeners.forEach(listener => listener(message, {}, resolve)));
+
+  const responses = await Promise.all([1, 2].map(() => send({ action: 'startAnalysisForApp', appId: '620', gameName: 'Portal 2' })));
+
+  assert.deepStrictEqual(responses.map(r => r.started), [true, false]);
+  assert.strictEqual(run('startedRuns'), 1);
+  run('finishRun()');
+});
+
+test('a batch fetches the user once and reuses reviewer histories across games', async () => {
+  const { context, chrome, requests } = loadBackground({
+    routes: [
+      [/\/appreviews\/(620|400)\?/, fixture('appreviews_620_p1.json')],
+      [/\/api\/appdetails\?appids=400&/, JSON.stringify({ 400: { success: true, data: { name: 'Portal' } } })],
+      ...analysisRoutes(fixture('appreviews_620_p1.json'))
+    ]
+  });
+
+  const { steamId, ...settings } = PARAMS;
+  await context.startBatchAnalysis([{ appId: '620', gameName: 'Portal 2' }, { appId: '400' }], { ...settings, steamId });
+
+  const { batchQueue, batchRunning, analysisRunning } = chrome.storage.local.dump();
+  assert.strictEqual(batchRunning, false);
+  assert.strictEqual(analysisRunning, false);
+  assert.deepStrictEqual(batchQueue.items.map(item => [item.appId, item.gameName, item.status]), [
+    ['620', 'Portal 2', 'done'],
+    ['400', 'Portal', 'done']
+  ]);
+  assert.strictEqual(batchQueue.items[0].score, 100);
+  assert.strictEqual(batchQueue.items[0].globalScore, 95);
+
+  const fetchedProfiles = requests.filter(url => url.includes('/recommended/'));
+  const count = id => fetchedProfiles.filter(url => url.startsWith(PROFILE(id))).length;
+  assert.strictEqual(count(USER_ID), 2); // both pages, once for the whole batch
+  assert.strictEqual(count('76561198000000101'), 1);
+  assert.strictEqual(count('76561198000000102'), 1);
+  assert.strictEqual(chrome._notifications.length, 1);
+});
+
+test('the reviewer checkpoint holds ids only and a resume reads kept histories from the cache', async () => {
+  const { context, chrome, requests, run } = loadBackground({ routes: analysisRoutes(fixture('appreviews_620_p1.json')) });
+  context.configureRateLimits(FAST_RATE_LIMITS);
+  const reviewers = ['101', '102', '103'].map(id => ({ steamId: `76561198000000${id}` }));
+
+  await context.fetchAllReviewerData(reviewers, 100);
+  const progress = plain(chrome.storage.local.dump().analysisCheckpoint.reviewerProgress);
+  assert.strictEqual(progress.reviewerData, undefined);
+  assert.deepStrictEqual(progress.keptIds, ['76561198000000101', '76561198000000102']);
+  assert.strictEqual(progress.completedIds.length, 3);
+
+  // Only 101 is still cached: 102 is fetched again, the private 103 stays done
+  run('getCachedReviewer = async id => id === "76561198000000101" ? { reviews: [{ appId: "1", isPositive: true }] } : null');
+  requests.length = 0;
+  const data = await context.fetchAllReviewerData(reviewers, 100, { enabled: true, maxAgeMs: 0 }, progress);
+  assert.deepStrictEqual(plain(data.map(reviewer => reviewer.steamId)), ['76561198000000101', '76561198000000102']);
+  assert.deepStrictEqual(plain(data[0].reviews), [{ appId: '1', isPositive: true }]);
+  assert.deepStrictEqual(requests, [PROFILE('76561198000000102')]);
+});
+
+test('an unexpected error ends a run or batch as an error instead of leaving it running', async () => {
+  const { context, chrome, run } = loadBackground();
+  run('analyzeGame = async () => { throw new Error("IndexedDB went away"); }');
+
+  await context.startBackgroundAnalysis(PARAMS);
+  let stored = chrome.storage.local.dump();
+  assert.strictEqual(stored.analysisRunning, false);
+  assert.match(stored.analysisError, /IndexedDB went away/);
+  assert.strictEqual(run('analysisInProgress'), false);
+
+  run('collectUserTaste = async () => ({ reviews: [{ appId: "100", isPositive: true }], counts: null })');
+  await context.startBatchAnalysis([{ appId: '620', gameName: 'Portal 2' }], { ...PARAMS });
+  stored = chrome.storage.local.dump();
+  assert.deepStrictEqual([stored.analysisRunning, stored.batchRunning], [false, false]);
+  assert.deepStrictEqual(stored.batchQueue.items.map(item => item.status), ['error']);
+  assert.strictEqual(run('analysisInProgress'), false);
+});
+
+test('wishlist import resolves the account and orders by priority', async () => {
+  const { context } = loadBackground({
+    routes: [
+      [/IWishlistService\/GetWishlist\/v1\/\?steamid=76561198000000001$/, JSON.stringify({
+        response: { items: [{ appid: 400, priority: 2 }, { appid: 620, priority: 1 }] }
+      })],
+      [/IWishlistService/, JSON.stringify({ response: {} })]
+    ]
+  });
+
+  assert.deepStrictEqual(plain(await context.fetchWishlistAppIds('[U:1:39734273]')), { appIds: ['620', '400'] });
+  assert.match((await context.fetchWishlistAppIds('76561198000000002')).error, /empty or private/);
+});
+
+test('pinned reviewers are analyzed even when they are not in the sample', async () => {
+  const { context, chrome, requests } = loadBackground({ routes: analysisRoutes(fixture('appreviews_620_p1.json')) });
+  await chrome.storage.local.set({ pinnedReviewers: ['76561198000000104'] });
+
+  const result = await context.analyzeGame(PARAMS);
+
+  assert.ok(requests.includes(PROFILE('76561198000000104')));
+  const pinned = result.data.neighbours.find(n => n.steamId === '76561198000000104');
+  assert.strictEqual(pinned.pinned, true);
+});
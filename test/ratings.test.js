@@ -0,0 +1,77 @@
+// ratings.test.js - Importing "my ratings", inferring ratings from playtime and merging taste sources
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRatingsFile, upsertRatings, parseGamesListXml, inferPlaytimeRatings, mergeTasteSources, describeTasteSources } = require('../ratings.js');
+
+test('CSV ratings are read by header or by position', () => {
+  const withHeader = parseRatingsFile('name,AppID,Rating\n"Portal 2, Deluxe",620,yes\nDota 2,570,👎\nBroken,abc,1\n');
+  assert.deepStrictEqual(withHeader, {
+    ratings: [{ appId: '620', isPositive: true }, { appId: '570', isPositive: false }],
+    skipped: 1
+  });
+
+  const positional = parseRatingsFile('\uFEFF620,1\r\nhttps://store.steampowered.com/app/400/Portal/;down\r\n620,0');
+  assert.deepStrictEqual(positional.ratings, [{ appId: '620', isPositive: false }, { appId: '400', isPositive: false }]);
+});
+
+test('JSON ratings are read from an array or an app-to-rating map', () => {
+  assert.deepStrictEqual(parseRatingsFile('[{"appId": 620, "recommended": true}, {"appId": 570}]'), {
+    ratings: [{ appId: '620', isPositive: true }],
+    skipped: 1
+  });
+  assert.deepStrictEqual(parseRatingsFile('{"570": "no", "620": "up"}').ratings, [
+    { appId: '570', isPositive: false },
+    { appId: '620', isPositive: true }
+  ]);
+});
+
+test('unreadable rating files are rejected with the reason', () => {
+  assert.match(parseRatingsFile('  ').error, /empty/);
+  assert.match(parseRatingsFile('[{"appId": 620').error, /not valid JSON/);
+  assert.match(parseRatingsFile('game,score\nPortal,9/10').error, /No ratings found/);
+});
+
+test('upserting keeps one rating per game and counts what changed', () => {
+  const existing = [{ appId: '620', isPositive: true, source: 'manual', ratedAt: 1 }];
+  const incoming = [{ appId: '620', isPositive: true }, { appId: '570', isPositive: false }];
+
+  const first = upsertRatings(existing, incoming, 'import', 5);
+  assert.deepStrictEqual([first.added, first.updated, first.unchanged], [1, 0, 1]);
+  assert.deepStrictEqual(first.ratings[1], { appId: '570', isPositive: false, source: 'import', ratedAt: 5 });
+
+  const flipped = upsertRatings(first.ratings, [{ appId: '620', isPositive: false }], 'manual', 9);
+  assert.deepStrictEqual(flipped.ratings[0], { appId: '620', isPositive: false, source: 'manual', ratedAt: 9 });
+  assert.strictEqual(flipped.updated, 1);
+});
+
+test('playtime only counts when it is clearly long or clearly short', () => {
+  const games = parseGamesListXml(`
+    <gamesList><games>
+      <game><appID>620</appID><hoursOnRecord>1,204.5</hoursOnRecord></game>
+      <game><appID>570</appID><hoursOnRecord>0.4</hoursOnRecord></game>
+      <game><appID>400</appID><hoursOnRecord>6</hoursOnRecord></game>
+      <game><appID>440</appID></game>
+    </games></gamesList>`);
+  assert.deepStrictEqual(games.map(g => [g.appId, g.hours]), [['620', 1204.5], ['570', 0.4], ['400', 6], ['440', 0]]);
+
+  const inferred = inferPlaytimeRatings(games, { likeHours: 20, dislikeHours: 1 });
+  assert.deepStrictEqual(inferred.map(r => [r.appId, r.isPositive, r.sourceWeight]), [['620', true, 0.5], ['570', false, 0.5]]);
+});
+
+test('Steam reviews win over my ratings, which win over playtime', () => {
+  const steam = [{ appId: '620', isPositive: true, hoursOnRecord: 30 }];
+  const mine = [
+    { appId: '620', isPositive: false, source: 'manual', ratedAt: 1 },
+    { appId: '570', isPositive: true, source: 'import', ratedAt: 1 }
+  ];
+  const inferred = inferPlaytimeRatings([{ appId: '570', hours: 0.5 }, { appId: '400', hours: 50 }], { likeHours: 20, dislikeHours: 1 });
+
+  const { reviews, counts, overridden } = mergeTasteSources(steam, mine, inferred);
+
+  assert.deepStrictEqual(reviews.map(r => [r.appId, r.isPositive, r.source]), [['620', true, 'steam'], ['570', true, 'import'], ['400', true, 'playtime']]);
+  assert.strictEqual(reviews[0].hoursOnRecord, 30);
+  assert.deepStrictEqual(counts, { steam: 1, manual: 0, import: 1, playtime: 1 });
+  assert.strictEqual(overridden, 2);
+  assert.strictEqual(describeTasteSources(counts), '1 Steam review · 1 imported · 1 inferred from playtime');
+});
@@ -0,0 +1,102 @@
+// reviewparser.test.js - Structured parsing of saved /recommended/ pages
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { fixture } = require('./helpers/harness');
+const { parseReviewPage, parseHtmlDocument, queryAll, textContent, parseSteamDate } = require('../reviewparser.js');
+
+test('parses every field of a well-formed review block', () => {
+  const { reviews, health } = parseReviewPage(fixture('reviewer_a.html'));
+
+  assert.strictEqual(reviews.length, 5);
+  assert.deepStrictEqual(reviews[0], {
+    appId: '620',
+    isPositive: true,
+    hoursOnRecord: 40.1,
+    postedAt: Date.parse('1 January, 2024'),
+    updatedAt: null,
+    helpfulCount: 10,
+    funnyCount: 0,
+    textLength: 'Brilliant co-op & puzzles.'.length,
+    receivedForFree: false,
+    earlyAccess: false
+  });
+  assert.strictEqual(reviews[1].receivedForFree, true);
+  assert.strictEqual(reviews[1].earlyAccess, true);
+  assert.strictEqual(health.strategy, 'review_box');
+  assert.strictEqual(health.healthy, true);
+});
+
+test('does not pick up markup inside script tags', () => {
+  const { reviews } = parseReviewPage(fixture('short_page.html'));
+  assert.deepStrictEqual(reviews.map(r => r.appId), ['300', '301', '302']);
+});
+
+test('reads "no one found this helpful" as zero', () => {
+  const { reviews } = parseReviewPage(fixture('reviewer_b.html'));
+  assert.strictEqual(reviews[0].helpfulCount, 0);
+  assert.strictEqual(reviews[0].isPositive, false);
+});
+
+test('private profile yields no reviews and a healthy empty report', () => {
+  const { reviews, health } = parseReviewPage(fixture('private_profile.html'));
+
+  assert.strictEqual(reviews.length, 0);
+  assert.strictEqual(health.strategy, 'none');
+  assert.strictEqual(health.healthy, true);
+});
+
+// The first review's game link is left unclosed so that it swallows the rest of the page,
+// the second has no game link at all and the third is only identified by its /recommended/ link
+test('malformed markup falls back to vote images and reports poor health', () => {
+  const { reviews, health } = parseReviewPage(fixture('malformed_recommended.html'));
+
+  assert.deepStrictEqual(reviews.map(r => [r.appId, r.isPositive]), [['440', true], ['570', false]]);
+  assert.strictEqual(health.strategy, 'thumb_fallback');
+  assert.strictEqual(health.skipped.noAppId, 1);
+  assert.strictEqual(health.healthy, false);
+  assert.ok(health.warnings.length > 0);
+});
+
+// A vote image takes the game from the link wrapping it, else the nearest game link before it, but
+// never one that belongs to the previous review; neighbouring reviews stay separate blocks
+test('the vote image fallback never borrows a neighbouring review\'s game', () => {
+  const { reviews, health } = parseReviewPage(`<div id="leftContents">
+    <div><a href="https://steamcommunity.com/app/10/">Game 10</a><div><img src="icon_thumbsUp.png"></div></div>
+    <div><div><img src="icon_thumbsDown.png"></div></div>
+    <div><a href="https://steamcommunity.com/profiles/1/recommended/30/"><img src="icon_thumbsDown.png"></a><a href="https://store.steampowered.com/app/99/">More like this</a></div>
+  </div>`);
+
+  assert.deepStrictEqual(reviews.map(r => [r.appId, r.isPositive]), [['10', true], ['30', false]]);
+  assert.strictEqual(health.strategy, 'thumb_fallback');
+  assert.strictEqual(health.skipped.noAppId, 1);
+  assert.strictEqual(health.skipped.duplicate, 0);
+});
+
+test('tree builder tolerates stray and unclosed tags', () => {
+  const doc = parseHtmlDocument('<div class="a"><p>one</span><p>two</div></div><b>three');
+
+  assert.strictEqual(queryAll(doc, 'div.a p').length, 2);
+  assert.strictEqual(textContent(doc), 'onetwothree');
+});
+
+test('numeric entities outside the Unicode range are left as written', () => {
+  const doc = parseHtmlDocument('<p>&#65;&#x1F600;&#99999999;&#xD800;&#x110000;</p>');
+  assert.strictEqual(textContent(doc), 'A\u{1F600}&#99999999;&#xD800;&#x110000;');
+});
+
+test('dates without a year are placed in the current year', () => {
+  const year = new Date().getFullYear();
+  assert.strictEqual(new Date(parseSteamDate('14 March')).getFullYear(), year);
+  assert.strictEqual(parseSteamDate('not a date'), null);
+});
+
+// Date.parse reads a bare word plus the appended year as 1 January of that year
+test('date text without a day number or a month name is not a date', () => {
+  assert.strictEqual(parseSteamDate('Posted'), null);
+  assert.strictEqual(parseSteamDate('Posted 12.'), null);
+  assert.strictEqual(parseSteamDate('Posted 2019'), null);
+  assert.strictEqual(parseSteamDate('Posted 12 Marching'), null);
+  assert.strictEqual(new Date(parseSteamDate('Posted 3 Sept, 2019')).getMonth(), 8);
+  assert.strictEqual(new Date(parseSteamDate('Posted 12 March.')).getDate(), 12);
+});
@@ -0,0 +1,175 @@
+// scoring.test.js - calculateScore in threshold and weighted modes
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, plain } = require('./helpers/harness');
+
+const { context } = loadBackground();
+
+const userReviews = [
+  { appId: '1', isPositive: true },
+  { appId: '2', isPositive: true },
+  { appId: '3', isPositive: false },
+  { appId: '4', isPositive: true }
+];
+
+function reviewer(steamId, votes) {
+  return { steamId, reviews: Object.entries(votes).map(([appId, isPositive]) => ({ appId, isPositive })) };
+}
+
+const reviewerData = [
+  reviewer('agrees', { 1: true, 2: true, 3: false, 4: true, target: true }),
+  reviewer('mostly', { 1: true, 2: true, 3: false, 4: false, target: true }),
+  reviewer('disagrees', { 1: false, 2: false, 3: true, 4: false, target: false }),
+  reviewer('no-overlap', { 9: true, target: false })
+];
+
+test('threshold mode counts reviewers passing both minimums as equal votes', () => {
+  const result = context.calculateScore(userReviews, reviewerData, 'target', 3, 75, 'threshold');
+
+  assert.strictEqual(result.score, 100);
+  assert.strictEqual(result.matchingReviewers, 2);
+  assert.strictEqual(result.positiveCount, 2);
+  assert.deepStrictEqual(plain(result.matchedReviewerIds), ['agrees', 'mostly']);
+  assert.strictEqual(result.avgOverlap, 4);
+});
+
+test('weighted mode lets every overlapping reviewer vote by agreement confidence', () => {
+  const result = context.calculateScore(userReviews, reviewerData, 'target', 3, 75, 'weighted');
+
+  assert.strictEqual(result.weightedReviewers, 3);
+  assert.strictEqual(result.score, result.weightedScore);
+  // A reviewer with 0% agreement has zero weight, so only the two agreeing reviewers count
+  assert.strictEqual(result.weightedScore, 100);
+  assert.ok(result.effectiveSampleSize > 1 && result.effectiveSampleSize <= 2);
+});
+
+test('no matches produces a zero score flagged as too small', () => {
+  const result = context.calculateScore(userReviews, reviewerData, 'target', 10, 100, 'threshold');
+
+  assert.strictEqual(result.score, 0);
+  assert.strictEqual(result.matchingReviewers, 0);
+  assert.strictEqual(result.sampleTooSmall, true);
+  assert.strictEqual(result.reliability, 'low');
+});
+
+test('wilson interval is tight for large samples and wide for small ones', () => {
+  const small = context.wilsonInterval(2, 2);
+  const large = context.wilsonInterval(900, 1000);
+
+  assert.ok(small.high - small.low > 0.5);
+  assert.ok(large.high - large.low < 0.05);
+  assert.ok(large.low < 0.9 && large.high > 0.9);
+});
+
+test('discover ranks unreviewed games from matched reviewers by weighted share', () => {
+  const data = [
+    reviewer('agrees', { 1: true, 2: true, 3: false, 4: true, target: true, 50: true, 51: true, 52: false }),
+    reviewer('mostly', { 1: true, 2: true, 3: false, 4: false, target: true, 50: true, 51: false, 53: true }),
+    reviewer('disagrees', { 1: false, 2: false, 3: true, 4: false, 50: false, 51: false }),
+    reviewer('no-overlap', { 9: true, 50: false })
+  ];
+
+  const { games, reviewersUsed, candidateCount } = plain(context.discoverGames(userReviews, data, {
+    targetAppId: 'target', minOverlap: 3, minSimilarity: 75, scoringMode: 'threshold', minSupport: 2
+  }));
+
+  // Games the user reviewed and the analyzed game itself are never recommended
+  assert.strictEqual(reviewersUsed, 2);
+  assert.strictEqual(candidateCount, 4);
+  assert.deepStrictEqual(games.map(g => [g.appId, g.support, g.positiveCount]), [['50', 2, 2], ['51', 2, 1]]);
+  assert.strictEqual(games[0].positiveShare, 100);
+  // The reviewer who agrees on 4/4 outweighs the one who agrees on 3/4
+  assert.ok(games[1].positiveShare > 50 && games[1].positiveShare < 100);
+  assert.ok(games[0].lowerBound > games[1].lowerBound);
+});
+
+test('matched reviewers are returned with their agreement breakdown', () => {
+  const { neighbours } = plain(context.calculateScore(userReviews, reviewerData, 'target', 3, 75, 'threshold'));
+
+  assert.deepStrictEqual(neighbours.map(n => [n.steamId, n.overlapCount, n.agreementCount, n.similarity, n.targetVote]), [
+    ['agrees', 4, 4, 100, true],
+    ['mostly', 4, 3, 75, true]
+  ]);
+  assert.deepStrictEqual(neighbours[1].disagreed, [{ appId: '4', userPositive: true }]);
+  assert.deepStrictEqual(neighbours[1].agreed.map(g => g.appId), ['1', '2', '3']);
+});
+
+test('pinned reviewers count as matches regardless of the thresholds', () => {
+  const data = [...reviewerData, reviewer('trusted-no-vote', { 1: true })];
+  const result = plain(context.calculateScore(userReviews, data, 'target', 3, 75, 'threshold', ['disagrees', 'trusted-no-vote']));
+
+  // The pinned reviewer who disliked the game now counts; the one without a vote is only listed
+  assert.strictEqual(result.matchingReviewers, 3);
+  assert.strictEqual(result.positiveCount, 2);
+  assert.deepStrictEqual(result.neighbours.map(n => [n.steamId, n.pinned, n.targetVote]), [
+    ['trusted-no-vote', true, null],
+    ['disagrees', true, false],
+    ['agrees', false, true],
+    ['mostly', false, true]
+  ]);
+});
+
+test('review weighting down-weights free-key and low-playtime votes', () => {
+  const data = [
+    reviewer('agrees', { 1: true, 2: true, 3: false, 4: true }),
+    reviewer('also-agrees', { 1: true, 2: true, 3: false, 4: true })
+  ];
+  data[0].reviews.push({ appId: 'target', isPositive: true });
+  data[1].reviews.push({ appId: 'target', isPositive: false, hoursOnRecord: 0.5 });
+  data[1].targetReview = { receivedForFree: true };
+
+  const unweighted = plain(context.calculateScore(userReviews, data, 'target', 3, 75, 'threshold'));
+  assert.strictEqual(unweighted.score, 50);
+  assert.strictEqual(unweighted.reviewWeighting, null);
+
+  const weighting = { lowPlaytime: true, minHours: 2, freeKey: true };
+  const result = plain(context.calculateScore(userReviews, data, 'target', 3, 75, 'threshold', [], weighting));
+
+  // The negative vote trips two filters, so it counts a quarter as much as the positive one
+  assert.strictEqual(result.score, 80);
+  assert.strictEqual(result.matchingReviewers, 2);
+  assert.deepStrictEqual(result.neighbours[1].downweightReasons, ['lowPlaytime', 'freeKey']);
+  assert.deepStrictEqual(result.reviewWeighting.targetVotes, { total: 2, downweighted: 1, reasons: { lowPlaytime: 1, freeKey: 1 } });
+});
+
+test('old and updated reviews count for less in the overlap agreement', () => {
+  const longAgo = Date.now() - 10 * 365 * 24 * 60 * 60 * 1000;
+  const data = [reviewer('mixed', { 1: true, 2: true, 3: false, 4: false, target: true })];
+  // The one disagreement is a decade old
+  data[0].reviews[3].postedAt = longAgo;
+
+  const plainScore = plain(context.calculateScore(userReviews, data, 'target', 3, 80, 'threshold'));
+  assert.strictEqual(plainScore.matchingReviewers, 0);
+
+  const result = plain(context.calculateScore(userReviews, data, 'target', 3, 80, 'threshold', [], { oldReviews: true, maxAgeYears: 5 }));
+  assert.strictEqual(result.matchingReviewers, 1);
+  // 3 agreements against half a disagreement
+  assert.strictEqual(result.neighbours[0].similarity, 86);
+  assert.strictEqual(result.neighbours[0].overlapCount, 4);
+  assert.deepStrictEqual(result.reviewWeighting.overlapPairs, { total: 4, downweighted: 1 });
+});
+
+test('tag-aware similarity weights agreement by tags shared with the target', () => {
+  const tagProfile = context.buildTagProfile('target', {
+    target: ['Strategy', 'Turn-Based'],
+    1: ['Puzzle'],
+    2: ['Puzzle'],
+    3: ['Puzzle'],
+    4: ['Strategy', 'Turn-Based']
+  }, 0.25);
+
+  const result = context.calculateScore(userReviews, reviewerData, 'target', 3, 75, 'threshold', [], null, tagProfile);
+
+  // "mostly" agrees on three puzzle games but disagrees on the one strategy game
+  assert.deepStrictEqual(plain(result.matchedReviewerIds), ['agrees']);
+  assert.strictEqual(result.neighbours[0].similarity, 100);
+  assert.deepStrictEqual(plain(result.tagSimilarity), {
+    targetTags: ['Strategy', 'Turn-Based'],
+    unrelatedWeight: 25,
+    taggedGames: 4,
+    overlappingGames: 4,
+    drivers: [{ tag: 'Strategy', weight: 1, games: 1 }, { tag: 'Turn-Based', weight: 1, games: 1 }]
+  });
+  assert.strictEqual(context.calculateScore(userReviews, reviewerData, 'target', 3, 75).tagSimilarity, null);
+});
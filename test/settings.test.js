@@ -0,0 +1,97 @@
+// settings.test.js - Settings schema defaults, validation, migration and presets
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackground } = require('./helpers/harness');
+const { SETTINGS_VERSION, BUILT_IN_PRESETS, settingsDefaults, normalizeSettings, migrateSettings, presetSettings, upsertSteamAccount, parseLanguageList, describeReviewerFilters } = require('../settings.js');
+
+const USER_ID = '76561198000000001';
+
+test('defaults cover every setting, including nested ones', () => {
+  const defaults = settingsDefaults();
+
+  assert.strictEqual(defaults.maxPages, 50);
+  assert.strictEqual(defaults.logLevel, 'info');
+  assert.deepStrictEqual(defaults.sampling, { minAuthorReviews: 5, stratify: true, includeRecent: false, includeUpdated: false });
+});
+
+test('invalid stored values fall back to defaults and numbers are clamped', () => {
+  const settings = normalizeSettings({
+    minOverlap: 500,
+    minSimilarity: '80',
+    scoringMode: 'magic',
+    discoverMode: 'yes',
+    reviewWeighting: { freeKey: true, minHours: -3 }
+  });
+
+  assert.strictEqual(settings.minOverlap, 50);
+  assert.strictEqual(settings.minSimilarity, 80);
+  assert.strictEqual(settings.scoringMode, 'threshold');
+  assert.strictEqual(settings.discoverMode, false);
+  assert.strictEqual(settings.reviewWeighting.freeKey, true);
+  assert.strictEqual(settings.reviewWeighting.minHours, 0);
+  assert.strictEqual(settings.reviewWeighting.maxAgeYears, 5);
+});
+
+test('version 1 storage gains an account list and only fixes what is stored', () => {
+  const updates = migrateSettings({ steamId: USER_ID, personaName: 'Tester', maxProfiles: 5000, minOverlap: 4 });
+
+  assert.deepStrictEqual(updates, {
+    steamAccounts: [{ steamId: USER_ID, personaName: 'Tester' }],
+    maxProfiles: 1000,
+    settingsVersion: SETTINGS_VERSION
+  });
+  assert.deepStrictEqual(migrateSettings({ ...updates, steamId: USER_ID, minOverlap: 4 }), {});
+});
+
+test('presets keep the current value of every field they leave out', () => {
+  const quick = presetSettings(BUILT_IN_PRESETS[0]);
+
+  assert.strictEqual(quick.maxPages, 10);
+  assert.deepStrictEqual(quick.sampling, { minAuthorReviews: 10, stratify: true, includeRecent: false, includeUpdated: false });
+  assert.strictEqual(quick.concurrency, undefined);
+
+  const current = { sampling: { minAuthorReviews: 3, stratify: false, includeRecent: true, includeUpdated: true }, maxPages: 40 };
+  const applied = presetSettings(BUILT_IN_PRESETS[0], current);
+  assert.deepStrictEqual(applied.sampling, { minAuthorReviews: 10, stratify: false, includeRecent: true, includeUpdated: true });
+  assert.strictEqual(applied.maxPages, 10);
+});
+
+test('reviewer filters accept only known languages and real dates', () => {
+  assert.deepStrictEqual(parseLanguageList('English, german;  klingon'), { languages: 'english,german', unknown: ['klingon'] });
+  assert.strictEqual(parseLanguageList('').languages, 'all');
+
+  const { reviewerFilters } = normalizeSettings({ reviewerFilters: { languages: 'English', sinceDate: 'last week', windowDays: 90 } });
+  assert.deepStrictEqual(reviewerFilters, { languages: 'all', purchaseType: 'all', windowDays: 90, sinceDate: '' });
+  assert.strictEqual(describeReviewerFilters({ ...reviewerFilters, purchaseType: 'non_steam_purchase' }), 'key activations · last 90 days');
+
+  const sinceDate = date => normalizeSettings({ reviewerFilters: { sinceDate: date } }).reviewerFilters.sinceDate;
+  assert.strictEqual(sinceDate('2024-02-29'), '2024-02-29');
+  assert.strictEqual(sinceDate('2026-13-45'), '');
+  assert.strictEqual(sinceDate('2023-02-29'), '');
+  assert.strictEqual(sinceDate('2099-01-01'), '');
+  assert.strictEqual(describeReviewerFilters({ sinceDate: '2026-13-45' }), 'All reviews');
+});
+
+test('saving an account twice updates it in place', () => {
+  const accounts = upsertSteamAccount([{ steamId: USER_ID, personaName: 'Old' }], { steamId: USER_ID, personaName: 'New' });
+
+  assert.deepStrictEqual(upsertSteamAccount(accounts, { steamId: '76561198000000002', personaName: null }).map(a => a.personaName), ['New', null]);
+});
+
+test('the background migrates stored settings and honours the log level', async () => {
+  const { context, chrome } = loadBackground();
+  await chrome.storage.local.clear();
+  await chrome.storage.local.set({ steamId: USER_ID, logLevel: 'warning' });
+
+  await context.migrateStoredSettings();
+  await context.logProgress('routine detail', 'info');
+  await context.logProgress('something odd', 'warning');
+  await context.flushLogs();
+
+  const stored = chrome.storage.local.dump();
+  assert.strictEqual(stored.settingsVersion, SETTINGS_VERSION);
+  assert.strictEqual(stored.logLevel, 'warn');
+  assert.deepStrictEqual(stored.steamAccounts, [{ steamId: USER_ID, personaName: null }]);
+  assert.deepStrictEqual(stored.analysisLogs.map(log => log.text), ['something odd']);
+});
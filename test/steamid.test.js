@@ -0,0 +1,89 @@
+// steamid.test.js - Steam ID parsing, conversion and vanity resolution
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, fixture, plain } = require('./helpers/harness');
+const { parseSteamId } = require('../steamid.js');
+
+const GABE_ID64 = '76561197960287930'; // account ID 22202
+
+test('accepts a raw steamID64', () => {
+  assert.deepStrictEqual(parseSteamId(' 76561198012345111 '), { steamId64: '76561198012345111', format: 'steamID64' });
+});
+
+test('converts SteamID2 and SteamID3 to steamID64', () => {
+  assert.strictEqual(parseSteamId('STEAM_0:0:11101').steamId64, GABE_ID64);
+  assert.strictEqual(parseSteamId('STEAM_1:0:11101').steamId64, GABE_ID64);
+  assert.strictEqual(parseSteamId('STEAM_0:1:11101').steamId64, '76561197960287931');
+  assert.strictEqual(parseSteamId('[U:1:22202]').steamId64, GABE_ID64);
+  assert.strictEqual(parseSteamId('U:1:22202').steamId64, GABE_ID64);
+});
+
+test('decodes s.team short links', () => {
+  // 22202 = 0x56ba -> h j q p in the short-link alphabet
+  assert.strictEqual(parseSteamId('https://s.team/p/hjqp').steamId64, GABE_ID64);
+  assert.strictEqual(parseSteamId('s.team/p/hj-qp/').steamId64, GABE_ID64);
+});
+
+test('extracts ids and vanity names from profile URLs', () => {
+  assert.strictEqual(parseSteamId('https://steamcommunity.com/profiles/76561198012345111/').steamId64, '76561198012345111');
+  assert.strictEqual(parseSteamId('steamcommunity.com/profiles/[U:1:22202]').steamId64, GABE_ID64);
+  assert.deepStrictEqual(parseSteamId('https://steamcommunity.com/id/gabelogannewell/recommended/'), { vanity: 'gabelogannewell', format: 'custom URL' });
+  assert.deepStrictEqual(parseSteamId('  gabelogannewell/ '), { vanity: 'gabelogannewell', format: 'custom URL' });
+});
+
+test('explains what was wrong with invalid input', () => {
+  assert.match(parseSteamId('').error, /enter your Steam ID/);
+  assert.match(parseSteamId('7656119801234511').error, /expected 17 digits.*got 16/);
+  assert.match(parseSteamId('12345678901234567').error, /outside the range/);
+  assert.match(parseSteamId('STEAM_0:2:11101').error, /not a valid SteamID2/);
+  assert.match(parseSteamId('[G:1:22202]').error, /non-user account/);
+  assert.match(parseSteamId('s.team/p/hxyz').error, /not a valid s\.team\/p\/ code/);
+  assert.match(parseSteamId('https://steamcommunity.com/groups/valve').error, /Unrecognized Steam profile URL/);
+  assert.strictEqual(parseSteamId('https://steamcommunity.com/profiles/gabe').error, 'In the /profiles/ URL, "gabe" is not a steamID64: it should contain only digits.');
+  assert.match(parseSteamId('steamcommunity.com/profiles/%').error, /invalid escape sequence/);
+  assert.match(parseSteamId('not a name!').error, /not a valid custom URL name/);
+});
+
+test('resolves vanity names through the profile XML endpoint', async () => {
+  const { context, requests } = loadBackground({
+    routes: [[/\/id\/gabelogannewell\/\?xml=1$/, fixture('profile_vanity.xml')]]
+  });
+
+  const resolved = plain(await context.resolveSteamId('https://steamcommunity.com/id/gabelogannewell'));
+
+  assert.deepStrictEqual(resolved, {
+    steamId64: GABE_ID64,
+    format: 'custom URL',
+    vanity: 'gabelogannewell',
+    personaName: 'Rabscuttle',
+    privacyState: 'public'
+  });
+  assert.strictEqual(requests.length, 1);
+});
+
+test('reports unknown vanity names and private profiles', async () => {
+  const { context } = loadBackground({
+    routes: [
+      [/\/id\/nobody-here\//, fixture('profile_not_found.xml')],
+      [/\/profiles\/76561198000000001\/\?xml=1$/, fixture('profile_private.xml')]
+    ]
+  });
+
+  const missing = await context.resolveSteamId('nobody-here');
+  assert.match(missing.error, /No Steam profile uses the custom URL "nobody-here"/);
+
+  const hidden = await context.resolveSteamId('[U:1:39734273]');
+  assert.strictEqual(hidden.steamId64, '76561198000000001');
+  assert.strictEqual(hidden.personaName, 'Hidden Player');
+  assert.strictEqual(hidden.privacyState, 'private');
+});
+
+test('a known steamID64 skips the network when no profile lookup is wanted', async () => {
+  const { context, requests } = loadBackground();
+
+  const resolved = plain(await context.resolveSteamId('STEAM_0:0:11101', { lookupProfile: false }));
+
+  assert.deepStrictEqual(resolved, { steamId64: GABE_ID64, format: 'SteamID2' });
+  assert.strictEqual(requests.length, 0);
+});
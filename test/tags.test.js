@@ -0,0 +1,49 @@
+// tags.test.js - Store tag parsing, tag similarity and the tags that drove a match
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseStoreTags, parseAppDetailsGenres, tagSimilarity, buildTagProfile, tagWeightFor, tagDrivers } = require('../tags.js');
+
+test('store tags are read from the tag modal data, most votes first', () => {
+  const html = `<script>
+    InitAppTagModal( 620,
+      [{"tagid":1664,"name":"Puzzle","count":3406,"browseable":true},{"tagid":3859,"name":"Co-op","count":5120,"browseable":true},{"tagid":21,"name":"Sci-fi &amp; Space","count":900,"browseable":true}],
+      [], "https://store.steampowered.com/tagdata/", false );
+  </script>`;
+
+  assert.deepStrictEqual(parseStoreTags(html), ['Co-op', 'Puzzle', 'Sci-fi & Space']);
+});
+
+test('store tags fall back to the visible tag links and are empty on an age gate', () => {
+  const html = `<div class="glance_tags popular_tags" data-appid="620">
+    <a href="https://store.steampowered.com/tags/en/Puzzle/" class="app_tag" style="display: none;">
+      Puzzle												</a>
+    <a href="https://store.steampowered.com/tags/en/First-Person/" class="app_tag">First-Person</a>
+    <div class="app_tag add_button">+</div>
+  </div></html>`;
+
+  assert.deepStrictEqual(parseStoreTags(html), ['Puzzle', 'First-Person']);
+  assert.deepStrictEqual(parseStoreTags('<div class="agegate_birthday_selector"></div></html>'), []);
+  assert.deepStrictEqual(parseAppDetailsGenres('{"620": {"success": true, "data": {"genres": [{"id": "1", "description": "Action"}]}}}', '620'), ['Action']);
+  assert.deepStrictEqual(parseAppDetailsGenres('{"620": {"success": false}}', '620'), []);
+});
+
+test('tag similarity favours shared top tags', () => {
+  assert.strictEqual(tagSimilarity(['Strategy', 'Turn-Based'], ['Strategy', 'Turn-Based']), 1);
+  assert.strictEqual(tagSimilarity(['Strategy'], ['Puzzle']), 0);
+  assert.strictEqual(tagSimilarity([], ['Puzzle']), 0);
+  assert.ok(tagSimilarity(['Strategy', 'Puzzle'], ['Strategy', 'Racing']) > tagSimilarity(['Strategy', 'Puzzle'], ['Racing', 'Strategy']));
+});
+
+test('unrelated games count at the floor and untagged ones halfway', () => {
+  const tagProfile = buildTagProfile('620', { 620: ['Strategy', 'Turn-Based'], 1: ['Strategy', 'Turn-Based'], 2: ['Puzzle'], 3: [] }, 0.25);
+
+  assert.deepStrictEqual([tagWeightFor(tagProfile, '1'), tagWeightFor(tagProfile, '2'), tagWeightFor(tagProfile, '3')], [1, 0.25, 0.625]);
+  assert.strictEqual(tagWeightFor(null, '2'), 1);
+  assert.strictEqual(buildTagProfile('620', { 620: [] }, 0.25), null);
+
+  assert.deepStrictEqual(tagDrivers(tagProfile, ['1', '1', '2', '3']), [
+    { tag: 'Strategy', weight: 2, games: 1 },
+    { tag: 'Turn-Based', weight: 2, games: 1 }
+  ]);
+});
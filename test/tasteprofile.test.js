@@ -0,0 +1,100 @@
+// tasteprofile.test.js - Taste profile numbers and filling in Steam's score for each reviewed game
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, fixture, FAST_RATE_LIMITS } = require('./helpers/harness');
+const { classifyOpinion, matchUsefulness, buildTasteProfile } = require('../tasteprofile.js');
+
+const USER_ID = '76561198000000001';
+
+function stats(positive, negative) {
+  const totalReviews = positive + negative;
+  return { score: Math.round((positive / totalReviews) * 100), totalPositive: positive, totalNegative: negative, totalReviews };
+}
+
+test('opinions are classed by how many Steam reviewers voted the same way', () => {
+  assert.deepStrictEqual([classifyOpinion(12), classifyOpinion(30), classifyOpinion(69), classifyOpinion(70), classifyOpinion(null)],
+    ['rare', 'divided', 'divided', 'mainstream', 'unknown']);
+});
+
+test('divisive games with many reviews are the most useful for matching', () => {
+  assert.strictEqual(matchUsefulness(stats(5000, 5000)), 4);
+  assert.ok(matchUsefulness(stats(9900, 100)) < matchUsefulness(stats(60, 40)));
+  assert.strictEqual(matchUsefulness({ totalReviews: 0 }), 0);
+  assert.strictEqual(matchUsefulness(null), 0);
+});
+
+test('the profile counts votes and opinions and ranks the most useful reviews', () => {
+  const reviews = [
+    { appId: '620', isPositive: true, postedAt: 300 },
+    { appId: '570', isPositive: false, postedAt: 100 },
+    { appId: '400', isPositive: false, postedAt: 200 },
+    { appId: '440', isPositive: true, postedAt: null }
+  ];
+  const gameStats = { 620: stats(950, 50), 570: stats(5000, 5000), 400: stats(900, 100), 440: { totalReviews: 0 } };
+
+  const profile = buildTasteProfile(reviews, gameStats, { 620: 'Portal 2' });
+
+  assert.deepStrictEqual([profile.total, profile.positive, profile.negative, profile.positiveShare], [4, 2, 2, 50]);
+  assert.deepStrictEqual(profile.opinions, { mainstream: 1, divided: 1, rare: 1, unknown: 1 });
+  assert.deepStrictEqual(profile.games.map(game => game.appId), ['620', '400', '570', '440']);
+  assert.deepStrictEqual([profile.games[0].name, profile.games[0].share, profile.games[1].share], ['Portal 2', 95, 10]);
+  assert.deepStrictEqual(profile.mostUseful, ['570', '400', '620']);
+});
+
+test('refreshing the profile stores each reviewed game\'s Steam score and name', async () => {
+  const summary = JSON.stringify({ success: 1, query_summary: { num_reviews: 0, review_score_desc: 'Mixed', total_positive: 60, total_negative: 40, total_reviews: 100 } });
+  const { context, chrome, requests } = loadBackground({
+    routes: [
+      [`https://steamcommunity.com/profiles/${USER_ID}/recommended/`, fixture('user_recommended_p1.html')],
+      [`https://steamcommunity.com/profiles/${USER_ID}/recommended/?p=2`, fixture('user_recommended_p2.html')],
+      [/appreviews\/\d+\?json=1&filter=all&language=all&purchase_type=all&num_per_page=0$/, summary],
+      [/api\/appdetails\?appids=\d+/, url => {
+        const appId = url.match(/appids=(\d+)/)[1];
+        return JSON.stringify({ [appId]: { success: true, data: { name: `Game ${appId}` } } });
+      }]
+    ]
+  });
+  await chrome.storage.local.set({ steamId: USER_ID, gameScoreCache: { 100: { totalReviews: 0, fetchedAt: Date.now() } } });
+
+  await context.refreshTasteProfile({ rateLimits: FAST_RATE_LIMITS });
+
+  const { userReviews, gameScoreCache, appNameCache, tasteProfileStatus } = chrome.storage.local.dump();
+  const appIds = userReviews.reviews.map(review => review.appId);
+  assert.strictEqual(appIds.length, 12);
+  assert.deepStrictEqual(Object.keys(gameScoreCache).sort(), [...appIds].sort());
+  assert.strictEqual(gameScoreCache[101].score, 60);
+  // The fresh cache entry is reused, but its missing name is still looked up
+  assert.strictEqual(gameScoreCache[100].totalReviews, 0);
+  assert.ok(!requests.some(url => url.includes('appreviews/100?')));
+  assert.strictEqual(appNameCache[100], 'Game 100');
+  assert.deepStrictEqual([tasteProfileStatus.running, tasteProfileStatus.text], [false, 'Up to date']);
+});
+
+test('the profile refresh keeps its own cancellation and gives way to analyses', async () => {
+  const { context, chrome, run } = loadBackground({
+    routes: [
+      [/appreviews\/101\?/, () => {
+        // An analysis starting mid-refresh stops it
+        context.startBackgroundAnalysis({});
+        return JSON.stringify({ success: 1, query_summary: { total_positive: 6, total_negative: 4, total_reviews: 10 } });
+      }],
+      [/appreviews\/\d+\?/, JSON.stringify({ success: 1, query_summary: { total_positive: 6, total_negative: 4, total_reviews: 10 } })],
+      [/api\/appdetails/, '{}']
+    ]
+  });
+  const reviews = ['100', '101', '102'].map(appId => ({ appId, isPositive: true }));
+  await chrome.storage.local.set({ steamId: USER_ID, userReviews: { steamId: USER_ID, fetchedAt: 1, reviews } });
+  const send = message => new Promise(resolve => chrome._messageListeners.forEach(listener => listener(message, {}, resolve)));
+
+  // Cancelling an analysis when none runs leaves shouldCancel set; the refresh doesn't read it
+  run('shouldCancel = true; runAnalysis = async () => {}');
+  await context.refreshTasteProfile();
+  const { gameScoreCache, tasteProfileStatus } = chrome.storage.local.dump();
+  assert.match(tasteProfileStatus.error, /Stopped because an analysis started/);
+  assert.deepStrictEqual(Object.keys(gameScoreCache), ['100', '101']);
+
+  run('analysisInProgress = true');
+  const refused = await send({ action: 'refreshTasteProfile' });
+  assert.deepStrictEqual([refused.started, /analysis is running/.test(refused.error)], [false, true]);
+});